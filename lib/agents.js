@@ -0,0 +1,254 @@
+import { readFileSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { repairPrompt, validateAgentOutput } from "./validation.js";
+
+// =====================
+// REGISTRE DES AGENTS SPÉCIALISÉS
+// =====================
+// Un agent = un fichier <nom>.json dans le dossier des agents (config/agents, AGENTS_DIR) :
+// - description    : quand le directeur doit l'appeler (section ORCHESTRATION de son prompt) ;
+// - libelle        : titre de sa section dans le livrable fusionné (optionnel, défaut : le nom) ;
+// - prompt_fichier : prompt système (Markdown, relatif au dossier) ; la section SORTIE est ajoutée ;
+// - sortie         : champs de sortie en plus de agent / livrable / points_a_valider (JSON Schema) ;
+// - modele         : { provider, model, temperature } propres au rôle (les variables LLM_<ROLE>_* priment) ;
+// - parametres     : { [nom]: { type, enum?, description, defaut? } } fournis par le directeur
+//                    (payload.parametres) ou l'appelant ; le prompt les reçoit via {{nom}}.
+// - orchestration_forcee (optionnel) : { mots_cles, domaines, objectif } : une demande qui contient un mot-clé
+//                    (ou un domaine directeur qui contient un de ces domaines) part chez cet agent même sans plan
+//                    du directeur (voir applyForcedOrchestration).
+// Le schéma directeur (orchestration.plan[].agent), son prompt et les routes /agents/:agent
+// sont générés à partir du registre : ajouter un fichier suffit.
+
+export const DEFAULT_AGENTS_DIR = fileURLToPath(new URL("../config/agents", import.meta.url));
+
+const BASE_FIELDS = ["agent", "livrable", "points_a_valider"];
+const AGENT_NAME = /^[a-z0-9][a-z0-9-]*$/;
+export const PARAMETER_TYPES = ["string", "number", "integer", "boolean"];
+
+// Schéma imposé en sortie structurée stricte (json_schema) à chaque appel d'agent
+export const agentSchema = (agentKey, extra = {}) => ({
+  type: "object",
+  additionalProperties: false,
+  required: ["agent", "livrable", ...Object.keys(extra), "points_a_valider"],
+  properties: {
+    agent: { type: "string", enum: [agentKey] },
+    livrable: { type: "string" },
+    ...extra,
+    points_a_valider: { type: "array", items: { type: "string" } },
+  },
+});
+
+// Erreur de type / valeur d'un paramètre (null si conforme)
+function parameterError(name, def, value) {
+  const okType = {
+    integer: Number.isInteger(value),
+    number: Number.isFinite(value),
+  }[def.type] ?? typeof value === def.type;
+  if (!okType) return `${name}: ${def.type} attendu`;
+  if (def.enum && !def.enum.includes(value)) return `${name}: valeur hors de ${def.enum.join(" | ")}`;
+  return null;
+}
+
+function checkParameters(nom, parametres = {}) {
+  for (const [name, def] of Object.entries(parametres)) {
+    if (!PARAMETER_TYPES.includes(def.type)) throw new Error(`Agent ${nom}.${name}: unknown type "${def.type}"`);
+    const err = def.defaut !== undefined && parameterError(name, def, def.defaut);
+    if (err) throw new Error(`Agent ${nom}: invalid defaut (${err})`);
+  }
+  return parametres;
+}
+
+function checkForcedRouting(nom, forcee) {
+  if (forcee === undefined || forcee === null) return null;
+  const words = (list) => Array.isArray(list) && list.every((w) => typeof w === "string" && w.trim());
+  if (!words(forcee.mots_cles) || !words(forcee.domaines ?? [])) {
+    throw new Error(`Agent ${nom}: orchestration_forcee needs mots_cles (and domaines) as non-empty strings`);
+  }
+  if (typeof forcee.objectif !== "string") throw new Error(`Agent ${nom}: orchestration_forcee needs an objectif`);
+  const lower = (list) => list.map((w) => w.toLowerCase());
+  return { mots_cles: lower(forcee.mots_cles), domaines: lower(forcee.domaines ?? []), objectif: forcee.objectif };
+}
+
+/**
+ * Charge les agents du dossier -> { [nom]: { nom, libelle, description, prompt, schema, modele, parametres, forcee } }.
+ * Une déclaration invalide lève une erreur (au démarrage plutôt qu'au premier appel).
+ */
+export function loadAgentRegistry(dir = DEFAULT_AGENTS_DIR) {
+  const registry = {};
+  const files = readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+  for (const file of files) {
+    const nom = file.slice(0, -".json".length);
+    if (!AGENT_NAME.test(nom)) throw new Error(`Agent ${file}: name must match ${AGENT_NAME}`);
+
+    const def = JSON.parse(readFileSync(join(dir, file), "utf8"));
+    if (!def.description) throw new Error(`Agent ${nom}: missing description`);
+    if (!def.prompt_fichier) throw new Error(`Agent ${nom}: missing prompt_fichier`);
+    if (def.libelle !== undefined && (typeof def.libelle !== "string" || !def.libelle.trim())) {
+      throw new Error(`Agent ${nom}: libelle must be a non-empty string`);
+    }
+    const reserved = Object.keys(def.sortie || {}).filter((k) => BASE_FIELDS.includes(k));
+    if (reserved.length > 0) throw new Error(`Agent ${nom}: reserved sortie field(s) ${reserved.join(", ")}`);
+
+    registry[nom] = {
+      nom,
+      libelle: def.libelle?.trim() || nom,
+      description: def.description,
+      prompt: readFileSync(join(dir, def.prompt_fichier), "utf8").trim(),
+      schema: agentSchema(nom, def.sortie || {}),
+      modele: def.modele || {},
+      parametres: checkParameters(nom, def.parametres),
+      forcee: checkForcedRouting(nom, def.orchestration_forcee),
+    };
+  }
+  if (Object.keys(registry).length === 0) throw new Error(`No agent declared in ${dir}`);
+  return registry;
+}
+
+let defaultRegistry = null;
+
+// Registre du dossier par défaut, chargé au premier usage
+export function defaultAgents() {
+  defaultRegistry ??= loadAgentRegistry();
+  return defaultRegistry;
+}
+
+// Modèle par rôle déclaré par les agents -> { [nom]: { provider?, model?, temperature? } }
+export function agentModels(agents) {
+  return Object.fromEntries(Object.values(agents).map((a) => [a.nom, a.modele]));
+}
+
+/**
+ * Paramètres d'appel complétés par les défauts -> { parametres, erreurs }.
+ * Une valeur null vaut absence ; un paramètre non déclaré est une erreur.
+ */
+export function resolveParameters(agent, given = {}) {
+  const declared = agent.parametres || {};
+  const parametres = {};
+  const erreurs = Object.keys(given || {})
+    .filter((k) => !(k in declared))
+    .map((k) => `${k}: paramètre inconnu`);
+
+  for (const [name, def] of Object.entries(declared)) {
+    const value = given?.[name] ?? def.defaut;
+    if (value === undefined || value === null) continue;
+    const err = parameterError(name, def, value);
+    if (err) erreurs.push(err);
+    else parametres[name] = value;
+  }
+  return { parametres, erreurs };
+}
+
+/**
+ * Schéma de payload.parametres pour le directeur : union des paramètres de tous les agents,
+ * chacun nullable (null = sans objet pour l'agent appelé, ou défaut). null si aucun agent n'en déclare.
+ */
+export function directorParametersSchema(agents) {
+  const properties = {};
+  for (const agent of Object.values(agents)) {
+    for (const [name, def] of Object.entries(agent.parametres || {})) {
+      const prop = { type: [def.type, "null"], description: `${agent.nom} : ${def.description || name}` };
+      if (def.enum) prop.enum = [...def.enum, null];
+      if (properties[name] && properties[name].type[0] !== def.type) {
+        throw new Error(`Agent ${agent.nom}.${name}: type differs from another agent's parameter`);
+      }
+      properties[name] ??= prop;
+    }
+  }
+  const names = Object.keys(properties);
+  if (names.length === 0) return null;
+  return { type: "object", additionalProperties: false, required: names, properties };
+}
+
+// Exemple de sortie lisible tiré du schéma (section SORTIE du prompt)
+function sampleOf(def) {
+  if (def.enum) return def.enum[0];
+  if (def.type === "array") return [sampleOf(def.items || {}), "..."];
+  if (def.type === "object") {
+    return Object.fromEntries(Object.entries(def.properties || {}).map(([k, v]) => [k, sampleOf(v)]));
+  }
+  return def.type || "string";
+}
+
+// Prompt système : {{param}} remplacés par les paramètres résolus, puis section SORTIE
+export function agentSystemPrompt(agent, parametres = resolveParameters(agent).parametres) {
+  const prompt = agent.prompt.replace(/\{\{(\w+)\}\}/g, (m, name) => String(parametres[name] ?? "non précisé"));
+  const fields = Object.entries(agent.schema.properties).map(([k, v]) => `  "${k}":${JSON.stringify(sampleOf(v))}`);
+  return `${prompt}
+
+SORTIE: JSON uniquement.
+Schéma:
+{
+${fields.join(",\n")}
+}`;
+}
+
+export const DEFAULT_MAX_REPAIRS = 2;
+
+/**
+ * Appelle un agent spécialisé, valide sa sortie (schéma + règles de contenu) et,
+ * en cas de violation, le relance avec la liste des corrections (maxRepairs fois au plus).
+ * Le rapport { ok, tentatives, violations } est renvoyé dans result.validation.
+ * payload.parametres = paramètres de l'agent (défauts appliqués, renvoyés dans result.parametres) ;
+ * un paramètre invalide -> { ok: false, error: "INVALID_PARAMETERS", erreurs }.
+ * signal (AbortSignal, optionnel) interrompt l'appel modèle en cours.
+ */
+export async function callSpecialist(
+  llm,
+  agentKey,
+  payload,
+  { agents = defaultAgents(), onDelta, onRepair, maxRepairs = DEFAULT_MAX_REPAIRS, signal } = {},
+) {
+  const agent = agents[agentKey];
+  if (!agent) return { ok: false, agent: agentKey, error: "AGENT_NOT_FOUND" };
+
+  const { parametres, erreurs } = resolveParameters(agent, payload?.parametres);
+  if (erreurs.length > 0) return { ok: false, agent: agentKey, error: "INVALID_PARAMETERS", erreurs };
+
+  const SYSTEM = agentSystemPrompt(agent, parametres);
+  const hasParams = Object.keys(agent.parametres).length > 0;
+  const baseContent = JSON.stringify(hasParams ? { ...payload, parametres } : (payload ?? {}), null, 2);
+
+  let userContent = baseContent;
+  let raw = "";
+  let data = null;
+  let violations = [];
+  let tentatives = 0;
+
+  for (;;) {
+    tentatives += 1;
+    const r = await llm.complete(agentKey, {
+      system: SYSTEM,
+      user: userContent,
+      schema: agent.schema,
+      schemaName: `innovacse_agent_${agentKey}`,
+      onDelta,
+      signal,
+    });
+
+    raw = r.text;
+    if (!raw) return { ok: false, agent: agentKey, error: "EMPTY_AGENT_OUTPUT" };
+
+    try {
+      data = JSON.parse(raw);
+      violations = validateAgentOutput(agentKey, data, parametres);
+    } catch {
+      data = null;
+      violations = [{ regle: "json", message: "La sortie n'est pas un JSON valide : renvoie uniquement le JSON." }];
+    }
+
+    if (violations.length === 0 || tentatives > maxRepairs) break;
+
+    if (onRepair) onRepair({ tentative: tentatives, violations });
+    userContent = `${baseContent}\n\nRÉPONSE PRÉCÉDENTE:\n${raw}\n\n${repairPrompt(violations)}`;
+  }
+
+  const validation = { ok: violations.length === 0, tentatives, violations };
+
+  // fallback si l'agent ne respecte toujours pas JSON-only
+  if (!data) {
+    data = { agent: agentKey, livrable: raw, points_a_valider: [] };
+  }
+  return { ok: true, agent: agentKey, data, validation, ...(hasParams ? { parametres } : {}) };
+}
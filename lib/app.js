@@ -0,0 +1,562 @@
+import { randomUUID } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+import express from "express";
+
+import { callSpecialist, defaultAgents } from "./agents.js";
+import { openAccess } from "./auth.js";
+import { createComplianceGuard } from "./compliance.js";
+import { createConflictChecker } from "./conflicts.js";
+import { buildOutputSchema } from "./director.js";
+import { createExporter, formationSource } from "./export/index.js";
+import { createHealthCheck } from "./health.js";
+import { createJobRunner, createJobStore, fingerprint, jobView } from "./jobs.js";
+import { createProposalStore, invalidValues, unknownFields } from "./proposals.js";
+import { createRetriever } from "./retrieval.js";
+import { runDirector } from "./run.js";
+import { KINDS } from "./store/kinds.js";
+import { costTotals, createTracer, traceSummary } from "./trace.js";
+import {
+  addClientMessage,
+  createSessionStore,
+  reconcileTurn,
+  recordFailure,
+  recordTurn,
+  sessionView,
+  turnInput,
+} from "./sessions.js";
+import { openEventStream } from "./sse.js";
+import { applyWrite, loadUpsertPolicy, ruleFor, titleMatcher } from "./upsert.js";
+import { versionTimeline } from "./versioning.js";
+
+// Console web (public/index.html)
+export const DEFAULT_PUBLIC_DIR = fileURLToPath(new URL("../public", import.meta.url));
+
+// Entrées mémoire renvoyées par GET /<base> (console : historique, navigation)
+const MEMORY_LIST_LIMIT = 200;
+
+// =====================
+// APP
+// =====================
+/**
+ * Construit l'app Express.
+ * deps = { store, llm, llmRoles, agents, jobs, jobConcurrency, retriever, compliance, conflicts, proposals,
+ *          writes, upsert, orchestration, validation, health, exporter, sessions, conversation, publicDir, auth,
+ *          tracer }.
+ * agents = registre des agents spécialisés (par défaut : config/agents).
+ * retriever = sélection de la mémoire par pertinence (par défaut : BM25 sur le store, sans embeddings).
+ * compliance = contrôleur lignes rouges (par défaut : règles de config/lignes-rouges.json).
+ * conflicts = contrôleur de contradictions avec la mémoire actée (par défaut : règles + modèle).
+ * proposals = file des écritures à valider ; writes = { mode: "direct" | "propose" }.
+ * upsert = politique anti-doublon par base (par défaut : config/upsert.json).
+ * orchestration = { concurrency, timeoutMs } : limites d'exécution des plans d'agents.
+ * validation = { maxRepairs } : relances max d'un agent dont la sortie viole ses règles.
+ * health = vérification des schémas et de la configuration (GET /health, app.locals.health).
+ * exporter = documents Qualiopi d'un livrable formation (par défaut : gabarits de config/export).
+ * sessions = conversations avec le directeur ; conversation = { maxClarifications } : tours de questions max.
+ * publicDir = fichiers de la console web, servis à la racine (null : pas de console).
+ * auth = contrôle d'accès par clé d'API et rôle (voir auth.js ; par défaut : accès libre).
+ * tracer = traces des runs et appels directs d'agents : spans, tokens, coût estimé (par défaut : en mémoire).
+ * Aucun accès à process.env ici : tout est injecté (serveur, tests).
+ * Le runner de jobs est exposé dans app.locals.runner (reprise au démarrage).
+ */
+export function createApp({
+  store,
+  llm,
+  llmRoles = [],
+  agents = defaultAgents(),
+  jobs = createJobStore(),
+  jobConcurrency = 1,
+  retriever = createRetriever({ store }),
+  compliance = createComplianceGuard(),
+  conflicts = createConflictChecker({ llm }),
+  proposals = createProposalStore(),
+  writes = {},
+  upsert = loadUpsertPolicy(),
+  orchestration = {},
+  validation = {},
+  health = createHealthCheck({ store, llm, llmRoles, agents }),
+  exporter = createExporter(),
+  sessions = createSessionStore(),
+  conversation = {},
+  publicDir = DEFAULT_PUBLIC_DIR,
+  auth = openAccess(),
+  tracer = createTracer(),
+}) {
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+
+  // Store miroir : l'index de recherche est reconstruit quand un sync rapporte des changements
+  store.subscribe?.((changes) => {
+    for (const [kind, count] of Object.entries(changes)) if (count > 0) retriever.invalidate(kind);
+  });
+
+  const runner = createJobRunner({
+    jobs,
+    concurrency: jobConcurrency,
+    tracer,
+    partial: (result) => Boolean(result?.partiel),
+    execute: (input, options) => runDirector(
+        { store, llm, agents, retriever, compliance, conflicts, proposals, writes, upsert, orchestration, validation },
+        input,
+        options,
+      ),
+  });
+  app.locals.runner = runner;
+  app.locals.health = health;
+
+  const { allow } = auth;
+
+  // Sans permission d'écriture, un run est forcé en mode test (aucune écriture mémoire hors journal)
+  const canWrite = (req) => req.auth.permissions.includes("write");
+  const runInput = (req, input) => (canWrite(req) ? input : { ...input, mode_test: true });
+  const createJob = (req, input) => jobs.create(input, { auteur: req.auth.id });
+
+  // Idempotence des runs : en-tête Idempotency-Key (ou body.idempotency_key), propre à chaque clé d'API.
+  // Même clé et même demande : run terminé -> résultat enregistré renvoyé tel quel ; run en échec ou partiel
+  // -> repris (étapes et écritures réussies non refaites) ; run en cours -> 409. Autre demande -> 422.
+  // -> { job, replay } ou { status, error }
+  async function claimRun(req, input) {
+    const { idempotency_key: fromBody, ...body } = input;
+    const cle = req.get("idempotency-key") || fromBody;
+    if (!cle) return { job: await createJob(req, body), replay: false };
+
+    const empreinte = fingerprint(body);
+    const idempotence = { cle: String(cle), empreinte };
+    const { job, created } = await jobs.claim(body, { auteur: req.auth.id, idempotence });
+    if (created) return { job, replay: false };
+    if (job.idempotence.empreinte !== empreinte) return { status: 422, error: "IDEMPOTENCY_KEY_REUSED", job };
+    if (["queued", "running"].includes(job.status)) return { status: 409, error: "RUN_IN_PROGRESS", job };
+    return { job, replay: job.status === "done" };
+  }
+
+  // Écritures en échec : 207, le détail par écriture est dans résultat.ecritures
+  const runStatus = (out) => (out?.partiel ? 207 : 200);
+
+  // Route async : une erreur (store, fichiers, Notion) répond 500 en JSON ; sans cela Express 4 laisse
+  // la promesse rejetée sans réponse et la requête reste pendante
+  const guarded = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (!res.headersSent) res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  };
+
+  // =====================
+  // ROUTES
+  // =====================
+  // Console web à la racine ; sans console, "/" répond OK (sonde de disponibilité)
+  if (publicDir) app.use(express.static(publicDir));
+  app.get("/", (req, res) => res.status(200).send("OK"));
+
+  // --- Santé : schémas des bases vérifiés (mis en cache) ; ?refresh=1 recharge les schémas et revérifie.
+  // Sans accès admin, seul l'état global est renvoyé (le détail contient les IDs des bases).
+  app.get("/health", guarded(async (req, res) => {
+    const admin = auth.has(req, "admin");
+    const refresh = admin && req.query.refresh === "1";
+    const report = refresh || !health.last() ? await health.run({ refresh }) : health.last();
+    res.status(report.ok ? 200 : 503).json(admin ? report : { ok: report.ok, checked_at: report.checked_at });
+  }));
+
+  // --- Synchronisation du miroir Notion (MEMORY_MIRROR=1)
+  app.get("/sync", allow("admin"), guarded(async (req, res) => {
+    if (!store.sync) return res.status(404).json({ ok: false, error: "SYNC_DISABLED" });
+    res.json({ ok: true, sync: await store.syncStatus() });
+  }));
+
+  // Force un resync : body { full: true } pour tout relire, { meta: true } pour recharger les schémas
+  app.post("/sync", allow("admin"), guarded(async (req, res) => {
+    if (!store.sync) return res.status(404).json({ ok: false, error: "SYNC_DISABLED" });
+    try {
+      if (req.body?.meta) store.refreshMeta();
+      const changes = await store.sync({ full: Boolean(req.body?.full) });
+      res.json({ ok: true, changes, sync: await store.syncStatus() });
+    } catch (err) {
+      // L'état du miroir peut lui-même être illisible : l'erreur du sync est renvoyée quand même
+      const sync = await store.syncStatus().catch(() => null);
+      res.status(502).json({ ok: false, error: String(err?.message || err), sync });
+    }
+  }));
+
+  // --- Agents spécialisés (registre) : liste, et appel direct d'un agent (body.parametres selon l'agent)
+  app.get("/agents", allow("read"), (req, res) => {
+    res.json({
+      ok: true,
+      agents: Object.values(agents).map((a) => ({
+        nom: a.nom,
+        description: a.description,
+        parametres: a.parametres,
+        llm: llm.configFor(a.nom),
+      })),
+    });
+  });
+
+  app.post("/agents/:agent", allow("run"), guarded(async (req, res) => {
+    const agentKey = req.params.agent;
+    if (!agents[agentKey]) return res.status(404).json({ ok: false, agent: agentKey, error: "AGENT_NOT_FOUND" });
+    const trace = await tracer.start({
+      id: randomUUID(),
+      type: "agent",
+      demande_client: String(req.body?.demande_client ?? ""),
+      auteur: req.auth.id,
+    });
+    try {
+      const out = await trace.span(`agent:${agentKey}`, () =>
+        callSpecialist(llm, agentKey, req.body || {}, { agents, maxRepairs: validation.maxRepairs }),
+      );
+      await trace.finish();
+      return res.status(out.error === "INVALID_PARAMETERS" ? 400 : 200).json({ ...out, trace_id: trace.trace.id });
+    } catch (err) {
+      await trace.finish(err);
+      return res.status(500).json({ ok: false, agent: agentKey, error: String(err?.message || err) });
+    }
+  }));
+
+  // Chaque run est un job persisté. Trois issues :
+  // - mode "async" demandé par le client : 202 + job_id tout de suite, exécution en file ;
+  // - le directeur choisit orchestration.mode="async" : 202 dès sa décision, le job continue ;
+  // - sinon : réponse complète, comme avant.
+  app.post("/run", allow("run"), async (req, res) => {
+    const input = runInput(req, req.body || {});
+    let job = null;
+    let responded = false;
+
+    const accepted = (status, extra = {}) => {
+      responded = true;
+      return res.status(202).json({ ok: true, job_id: job.id, status, status_url: `/jobs/${job.id}`, ...extra });
+    };
+
+    try {
+      const claimed = await claimRun(req, input);
+      job = claimed.job;
+      res.locals.job_id = job?.id;
+      if (claimed.error) return res.status(claimed.status).json({ ok: false, error: claimed.error, job_id: job.id });
+      if (claimed.replay) return res.json({ ok: true, ...job.result, job_id: job.id, rejoue: true });
+
+      if (input.mode === "async") {
+        await runner.enqueue(job);
+        return accepted("queued");
+      }
+
+      const emit = (event, data) => {
+        if (event === "director" && data?.orchestration?.mode === "async" && !responded) {
+          accepted("running", { director: data });
+        }
+      };
+
+      const out = await runner.run(job, { emit });
+      if (!responded) return res.status(runStatus(out)).json({ ok: true, ...out, job_id: job.id });
+    } catch (err) {
+      if (!responded) return res.status(500).json({ ok: false, error: String(err?.message || err), job_id: job?.id ?? null });
+    }
+  });
+
+  // --- Conversations : le directeur peut poser des questions avant de conclure.
+  // Chaque tour est un job ; la session est conclue (journal écrit) au premier tour sans question.
+  // turns = sessions dont un tour tourne dans ce process ; une autre session "running" a été interrompue.
+  const turns = new Set();
+
+  // message = réponse du client qui relance la conversation (null : premier tour)
+  async function sessionTurn(session, req, res, message = null) {
+    let job = null;
+    turns.add(session.id);
+    res.locals.session_id = session.id;
+    try {
+      if (message !== null) {
+        addClientMessage(session, message);
+        await sessions.save(session);
+      }
+      job = await createJob(req, runInput(req, turnInput(session, conversation)));
+      res.locals.job_id = job.id;
+      session.job_id = job.id;
+      await sessions.save(session);
+      const out = await runner.run(job);
+      recordTurn(session, job.id, out);
+      await sessions.save(session);
+      res.json({ ok: true, session: sessionView(session), ...out, job_id: job.id });
+    } catch (err) {
+      recordFailure(session, job?.id, err);
+      await sessions.save(session);
+      res.status(500).json({ ok: false, error: session.error, session: sessionView(session), job_id: job?.id ?? null });
+    } finally {
+      turns.delete(session.id);
+    }
+  }
+
+  // Session interrompue pendant un tour (arrêt du serveur) : réalignée sur le job du tour
+  async function settled(session) {
+    if (session?.status !== "running" || turns.has(session.id)) return session;
+    const job = session.job_id ? await jobs.get(session.job_id) : null;
+    if (reconcileTurn(session, job)) await sessions.save(session);
+    return session;
+  }
+
+  app.post("/sessions", allow("run"), guarded(async (req, res) => {
+    const session = await sessions.create(runInput(req, req.body || {}));
+    await sessionTurn(session, req, res);
+  }));
+
+  app.get("/sessions", allow("read"), guarded(async (req, res) => {
+    for (const s of await sessions.list({ status: "running", limit: Infinity })) await settled(s);
+    const list = await sessions.list({ status: req.query.status });
+    res.json({
+      ok: true,
+      sessions: list.map((s) => ({
+        id: s.id,
+        status: s.status,
+        demande_client: s.demande_client,
+        created_at: s.created_at,
+        updated_at: s.updated_at,
+      })),
+    });
+  }));
+
+  app.get("/sessions/:id", allow("read"), guarded(async (req, res) => {
+    const session = await settled(await sessions.get(req.params.id));
+    if (!session) return res.status(404).json({ ok: false, error: "SESSION_NOT_FOUND" });
+    res.json({ ok: true, session: sessionView(session) });
+  }));
+
+  // Réponse aux questions (ou précision après un échec) : body { message }
+  app.post("/sessions/:id/messages", allow("run"), guarded(async (req, res) => {
+    const session = await settled(await sessions.get(req.params.id));
+    if (!session) return res.status(404).json({ ok: false, error: "SESSION_NOT_FOUND" });
+    if (["running", "done"].includes(session.status)) {
+      return res.status(409).json({ ok: false, error: `SESSION_${session.status.toUpperCase()}` });
+    }
+    const message = String(req.body?.message ?? "").trim();
+    if (!message) return res.status(400).json({ ok: false, error: "EMPTY_MESSAGE" });
+
+    await sessionTurn(session, req, res, message);
+  }));
+
+  // --- Jobs : statut, résultats partiels, résultat final, reprise
+  app.get("/jobs", allow("read"), guarded(async (req, res) => {
+    const list = await jobs.list({ status: req.query.status });
+    const summary = list.map((j) => ({
+      id: j.id,
+      status: j.status,
+      created_at: j.created_at,
+      updated_at: j.updated_at,
+      error: j.error,
+      auteur: j.auteur ?? null,
+      demande_client: j.input?.demande_client ?? "",
+    }));
+    res.json({ ok: true, jobs: summary });
+  }));
+
+  app.get("/jobs/:id", allow("read"), guarded(async (req, res) => {
+    const job = await jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: "JOB_NOT_FOUND" });
+    res.json({ ok: true, job: jobView(job) });
+  }));
+
+  app.get("/jobs/:id/result", allow("read"), guarded(async (req, res) => {
+    const job = await jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: "JOB_NOT_FOUND" });
+    if (["done", "partial"].includes(job.status)) {
+      return res.status(runStatus(job.result)).json({ ok: true, ...job.result, job_id: job.id });
+    }
+    if (job.status === "failed") return res.status(500).json({ ok: false, error: job.error, job_id: job.id });
+    res.status(202).json({ ok: true, job_id: job.id, status: job.status });
+  }));
+
+  // Relance un job échoué ou partiel : les étapes déjà enregistrées ne sont pas rejouées.
+  // Sans permission d'écriture, seuls les jobs en mode test peuvent être relancés.
+  app.post("/jobs/:id/resume", allow("run"), guarded(async (req, res) => {
+    const job = await jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: "JOB_NOT_FOUND" });
+    res.locals.job_id = job.id;
+    if (!canWrite(req) && job.input?.mode_test !== true) {
+      return res.status(403).json({ ok: false, error: "FORBIDDEN", permission: "write" });
+    }
+    if (!["failed", "partial"].includes(job.status)) {
+      return res.status(409).json({ ok: false, error: `JOB_${job.status.toUpperCase()}` });
+    }
+    await runner.enqueue(job);
+    res.status(202).json({ ok: true, job_id: job.id, status: "queued", status_url: `/jobs/${job.id}` });
+  }));
+
+  // --- Export du livrable formation d'un run : programme, déroulé, fiches ateliers, supports (md | docx | pdf)
+  // ?etape=<id> choisit l'étape formation du plan (par défaut : la première réussie)
+  const exportSource = async (id, etape) => {
+    const job = await jobs.get(id);
+    if (!job) return { ok: false, status: 404, error: "JOB_NOT_FOUND" };
+    if (!["done", "partial"].includes(job.status)) {
+      return { ok: false, status: 409, error: `JOB_${job.status.toUpperCase()}` };
+    }
+    return formationSource(job.result, etape);
+  };
+
+  app.get("/jobs/:id/export", allow("read"), guarded(async (req, res) => {
+    const source = await exportSource(req.params.id, req.query.etape);
+    if (!source.ok) return res.status(source.status).json({ ok: false, error: source.error, job_id: req.params.id });
+    const { step } = source;
+    const base = `/jobs/${req.params.id}/export`;
+    const { qualiopi, documents } = exporter.documents(step);
+    res.json({
+      ok: true,
+      job_id: req.params.id,
+      etape: step.id,
+      qualiopi,
+      documents: documents.map((d) => ({
+        ...d,
+        urls: Object.fromEntries(d.formats.map((f) => [f, `${base}/${d.document}.${f}?etape=${step.id}`])),
+      })),
+    });
+  }));
+
+  app.get("/jobs/:id/export/:document.:format", allow("read"), guarded(async (req, res) => {
+    const source = await exportSource(req.params.id, req.query.etape);
+    if (!source.ok) return res.status(source.status).json({ ok: false, error: source.error, job_id: req.params.id });
+    try {
+      const out = await exporter.render(source.step, req.params.document, req.params.format);
+      if (!out.ok) return res.status(out.status).json({ ok: false, error: out.error, manquantes: out.manquantes });
+      res.type(out.contentType);
+      res.set("Content-Disposition", `attachment; filename="${out.filename}"`);
+      res.send(out.body);
+    } catch (err) {
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  }));
+
+  // --- Mémoire : dernières entrées d'une base (journal des runs, doctrine, projets, décisions) ; ?limit=
+  for (const kind of KINDS) {
+    app.get(`/${kind}`, allow("read"), async (req, res) => {
+      const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), MEMORY_LIST_LIMIT);
+      try {
+        res.json({ ok: true, kind, entries: await store.list(kind, { limit }) });
+      } catch (err) {
+        res.status(500).json({ ok: false, error: String(err?.message || err) });
+      }
+    });
+  }
+
+  // --- Historique des versions d'une entrée doctrine / décision
+  for (const kind of ["doctrine", "decisions"]) {
+    app.get(`/${kind}/:id/versions`, allow("read"), async (req, res) => {
+      try {
+        const match = titleMatcher(ruleFor(upsert, kind));
+        const versions = await versionTimeline(store, kind, req.params.id, { match });
+        if (!versions) return res.status(404).json({ ok: false, error: "ENTRY_NOT_FOUND" });
+        res.json({ ok: true, versions });
+      } catch (err) {
+        res.status(500).json({ ok: false, error: String(err?.message || err) });
+      }
+    });
+  }
+
+  // --- Propositions d'écriture : liste, modification, approbation (écriture réelle), rejet
+  app.get("/proposals", allow("read"), guarded(async (req, res) => {
+    const list = await proposals.list({ status: req.query.status, kind: req.query.kind });
+    res.json({ ok: true, proposals: list });
+  }));
+
+  app.get("/proposals/:id", allow("read"), guarded(async (req, res) => {
+    const p = await proposals.get(req.params.id);
+    if (!p) return res.status(404).json({ ok: false, error: "PROPOSAL_NOT_FOUND" });
+    res.json({ ok: true, proposal: p });
+  }));
+
+  // body = { record: { champ: valeur } } : champs du schéma de la base uniquement, valeurs vérifiées par le
+  // schéma des écritures du run (types, options select des bases)
+  app.patch("/proposals/:id", allow("write"), guarded(async (req, res) => {
+    const p = await proposals.get(req.params.id);
+    if (!p) return res.status(404).json({ ok: false, error: "PROPOSAL_NOT_FOUND" });
+    if (p.status !== "pending") return res.status(409).json({ ok: false, error: `PROPOSAL_${p.status.toUpperCase()}` });
+
+    const changes = req.body?.record || {};
+    const unknown = unknownFields(p.kind, changes);
+    if (unknown.length) return res.status(400).json({ ok: false, error: `UNKNOWN_FIELDS: ${unknown.join(", ")}` });
+    const erreurs = invalidValues(p.kind, changes, buildOutputSchema(await store.selectOptions?.(), agents));
+    if (erreurs.length) return res.status(400).json({ ok: false, error: "INVALID_FIELDS", erreurs });
+
+    p.record = { ...p.record, ...changes };
+    res.json({ ok: true, proposal: await proposals.save(p) });
+  }));
+
+  app.post("/proposals/:id/approve", allow("write"), guarded(async (req, res) => {
+    const p = await proposals.get(req.params.id);
+    if (!p) return res.status(404).json({ ok: false, error: "PROPOSAL_NOT_FOUND" });
+    if (p.status !== "pending") return res.status(409).json({ ok: false, error: `PROPOSAL_${p.status.toUpperCase()}` });
+
+    // Réservée avant l'écriture : une seconde approbation concurrente reçoit 409 au lieu d'écrire deux fois
+    p.status = "applying";
+    await proposals.save(p);
+    try {
+      p.result = await applyWrite(store, p.kind, p.record, upsert, p.action);
+      p.status = "approved";
+      retriever.invalidate(p.kind);
+      res.json({ ok: true, proposal: await proposals.save(p) });
+    } catch (err) {
+      p.status = "pending";
+      await proposals.save(p);
+      res.status(500).json({ ok: false, error: String(err?.message || err) });
+    }
+  }));
+
+  app.post("/proposals/:id/reject", allow("write"), guarded(async (req, res) => {
+    const p = await proposals.get(req.params.id);
+    if (!p) return res.status(404).json({ ok: false, error: "PROPOSAL_NOT_FOUND" });
+    if (p.status !== "pending") return res.status(409).json({ ok: false, error: `PROPOSAL_${p.status.toUpperCase()}` });
+
+    p.status = "rejected";
+    p.motif = req.body?.motif ?? null;
+    res.json({ ok: true, proposal: await proposals.save(p) });
+  }));
+
+  // --- Variante streaming : un événement SSE par étape, puis "done" (ou "error")
+  app.post("/run/stream", allow("run"), async (req, res) => {
+    const send = openEventStream(res);
+    const streamLivrable = Boolean(req.body?.stream_tokens);
+
+    try {
+      const { job, replay, error } = await claimRun(req, runInput(req, req.body || {}));
+      res.locals.job_id = job?.id;
+      if (error) {
+        send("error", { ok: false, error, job_id: job.id });
+        return res.end();
+      }
+      send("job", { id: job.id });
+      if (replay) {
+        send("done", { ok: true, ...job.result, job_id: job.id, rejoue: true });
+        return res.end();
+      }
+      const out = await runner.run(job, { emit: send, streamLivrable });
+      send("done", { ok: true, ...out, job_id: job.id });
+    } catch (err) {
+      send("error", { ok: false, error: String(err?.message || err) });
+    }
+    res.end();
+  });
+
+  // --- Traces (id = id du job pour un run) : spans, appels modèle, tokens, coût estimé
+  app.get("/traces", allow("admin"), guarded(async (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const list = await tracer.store.list({ status: req.query.status, type: req.query.type, limit });
+    res.json({ ok: true, traces: list.map(traceSummary) });
+  }));
+
+  // Totaux par jour et par agent : ?from=AAAA-MM-JJ&to=AAAA-MM-JJ (inclus)
+  app.get("/traces/couts", allow("admin"), guarded(async (req, res) => {
+    const traces = await tracer.store.list({ limit: Infinity });
+    const totals = costTotals(traces, { from: req.query.from, to: req.query.to });
+    res.json({ ok: true, devise: tracer.pricing.devise, ...totals });
+  }));
+
+  app.get("/traces/:id", allow("admin"), guarded(async (req, res) => {
+    const trace = await tracer.store.get(req.params.id);
+    if (!trace) return res.status(404).json({ ok: false, error: "TRACE_NOT_FOUND" });
+    res.json({ ok: true, trace });
+  }));
+
+  // --- Journal d'audit (qui a déclenché quoi) : ?cle=<id de clé>&limit=
+  app.get("/audit", allow("admin"), guarded(async (req, res) => {
+    if (!auth.audit) return res.status(404).json({ ok: false, error: "AUTH_DISABLED" });
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    res.json({ ok: true, entries: await auth.audit.list({ cle: req.query.cle, limit }) });
+  }));
+
+  return app;
+}
@@ -0,0 +1,217 @@
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { appendFile, mkdir, readFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+// =====================
+// ACCÈS (clés d'API, rôles, quotas, audit)
+// =====================
+// Chaque appel porte une clé d'API (Authorization: Bearer <clé>, ou X-Api-Key). Le fichier des clés
+// ne contient que leur empreinte SHA-256 : une fuite du fichier ne donne aucun accès.
+//
+// cle = { id, role, sha256, limite_par_minute? }
+// role ∈ fondateur | collaborateur | lecteur
+//
+// Permissions demandées par les routes :
+// - read  : consulter runs, mémoire, propositions, exports ;
+// - run   : lancer un run / un agent (crédits modèle, quota par clé) ;
+// - write : écrire la mémoire (runs hors mode test, validation des propositions) ;
+// - admin : diagnostic (détail de /health avec les IDs des bases, resync, journal d'audit).
+// Un run lancé sans la permission write est forcé en mode test (aucune écriture mémoire hors journal).
+
+export const ROLES = {
+  fondateur: ["read", "run", "write", "admin"],
+  collaborateur: ["read", "run"],
+  lecteur: ["read"],
+};
+
+// Runs / appels d'agents par minute et par clé, sauf limite_par_minute propre à la clé
+export const DEFAULT_RATE_LIMITS = { fondateur: 30, collaborateur: 10, lecteur: 0 };
+
+// Permissions dont les appels sont décomptés du quota
+const RATE_LIMITED = new Set(["run"]);
+
+const RATE_WINDOW_MS = 60_000;
+
+export const hashKey = (key) => createHash("sha256").update(String(key)).digest("hex");
+
+/**
+ * Lit et valide le fichier des clés { cles: [...] } ; lève une erreur explicite si invalide.
+ */
+export function loadAuthKeys(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Auth keys file ${file}: ${err.message}`);
+  }
+  return validateAuthKeys(parsed.cles, file);
+}
+
+export function validateAuthKeys(cles, source = "auth keys") {
+  if (!Array.isArray(cles) || cles.length === 0) throw new Error(`${source}: "cles" must be a non-empty list`);
+  const ids = new Set();
+  const hashes = new Set();
+  for (const c of cles) {
+    if (!c?.id || typeof c.id !== "string") throw new Error(`${source}: every key needs a string "id"`);
+    if (ids.has(c.id)) throw new Error(`${source}: duplicate key id "${c.id}"`);
+    if (!ROLES[c.role]) throw new Error(`${source}: key "${c.id}" has unknown role "${c.role}"`);
+    if (!/^[0-9a-f]{64}$/.test(c.sha256 || "")) throw new Error(`${source}: key "${c.id}" needs a hex "sha256"`);
+    if (hashes.has(c.sha256)) throw new Error(`${source}: key "${c.id}" reuses another key`);
+    if (c.limite_par_minute !== undefined && !(Number.isInteger(c.limite_par_minute) && c.limite_par_minute >= 0)) {
+      throw new Error(`${source}: key "${c.id}" has an invalid "limite_par_minute"`);
+    }
+    ids.add(c.id);
+    hashes.add(c.sha256);
+  }
+  return cles;
+}
+
+// Clé présentée par la requête, sinon null
+function presentedKey(req) {
+  const bearer = req.get("authorization")?.match(/^Bearer\s+(.+)$/i)?.[1];
+  return (bearer || req.get("x-api-key") || "").trim() || null;
+}
+
+/**
+ * Journal d'audit : une ligne JSON par appel (fichier `file`, ou en mémoire si absent).
+ * entrée = { at, cle, role, methode, route, statut, job_id?, session_id?, erreur? }
+ */
+export function createAuditLog({ file = null } = {}) {
+  let entries = [];
+  let loading = file ? null : Promise.resolve();
+
+  function load() {
+    loading ??= (async () => {
+      try {
+        const text = await readFile(file, "utf8");
+        entries = text
+          .split("\n")
+          .filter(Boolean)
+          .map((line) => JSON.parse(line));
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+      }
+    })().catch((err) => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  async function record(entry) {
+    await load();
+    const line = { at: new Date().toISOString(), ...entry };
+    entries.push(line);
+    if (!file) return line;
+    await mkdir(dirname(file), { recursive: true });
+    await appendFile(file, `${JSON.stringify(line)}\n`);
+    return line;
+  }
+
+  // Plus récentes d'abord ; cle = id de clé
+  async function list({ cle, limit = 100 } = {}) {
+    await load();
+    return entries
+      .filter((e) => !cle || e.cle === cle)
+      .slice(-limit)
+      .reverse();
+  }
+
+  return { record, list };
+}
+
+/**
+ * Contrôle d'accès. keys = clés validées (loadAuthKeys) ; audit = journal des appels.
+ * allow(permission) -> middleware Express : 401 sans clé valide, 403 sans la permission,
+ * 429 au-delà du quota ; req.auth = { id, role, permissions } pour la suite de la route.
+ * Les appels qui modifient (méthode autre que GET) sont consignés, refus compris.
+ */
+export function createAuth({ keys, audit = createAuditLog(), rateLimits = {}, now = Date.now }) {
+  const byHash = new Map(validateAuthKeys(keys).map((k) => [k.sha256, k]));
+  const limits = { ...DEFAULT_RATE_LIMITS, ...rateLimits };
+  const windows = new Map();
+
+  const keyOf = (presented) => (presented ? byHash.get(hashKey(presented)) || null : null);
+
+  // Fenêtre fixe d'une minute par clé -> secondes avant la prochaine fenêtre si le quota est atteint
+  function consume(key) {
+    const limit = key.limite_par_minute ?? limits[key.role] ?? 0;
+    const t = now();
+    let w = windows.get(key.id);
+    if (!w || t - w.start >= RATE_WINDOW_MS) {
+      w = { start: t, count: 0 };
+      windows.set(key.id, w);
+    }
+    if (w.count >= limit) return Math.ceil((w.start + RATE_WINDOW_MS - t) / 1000);
+    w.count += 1;
+    return 0;
+  }
+
+  function trace(req, res, key) {
+    if (req.method === "GET") return;
+    res.on("finish", () => {
+      audit
+        .record({
+          cle: key?.id ?? null,
+          role: key?.role ?? null,
+          methode: req.method,
+          route: req.originalUrl.split("?")[0],
+          statut: res.statusCode,
+          ...(res.locals.job_id ? { job_id: res.locals.job_id } : {}),
+          ...(res.locals.session_id ? { session_id: res.locals.session_id } : {}),
+          ...(res.statusCode >= 400 && res.locals.error ? { erreur: res.locals.error } : {}),
+        })
+        .catch((err) => console.error("Audit write failed:", err));
+    });
+  }
+
+  const deny = (res, status, error, extra = {}) => {
+    res.locals.error = error;
+    return res.status(status).json({ ok: false, error, ...extra });
+  };
+
+  function allow(permission) {
+    return (req, res, next) => {
+      const presented = presentedKey(req);
+      const key = keyOf(presented);
+      trace(req, res, key);
+      if (!presented) return deny(res, 401, "AUTH_REQUIRED");
+      if (!key) return deny(res, 401, "INVALID_KEY");
+
+      const permissions = ROLES[key.role];
+      if (!permissions.includes(permission)) return deny(res, 403, "FORBIDDEN", { permission });
+
+      if (RATE_LIMITED.has(permission)) {
+        const retryAfter = consume(key);
+        if (retryAfter) {
+          res.set("Retry-After", String(retryAfter));
+          return deny(res, 429, "RATE_LIMITED", { retry_after: retryAfter });
+        }
+      }
+      req.auth = { id: key.id, role: key.role, permissions };
+      next();
+    };
+  }
+
+  // Clé présentée valide avec la permission (sans refus ni quota) : détail optionnel d'une route publique
+  function has(req, permission) {
+    const key = keyOf(presentedKey(req));
+    return Boolean(key && ROLES[key.role].includes(permission));
+  }
+
+  return { allow, has, audit };
+}
+
+// Sans authentification (tests, AUTH_DISABLED=1) : tout est permis, appels non consignés
+export function openAccess() {
+  const all = { id: null, role: null, permissions: ROLES.fondateur };
+  return {
+    allow: () => (req, res, next) => {
+      req.auth = all;
+      next();
+    },
+    has: () => true,
+    audit: null,
+  };
+}
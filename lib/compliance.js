@@ -0,0 +1,173 @@
+import { readFileSync } from "node:fs";
+
+// =====================
+// LIGNES ROUGES (contrôle de conformité des livrables)
+// =====================
+// Deux niveaux de contrôle :
+// 1) règles (config/lignes-rouges.json) : motifs regex par ligne rouge, action "flag" ou "block" ;
+// 2) classifieur modèle (optionnel) : rôle LLM "conformite", sortie structurée.
+// Verdict = "ok" | "flag" | "block" (le plus grave l'emporte).
+
+export const DEFAULT_RULES_FILE = new URL("../config/lignes-rouges.json", import.meta.url);
+
+const SEVERITY = { ok: 0, flag: 1, block: 2 };
+
+// Une négation qui porte sur le passage lui-même ("aucune sanction", "ne pas licencier", "sans sanctionner"),
+// juste avant lui, ne viole pas la ligne. Une négation plus loin dans la phrase ("Sans attendre, il faut
+// sanctionner…", "N'hésitez jamais : licencier…") ou sur un autre verbe ("ne manquez pas de…") ne compte pas.
+const NEGATION =
+  /(?<!\p{L})(?:sans|jamais|aucune?|interdit de|évit(?:er|ez) de|n(?:e |['’])(?:\p{L}+ ){0,2}?(?:pas|jamais|plus)) +$/iu;
+// "pas de" nie un nom ("pas de convocation…"), pas quand il suit un autre verbe nié ("ne manquez pas de")
+const NOUN_NEGATION = /(?<!(?<!\p{L})n(?:e |['’])\p{L}+ )(?<!\p{L})pas de +$/iu;
+
+export const CLASSIFIER_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["violations"],
+  properties: {
+    violations: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["ligne", "extrait", "gravite"],
+        properties: {
+          ligne: { type: "string" },
+          extrait: { type: "string" },
+          gravite: { type: "string", enum: ["flag", "block"] },
+        },
+      },
+    },
+  },
+};
+
+export function loadComplianceRules(file = DEFAULT_RULES_FILE) {
+  const { regles = [] } = JSON.parse(readFileSync(file, "utf8"));
+  return regles.map((r) => ({
+    ...r,
+    action: r.action === "flag" ? "flag" : "block",
+    // apostrophe droite ou typographique indifféremment
+    patterns: (r.motifs || []).map((m) => new RegExp(m.replace(/'/g, "['’]"), "giu")),
+  }));
+}
+
+function worst(violations) {
+  return violations.reduce((v, x) => (SEVERITY[x.action] > SEVERITY[v] ? x.action : v), "ok");
+}
+
+function classifierPrompt(rules) {
+  return `
+Tu es le contrôleur de conformité d’InnovaCSE.
+Tu lis un livrable et tu signales UNIQUEMENT les passages qui franchissent une ligne rouge :
+${rules.map((r) => `- ${r.ligne} (${r.action === "block" ? "block" : "flag"})`).join("\n")}
+Un passage qui rappelle une interdiction ("aucune sanction", "ne pas qualifier") n'est PAS une violation.
+Si rien ne franchit une ligne: violations=[].
+SORTIE: JSON uniquement.
+`.trim();
+}
+
+/**
+ * Contrôleur de conformité.
+ * rules = règles chargées (loadComplianceRules) ; llm + classifier=true active le contrôle modèle.
+ * check(text) -> { verdict, violations: [{ regle, ligne, action, extrait, source }] }
+ */
+export function createComplianceGuard({ rules = loadComplianceRules(), llm = null, classifier = false } = {}) {
+  function checkRules(text) {
+    const violations = [];
+    for (const rule of rules) {
+      for (const re of rule.patterns) {
+        re.lastIndex = 0;
+        for (const m of String(text).matchAll(re)) {
+          const before = String(text).slice(Math.max(0, m.index - 60), m.index);
+          if (NEGATION.test(before) || NOUN_NEGATION.test(before)) continue;
+          violations.push({ regle: rule.id, ligne: rule.ligne, action: rule.action, extrait: m[0], source: "regles" });
+        }
+      }
+    }
+    return violations;
+  }
+
+  async function checkModel(text) {
+    const r = await llm.complete("conformite", {
+      system: classifierPrompt(rules),
+      user: String(text),
+      schema: CLASSIFIER_SCHEMA,
+      schemaName: "innovacse_conformite",
+    });
+    const { violations = [] } = JSON.parse(r.text || "{}");
+    return violations.map((v) => ({
+      regle: "modele",
+      ligne: v.ligne,
+      action: v.gravite === "flag" ? "flag" : "block",
+      extrait: v.extrait,
+      source: "modele",
+    }));
+  }
+
+  async function check(text) {
+    if (!String(text || "").trim()) return { verdict: "ok", violations: [] };
+
+    const violations = checkRules(text);
+    if (classifier && llm) violations.push(...(await checkModel(text)));
+
+    return { verdict: worst(violations), violations };
+  }
+
+  return { check };
+}
+
+// Texte contrôlé d'une sortie d'agent : toutes ses chaînes (livrable, titre, déroulé, ateliers,
+// points à valider…), une par ligne : une négation ne porte pas d'un champ sur le suivant
+export function agentText(data) {
+  const strings = (v) => {
+    if (typeof v === "string") return [v];
+    if (Array.isArray(v)) return v.flatMap(strings);
+    if (v && typeof v === "object") return Object.values(v).flatMap(strings);
+    return [];
+  };
+  const { agent, ...fields } = data || {};
+  return strings(fields).join("\n");
+}
+
+/**
+ * Contrôle d'un run : chaque sortie agent réussie (tous ses champs texte), puis livrable_final.
+ * -> { verdict, livrable_final: rapport, agents: [{ id, agent, verdict, violations }] }
+ */
+export async function reviewRun(guard, { livrable_final, results }) {
+  const agents = [];
+  for (const r of results || []) {
+    if (!r?.ok) continue;
+    agents.push({ id: r.id, agent: r.agent, ...(await guard.check(agentText(r.data))) });
+  }
+  const final = await guard.check(livrable_final);
+  const verdict = [final, ...agents].reduce((v, x) => (SEVERITY[x.verdict] > SEVERITY[v] ? x.verdict : v), "ok");
+  return { verdict, livrable_final: final, agents };
+}
+
+// Texte qui remplace un livrable bloqué : le contenu fautif n'est ni renvoyé ni journalisé
+export function blockedNotice(report) {
+  const lignes = [...new Set(report.violations.filter((v) => v.action === "block").map((v) => v.ligne))];
+  return `[LIVRABLE BLOQUÉ — ligne rouge franchie : ${lignes.join(" ; ")}]`;
+}
+
+/**
+ * Résultats d'agents après contrôle : la sortie d'un agent bloqué est réduite à l'avis (aucun de ses
+ * champs n'est conservé : ni titre, ni déroulé, ni ateliers). review = rapport de reviewRun ;
+ * les autres résultats sont renvoyés tels quels.
+ */
+export function redactResults(review, results) {
+  return (results || []).map((r) => {
+    const report = review.agents.find((a) => a.id === r?.id);
+    if (report?.verdict !== "block") return r;
+    return { ...r, data: { agent: r.data?.agent ?? r.agent, livrable: blockedNotice(report), points_a_valider: [] } };
+  });
+}
+
+// Résumé d'une ligne pour le Journal (rapport de reviewRun)
+export function complianceSummary(review) {
+  if (review.verdict === "ok") return "OK";
+  const all = [review.livrable_final, ...review.agents].flatMap((r) => r.violations);
+  const unique = [...new Map(all.map((v) => [`${v.ligne}|${v.extrait}`, v])).values()];
+  const detail = unique.map((v) => `${v.ligne} (« ${v.extrait} »)`).join(" ; ");
+  return `${review.verdict === "block" ? "BLOQUÉ" : "ALERTE"} — ${detail}`;
+}
@@ -0,0 +1,206 @@
+import { DEFAULT_BUDGET_TOKENS, createBm25Index, estimateTokens } from "./retrieval.js";
+import { normalizeTitle } from "./versioning.js";
+
+// =====================
+// CONTRADICTIONS (mémoire actée)
+// =====================
+// Avant d'écrire, chaque proposition du directeur (ecritures_notion.decisions / doctrine)
+// est comparée aux décisions "Actée" / "Active" et à la doctrine active :
+// 1) règles : même titre qu'une entrée actée, mais abandonnée / désactivée / non actée ;
+// 2) modèle (rôle LLM "contradictions") : contradiction de fond, sortie structurée. Le prompt ne reçoit
+//    que les références les plus proches des propositions, dans un budget de tokens (voir selectReferences).
+// Un conflit = { kind, index, titre, proposition, reference: { kind, id, titre }, raison, source }.
+// Les écritures en conflit sont retenues (non créées) et renvoyées dans la réponse.
+
+export const ACTED_STATUTS = ["Actée", "Active"];
+
+export const CONFLICTS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["conflits"],
+  properties: {
+    conflits: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["proposition", "reference", "raison"],
+        properties: {
+          proposition: { type: "string" },
+          reference: { type: "string" },
+          raison: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Références actées à respecter, lues dans le store.
+ * -> { decisions: [record], doctrine: [record] }
+ */
+export async function loadActedMemory(store) {
+  const [decisions, doctrine] = await Promise.all([
+    store.list("decisions", { limit: Infinity }),
+    store.list("doctrine", { limit: Infinity }),
+  ]);
+  return {
+    decisions: decisions.filter((d) => ACTED_STATUTS.includes(d.statut)),
+    doctrine: doctrine.filter((d) => d.actif),
+  };
+}
+
+function checkRules(proposals, references) {
+  const conflicts = [];
+  const byTitle = (list, titre) => list.find((r) => normalizeTitle(r.titre) === normalizeTitle(titre));
+
+  for (const [index, p] of (proposals.decisions || []).entries()) {
+    const ref = byTitle(references.decisions, p.titre);
+    if (ref && !ACTED_STATUTS.includes(p.statut)) {
+      conflicts.push({
+        kind: "decisions",
+        index,
+        titre: p.titre,
+        proposition: p,
+        reference: { kind: "decisions", id: ref.id, titre: ref.titre },
+        raison: `Décision ${ref.statut.toLowerCase()} repassée au statut « ${p.statut} ».`,
+        source: "regles",
+      });
+    }
+  }
+
+  for (const [index, p] of (proposals.doctrine || []).entries()) {
+    const ref = byTitle(references.doctrine, p.titre);
+    if (ref && !p.actif) {
+      conflicts.push({
+        kind: "doctrine",
+        index,
+        titre: p.titre,
+        proposition: p,
+        reference: { kind: "doctrine", id: ref.id, titre: ref.titre },
+        raison: "Doctrine active désactivée par une nouvelle entrée du même titre.",
+        source: "regles",
+      });
+    }
+  }
+  return conflicts;
+}
+
+// Références soumises au modèle, comme la mémoire du directeur (voir retrieval.js) : les plus proches
+// d'au moins une proposition (BM25, score normalisé par proposition), sinon les plus récentes ;
+// une référence qui dépasse le budget restant est sautée, les suivantes tentées.
+function selectReferences(propositions, refs, budgetTokens) {
+  const bm25 = createBm25Index(refs.map((r) => Object.values(r.view).join(" ")));
+  const scores = refs.map(() => 0);
+  for (const p of propositions) {
+    const s = bm25.score(Object.values(p).join(" "));
+    const max = Math.max(0, ...s);
+    if (max) s.forEach((v, i) => (scores[i] = Math.max(scores[i], v / max)));
+  }
+
+  const ranked = refs.map((ref, i) => ({ ref, score: scores[i] }));
+  const relevant = ranked.filter((r) => r.score > 0).sort((a, b) => b.score - a.score);
+  const candidates =
+    relevant.length > 0
+      ? relevant
+      : ranked.sort((a, b) => String(b.ref.record.updated_at).localeCompare(String(a.ref.record.updated_at)));
+
+  const selected = [];
+  let spent = 0;
+  for (const { ref } of candidates) {
+    const tokens = estimateTokens(ref.view);
+    if (spent + tokens > budgetTokens) continue;
+    spent += tokens;
+    selected.push(ref);
+  }
+  return selected;
+}
+
+function checkerPrompt() {
+  return `
+Tu es le contrôleur de cohérence de la mémoire d’InnovaCSE.
+On te donne des PROPOSITIONS (nouvelles décisions / doctrine) et des RÉFÉRENCES (décisions actées, doctrine active).
+Signale UNIQUEMENT les propositions qui contredisent une référence : choix opposé, règle incompatible,
+retour sur une décision actée. Une précision ou un complément compatible n'est PAS une contradiction.
+proposition = identifiant de la proposition (ex: "decisions:0") ; reference = identifiant de la référence (ex: "ref:3").
+raison = une phrase courte et concrète.
+Si aucune contradiction: conflits=[].
+SORTIE: JSON uniquement.
+`.trim();
+}
+
+/**
+ * Contrôleur de contradictions. llm + model=true active la comparaison par le modèle.
+ * budgetTokens = taille max des références soumises au modèle (les règles voient toute la mémoire actée).
+ * check(proposals, references) -> [conflit]
+ * proposals = { decisions, doctrine } (format ecritures_notion) ; references = loadActedMemory().
+ */
+export function createConflictChecker({ llm = null, model = true, budgetTokens = DEFAULT_BUDGET_TOKENS } = {}) {
+  async function checkModel(proposals, references) {
+    const propositions = [
+      ...(proposals.decisions || []).map((p, i) => ({ id: `decisions:${i}`, ...p })),
+      ...(proposals.doctrine || []).map((p, i) => ({ id: `doctrine:${i}`, ...p })),
+    ];
+    const view = (kind, record) => ({
+      titre: record.titre,
+      ...(kind === "decisions"
+        ? { statut: record.statut, justification: record.justification, impact: record.impact }
+        : { type: record.categorie, contenu: record.contenu, version: record.version }),
+    });
+    const refs = selectReferences(
+      [...(proposals.decisions || []), ...(proposals.doctrine || [])],
+      [
+        ...references.decisions.map((r) => ({ kind: "decisions", record: r, view: view("decisions", r) })),
+        ...references.doctrine.map((r) => ({ kind: "doctrine", record: r, view: view("doctrine", r) })),
+      ],
+      budgetTokens,
+    );
+    if (refs.length === 0) return [];
+    const refView = refs.map(({ kind, view: v }, i) => ({ id: `ref:${i}`, kind, ...v }));
+
+    const r = await llm.complete("contradictions", {
+      system: checkerPrompt(),
+      user: `PROPOSITIONS:\n${JSON.stringify(propositions)}\n\nRÉFÉRENCES:\n${JSON.stringify(refView)}`,
+      schema: CONFLICTS_SCHEMA,
+      schemaName: "innovacse_contradictions",
+    });
+    const { conflits = [] } = JSON.parse(r.text || "{}");
+
+    return conflits.flatMap((c) => {
+      const [kind, i] = String(c.proposition).split(":");
+      const proposal = proposals[kind]?.[Number(i)];
+      const ref = refs[Number(String(c.reference).replace(/^ref:/, ""))];
+      if (!proposal || !ref) return [];
+      return [
+        {
+          kind,
+          index: Number(i),
+          titre: proposal.titre,
+          proposition: proposal,
+          reference: { kind: ref.kind, id: ref.record.id, titre: ref.record.titre },
+          raison: c.raison,
+          source: "modele",
+        },
+      ];
+    });
+  }
+
+  async function check(proposals, references) {
+    const count = (proposals.decisions?.length || 0) + (proposals.doctrine?.length || 0);
+    const known = references.decisions.length + references.doctrine.length;
+    if (count === 0 || known === 0) return [];
+
+    const conflicts = checkRules(proposals, references);
+    if (model && llm) {
+      // Une seule entrée par proposition : la règle l'emporte sur le modèle
+      const seen = new Set(conflicts.map((c) => `${c.kind}:${c.index}`));
+      for (const c of await checkModel(proposals, references)) {
+        if (!seen.has(`${c.kind}:${c.index}`)) conflicts.push(c);
+        seen.add(`${c.kind}:${c.index}`);
+      }
+    }
+    return conflicts;
+  }
+
+  return { check };
+}
@@ -0,0 +1,362 @@
+import { defaultAgents, directorParametersSchema } from "./agents.js";
+import { FUSION_STRATEGIES, mergeLivrables } from "./orchestration.js";
+
+// =====================
+// ENUMS ALIGNÉS NOTION
+// =====================
+// Valeurs de repli : le schéma de sortie prend les options réellement présentes dans Notion
+// (store.selectOptions, voir buildOutputSchema) ; ces listes servent au store local
+// ou pour un champ sans colonne select.
+
+// DOCTRINE Type options (Notion "Type")
+export const DOCTRINE_TYPES = [
+  "Positionnement",
+  "Ligne rouge",
+  "Méthode",
+  "Structure",
+  "Formation",
+  "Processus interne",
+  "Innovation",
+  "Gouvernance",
+  "Éthique et Transparence",
+  "Prise de décision",
+];
+
+// DECISIONS
+export const DECISION_STATUTS = ["Actée", "En réflexion", "Abandonnée", "Active"];
+export const DECISION_DOMAINES = ["Formation", "EIRIA", "Vente", "Communication", "Organisation", "Stratégie"];
+
+// PROJETS
+export const PROJET_STATUTS = ["Idée", "En cours", "En pause", "Terminé"];
+export const PROJET_DOMAINES = ["Formation", "EIRIA", "Vente", "Communication", "Organisation"];
+export const PRIORITES = ["Haute", "Moyenne", "Basse"];
+
+// Questions de clarification retenues par tour de conversation
+export const MAX_QUESTIONS = 3;
+
+// Champs enum des écritures mémoire : { [kind]: { [champ]: valeurs de repli } }
+export const ENUM_FIELDS = {
+  doctrine: { categorie: DOCTRINE_TYPES },
+  decisions: { statut: DECISION_STATUTS, domaine: DECISION_DOMAINES },
+  projets: { statut: PROJET_STATUTS, priorite: PRIORITES, domaine: PROJET_DOMAINES },
+};
+
+// =====================
+// OPENAI: STRUCTURED OUTPUT SCHEMA
+// =====================
+/**
+ * Schéma de sortie du directeur. options = { [kind]: { [champ]: [valeurs] } } (store.selectOptions) :
+ * une liste non vide remplace les valeurs de repli d'ENUM_FIELDS.
+ * agents = registre des agents (voir agents.js) : seuls ses agents peuvent figurer dans un plan.
+ */
+export function buildOutputSchema(options = {}, agents = defaultAgents()) {
+  const enums = {};
+  for (const [kind, fields] of Object.entries(ENUM_FIELDS)) {
+    enums[kind] = {};
+    for (const [field, fallback] of Object.entries(fields)) {
+      const live = options?.[kind]?.[field];
+      enums[kind][field] = Array.isArray(live) && live.length > 0 ? live : fallback;
+    }
+  }
+  // payload.parametres : paramètres déclarés par les agents (absent si aucun n'en déclare)
+  const parametres = directorParametersSchema(agents);
+
+  return {
+    type: "object",
+    additionalProperties: false,
+    required: [
+      "type_demande",
+      "domaine",
+      "decision_strategique",
+      "nouveau_projet",
+      "priorite",
+      "decision_directeur",
+      "brief_valide",
+      "structure_qualiopi",
+      "livrable_final",
+      "ecritures_notion",
+      "prochaines_actions",
+      "orchestration",
+      "clarification",
+    ],
+    properties: {
+      type_demande: { type: "string" },
+      domaine: { type: "string" },
+      decision_strategique: { type: "boolean" },
+      nouveau_projet: { type: "boolean" },
+      priorite: { type: "string", enum: PRIORITES },
+      decision_directeur: { type: "string" },
+
+      brief_valide: { type: "string" },
+      structure_qualiopi: { type: "string" },
+      livrable_final: { type: "string" },
+
+      ecritures_notion: {
+        type: "object",
+        additionalProperties: false,
+        required: ["doctrine", "decisions", "projets"],
+        properties: {
+          doctrine: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              required: ["titre", "categorie", "contenu", "actif", "version"],
+              properties: {
+                titre: { type: "string" },
+                categorie: { type: "string", enum: enums.doctrine.categorie },
+                contenu: { type: "string" },
+                actif: { type: "boolean" },
+                version: { type: "string" },
+              },
+            },
+          },
+          decisions: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              required: ["titre", "statut", "domaine", "justification", "impact"],
+              properties: {
+                titre: { type: "string" },
+                statut: { type: "string", enum: enums.decisions.statut },
+                domaine: { type: "string", enum: enums.decisions.domaine },
+                justification: { type: "string" },
+                impact: { type: "string" },
+              },
+            },
+          },
+          projets: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              required: ["titre", "objectif", "statut", "priorite", "domaine"],
+              properties: {
+                titre: { type: "string" },
+                objectif: { type: "string" },
+                statut: { type: "string", enum: enums.projets.statut },
+                priorite: { type: "string", enum: enums.projets.priorite },
+                domaine: { type: "string", enum: enums.projets.domaine },
+              },
+            },
+          },
+        },
+      },
+
+      prochaines_actions: {
+        type: "array",
+        items: { type: "string" },
+      },
+
+      clarification: {
+        type: "object",
+        additionalProperties: false,
+        required: ["necessaire", "questions"],
+        properties: {
+          necessaire: { type: "boolean" },
+          questions: { type: "array", items: { type: "string" } },
+        },
+      },
+
+      orchestration: {
+        type: "object",
+        additionalProperties: false,
+        required: ["mode", "plan", "fusion"],
+        properties: {
+          mode: { type: "string", enum: ["none", "sync", "async"] },
+          fusion: { type: "string", enum: FUSION_STRATEGIES },
+          plan: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              required: ["id", "agent", "depends_on", "payload"],
+              properties: {
+                id: { type: "string" },
+                depends_on: { type: "array", items: { type: "string" } },
+                agent: { type: "string", enum: Object.keys(agents) },
+                payload: {
+                  type: "object",
+                  additionalProperties: false,
+                  required: [
+                    "demande_client",
+                    "contexte",
+                    "contraintes",
+                    "objectif",
+                    ...(parametres ? ["parametres"] : []),
+                  ],
+                  properties: {
+                    demande_client: { type: "string" },
+                    contexte: { type: "string" },
+                    contraintes: { type: "string" },
+                    objectif: { type: "string" },
+                    ...(parametres ? { parametres } : {}),
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Schéma avec les valeurs de repli (champs modifiables des propositions, store sans options)
+export const OUTPUT_SCHEMA = buildOutputSchema();
+
+// =====================
+// DIRECTOR PROMPT
+// =====================
+// Paramètres déclarés par les agents, pour la section ORCHESTRATION ("" si aucun)
+function parametersPrompt(agents) {
+  const lines = Object.values(agents)
+    .filter((a) => Object.keys(a.parametres || {}).length > 0)
+    .map((a) => {
+      const list = Object.entries(a.parametres).map(
+        ([name, def]) => `${name} (${def.enum ? def.enum.join(" | ") : def.description || def.type})`,
+      );
+      return `  ${a.nom} : ${list.join(", ")}`;
+    });
+  if (lines.length === 0) return "";
+  return `
+- payload.parametres = paramètres de l’agent appelé, tirés de la demande. null si non précisé (valeur par défaut)
+  ou sans objet pour cet agent :
+${lines.join("\n")}`;
+}
+
+// Section CLARIFICATION : questions possibles seulement dans une conversation (voir sessions.js)
+function clarificationPrompt(session) {
+  if (!session) {
+    return `- Requête unique, sans échange possible : clarification.necessaire=false, questions=[].
+  Si la demande est floue : retenir l’hypothèse la plus prudente et l’énoncer dans decision_directeur.`;
+  }
+  if (session.restantes <= 0) {
+    return `- Conversation : plus de question possible. clarification.necessaire=false, questions=[].
+  Décider avec les précisions reçues ; énoncer les hypothèses retenues dans decision_directeur.`;
+  }
+  return `- Conversation : si la demande est trop floue pour décider, clarification.necessaire=true et 1 à ${MAX_QUESTIONS}
+  questions courtes et fermées dans clarification.questions. Dans ce cas : orchestration.mode="none", plan=[],
+  ecritures_notion vides. Le client répond dans la même conversation (PRÉCISIONS DU CLIENT dans le contexte).
+- Tours de questions restants : ${session.restantes}.
+- Sinon : clarification.necessaire=false, questions=[].`;
+}
+
+/**
+ * Prompt système du directeur.
+ * session = { id, restantes } pour un tour de conversation (questions de clarification possibles), sinon null.
+ */
+export function buildSystemPrompt(memory, isTestMode, agents = defaultAgents(), session = null) {
+  const routing = Object.values(agents)
+    .map((a) => `- agent = "${a.nom}" si demande = ${a.description}`)
+    .join("\n");
+  const parametres = parametersPrompt(agents);
+
+  return `
+Tu es le Directeur Exécutif IA d’InnovaCSE.
+Tu es le bras droit stratégique du fondateur.
+
+RÈGLES NON NÉGOCIABLES
+- Clarifier si flou.
+- Imposer un choix unique si hésitation.
+- Refuser la dispersion.
+- Si contradiction avec une décision actée: le signaler.
+- Pas de blabla. Phrases courtes. Concret.
+
+CLARIFICATION
+${clarificationPrompt(session)}
+
+MODE_TEST: ${isTestMode ? "TRUE" : "FALSE"}
+- Si MODE_TEST = TRUE : tu dois retourner ecritures_notion.doctrine = [], ecritures_notion.decisions = [], ecritures_notion.projets = [].
+- Donc AUCUNE écriture de mémoire (hors journal technique qui est géré par le serveur).
+
+DOCTRINE INNOVACSE (OBLIGATOIRE)
+- InnovaCSE = expert méthodologique CSE. La formation est un vecteur. La méthode est le cœur.
+- Pas de contenu juridique encyclopédique. Pas de digressions inutiles.
+- Lignes rouges: aucun conseil disciplinaire, aucune sanction, aucune qualification juridique engageante, aucune décision à la place d’un acteur, aucune reco RH organisationnelle.
+- Structure pédagogique immuable: Cadre juridique -> Analyse structurée -> Outils mobilisables.
+
+ORCHESTRATION (IMPORTANT)
+- Tu peux demander l’appel d’un agent spécialisé.
+- Si pas besoin: orchestration.mode="none" et plan=[]
+- Si besoin: orchestration.mode="sync" et plan=[{id, agent, depends_on, payload}]
+- Si le travail est long (programme de formation complet, plusieurs agents): orchestration.mode="async". Même plan, exécuté en tâche de fond.
+${routing}
+- payload doit contenir EXACTEMENT: demande_client, contexte, contraintes, objectif${parametres ? ", parametres" : ""}.${parametres}
+- id = identifiant court et unique de l’étape (ex: "formation", "post-linkedin").
+- depends_on = ids des étapes dont l’agent a besoin (leur livrable lui est transmis). [] sinon.
+  Les étapes sans dépendance entre elles tournent en parallèle.
+  Ex: contenu qui s’appuie sur le programme -> depends_on=["formation"]. Offre commerciale sur les deux -> ["formation","contenu"].
+- fusion = assemblage des livrables dans livrable_final :
+  "sections" (un bloc par agent), "premier" (premier livrable), "dernier" (l’étape finale consolide tout).
+
+MÉMOIRE NOTION (résumé, à respecter)
+${JSON.stringify(memory)}
+
+SORTIE
+Tu dois produire UNIQUEMENT un JSON conforme au schéma. Aucun texte hors JSON.
+`.trim();
+}
+
+// Questions de clarification à poser au client : seulement en conversation, s'il reste des tours
+export function clarificationQuestions(data, session = null) {
+  if (!session || session.restantes <= 0 || data?.clarification?.necessaire !== true) return [];
+  return (data.clarification.questions || [])
+    .map((q) => String(q).trim())
+    .filter(Boolean)
+    .slice(0, MAX_QUESTIONS);
+}
+
+// =====================
+// MODE B — absorption livrable agent
+// =====================
+// Premier livrable réussi (voir mergeLivrables pour les autres stratégies de fusion)
+export function extractAgentLivrable(orchestration_results) {
+  return mergeLivrables(orchestration_results, "premier");
+}
+
+// =====================
+// ORCHESTRATION FORCÉE (sécurité)
+// =====================
+// Une demande qui relève d'un agent déclarant une orchestration forcée (mots-clés, domaines : voir agents.js)
+// part toujours chez lui, même si le directeur n'a pas demandé d'orchestration. Le premier agent du registre
+// qui correspond l'emporte ; un registre sans déclaration ne force rien.
+export function applyForcedOrchestration(data, { demande_client, contexte, contraintes }, agents = defaultAgents()) {
+  const txt = `${demande_client} ${contexte} ${contraintes}`.toLowerCase();
+  const domaine = String(data?.domaine || "").toLowerCase();
+
+  const forced = Object.values(agents).find(
+    ({ forcee }) =>
+      forcee && (forcee.domaines.some((d) => domaine.includes(d)) || forcee.mots_cles.some((w) => txt.includes(w))),
+  );
+
+  const hasPlan = ["sync", "async"].includes(data.orchestration?.mode);
+  if (forced && !hasPlan) {
+    data.orchestration = {
+      mode: "sync",
+      fusion: "sections",
+      plan: [
+        {
+          id: forced.nom,
+          agent: forced.nom,
+          depends_on: [],
+          payload: {
+            demande_client: demande_client || `Demande ${forced.nom}`,
+            contexte: contexte || "",
+            contraintes: contraintes || "",
+            objectif: forced.forcee.objectif,
+          },
+        },
+      ],
+    };
+  }
+  return data;
+}
+
+// Hard safety: even if model fails instruction, we sanitize in test mode
+export function sanitizeTestMode(data) {
+  data.ecritures_notion = { doctrine: [], decisions: [], projets: [] };
+  data.orchestration = { mode: "none", plan: [], fusion: "sections" };
+  return data;
+}
@@ -0,0 +1,51 @@
+import { Document, HeadingLevel, Packer, Paragraph, Table, TableCell, TableRow, TextRun, WidthType } from "docx";
+
+import { inlineRuns } from "../markdown.js";
+
+// =====================
+// RENDU DOCX
+// =====================
+const HEADINGS = { 1: HeadingLevel.HEADING_1, 2: HeadingLevel.HEADING_2, 3: HeadingLevel.HEADING_3 };
+const CHECKBOX = { true: "☒ ", false: "☐ " };
+
+const runs = (text, bold = false) => inlineRuns(text).map((r) => new TextRun({ text: r.text, bold: bold || r.bold }));
+
+function tableOf(rows) {
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: rows.map(
+      (cells, i) =>
+        new TableRow({
+          tableHeader: i === 0,
+          children: cells.map(
+            (cell) => new TableCell({ children: [new Paragraph({ children: runs(cell, i === 0) })] }),
+          ),
+        }),
+    ),
+  });
+}
+
+function toElement(block) {
+  if (block.type === "heading") return new Paragraph({ heading: HEADINGS[block.level], children: runs(block.text) });
+  if (block.type === "table") return tableOf(block.rows);
+  if (block.type === "bullet") {
+    const prefix = block.checkbox === null ? [] : [new TextRun(CHECKBOX[block.checkbox])];
+    return new Paragraph({ bullet: { level: 0 }, children: [...prefix, ...runs(block.text)] });
+  }
+  if (block.type === "numbered") {
+    return new Paragraph({ indent: { left: 360 }, children: [new TextRun(`${block.numero}. `), ...runs(block.text)] });
+  }
+  return new Paragraph({ children: runs(block.text), spacing: { after: 120 } });
+}
+
+/**
+ * Blocs (voir markdown.js) -> Buffer .docx
+ */
+export async function renderDocx(blocks, { title = "" } = {}) {
+  const doc = new Document({
+    title,
+    creator: "InnovaCSE",
+    sections: [{ children: blocks.map(toElement) }],
+  });
+  return Packer.toBuffer(doc);
+}
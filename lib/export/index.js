@@ -0,0 +1,131 @@
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseBlocks } from "../markdown.js";
+import { FORMATION_PARTIES, QUALIOPI_SECTIONS, qualiopiManquantes } from "../validation.js";
+import { renderDocx } from "./docx.js";
+import { renderPdf } from "./pdf.js";
+import { renderTemplate, tableCell } from "./template.js";
+
+// =====================
+// EXPORT DES LIVRABLES FORMATION (documents Qualiopi)
+// =====================
+// Un livrable de l'agent formation (champs structurés, voir config/agents/formation.json) devient
+// quatre documents, rendus depuis les gabarits Markdown de config/export, puis convertis en DOCX / PDF.
+
+export const DEFAULT_TEMPLATES_DIR = fileURLToPath(new URL("../../config/export", import.meta.url));
+
+export const EXPORT_DOCUMENTS = {
+  programme: "Programme de formation",
+  deroule: "Déroulé pédagogique",
+  ateliers: "Fiches ateliers",
+  supports: "Checklist des supports",
+};
+
+export const EXPORT_FORMATS = {
+  md: "text/markdown; charset=utf-8",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  pdf: "application/pdf",
+};
+
+/**
+ * Lit un gabarit <document>.md par document.
+ * Le programme doit contenir chaque section Qualiopi (intitulé + champ) : sinon erreur au chargement.
+ */
+export function loadExportTemplates(dir = DEFAULT_TEMPLATES_DIR) {
+  const templates = {};
+  for (const document of Object.keys(EXPORT_DOCUMENTS)) {
+    const file = join(dir, `${document}.md`);
+    if (!existsSync(file)) throw new Error(`Export template missing: ${file}`);
+    templates[document] = readFileSync(file, "utf8");
+  }
+  for (const [field, intitule] of Object.entries(QUALIOPI_SECTIONS)) {
+    const placeholder = new RegExp(`\\{\\{[#^]?\\s*${field}\\s*\\}\\}`);
+    if (!templates.programme.includes(intitule) || !placeholder.test(templates.programme)) {
+      throw new Error(`Export template programme.md: Qualiopi section "${intitule}" ({{${field}}}) missing`);
+    }
+  }
+  return templates;
+}
+
+/**
+ * Étape formation exportable d'un résultat de run (job.result).
+ * etape = id d'étape du plan ; sinon la première étape formation réussie.
+ * -> { ok: true, step } | { ok: false, status, error }
+ */
+export function formationSource(result, etape) {
+  const steps = (result?.orchestration_results || []).filter((r) => r.agent === "formation" && r.ok);
+  const step = etape ? steps.find((r) => r.id === etape) : steps[0];
+  if (!step) return { ok: false, status: 404, error: "NO_FORMATION_LIVRABLE" };
+
+  const report = result.conformite?.agents?.find((a) => a.id === step.id);
+  if (report?.verdict === "block") return { ok: false, status: 409, error: "LIVRABLE_BLOCKED" };
+  return { ok: true, step };
+}
+
+// Contexte des gabarits : champs structurés + paramètres + parties du déroulé numérotées
+export function buildContext(step) {
+  const data = step.data || {};
+  const deroule = (data.deroule || []).map((row) =>
+    Object.fromEntries(Object.entries(row).map(([k, v]) => [k, tableCell(v)])),
+  );
+  const parties = FORMATION_PARTIES.map((nom, i) => ({
+    numero: i + 1,
+    nom,
+    sequences: deroule.filter((row) => row.partie === nom),
+  }));
+
+  return {
+    titre: data.titre || "Formation",
+    parametres: step.parametres || {},
+    objectifs: data.objectifs || [],
+    prerequis: data.prerequis || "",
+    modalites_evaluation: data.modalites_evaluation || "",
+    accessibilite: data.accessibilite || "",
+    deroule,
+    parties,
+    ateliers: (data.ateliers || []).map((a, i) => ({ numero: i + 1, ...a })),
+    nb_ateliers: (data.ateliers || []).length,
+    supports: data.supports || [],
+  };
+}
+
+/**
+ * createExporter({ templates }) -> { documents(step), render(step, document, format) }
+ * render refuse un programme incomplet : { ok: false, error: "QUALIOPI_INCOMPLETE", manquantes }.
+ */
+export function createExporter({ templates = loadExportTemplates() } = {}) {
+  // Liste des documents + contrôle Qualiopi du livrable
+  function documents(step) {
+    const manquantes = qualiopiManquantes(step.data);
+    return {
+      qualiopi: { ok: manquantes.length === 0, manquantes },
+      documents: Object.entries(EXPORT_DOCUMENTS).map(([document, titre]) => ({
+        document,
+        titre,
+        formats: Object.keys(EXPORT_FORMATS),
+      })),
+    };
+  }
+
+  async function render(step, document, format) {
+    if (!EXPORT_DOCUMENTS[document]) return { ok: false, status: 404, error: "UNKNOWN_DOCUMENT" };
+    if (!EXPORT_FORMATS[format]) return { ok: false, status: 400, error: "UNKNOWN_FORMAT" };
+
+    const manquantes = qualiopiManquantes(step.data);
+    if (manquantes.length > 0) return { ok: false, status: 422, error: "QUALIOPI_INCOMPLETE", manquantes };
+
+    const markdown = renderTemplate(templates[document], buildContext(step)).replace(/\n{3,}/g, "\n\n");
+    const title = `${EXPORT_DOCUMENTS[document]} — ${step.data.titre || "Formation"}`;
+    let body = markdown;
+    if (format === "docx") body = await renderDocx(parseBlocks(markdown), { title });
+    if (format === "pdf") body = await renderPdf(parseBlocks(markdown), { title });
+
+    // id d'étape choisi par le modèle : réduit à des caractères sûrs dans l'en-tête Content-Disposition
+    const etape = String(step.id).replace(/[^\w.-]+/g, "_");
+    return { ok: true, body, contentType: EXPORT_FORMATS[format], filename: `${document}-${etape}.${format}` };
+  }
+
+  return { documents, render };
+}
@@ -0,0 +1,84 @@
+import PDFDocument from "pdfkit";
+
+import { inlineRuns } from "../markdown.js";
+
+// =====================
+// RENDU PDF
+// =====================
+// Polices standard (Helvetica) : encodage WinAnsi, les quelques symboles hors de cet
+// encodage sont remplacés par un équivalent ASCII.
+const FONT = "Helvetica";
+const BOLD = "Helvetica-Bold";
+const SIZES = { 1: 18, 2: 14, 3: 12 };
+const BODY = 10;
+const CHECKBOX = { true: "[x] ", false: "[ ] " };
+
+const winAnsi = (text) =>
+  String(text)
+    .replace(/[→⇒]/g, "->")
+    .replace(/[☐□]/g, "[ ]")
+    .replace(/[☒☑]/g, "[x]")
+    .replace(/[^\x20-\x7E -ÿŒœŠšŸŽž–—‘-„†-•…‰€\n]/g, "?");
+
+// Texte avec gras **…** à la position courante
+function writeRuns(doc, text, { size = BODY, bold = false, prefix = "", indent = 0 } = {}) {
+  const parts = inlineRuns(winAnsi(prefix + text));
+  parts.forEach((r, i) => {
+    doc.font(bold || r.bold ? BOLD : FONT).fontSize(size);
+    doc.text(r.text, { continued: i < parts.length - 1, indent });
+  });
+}
+
+function writeTable(doc, rows) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const colWidth = width / Math.max(...rows.map((r) => r.length));
+
+  rows.forEach((cells, i) => {
+    doc.font(i === 0 ? BOLD : FONT).fontSize(BODY - 1);
+    const heights = cells.map((c) => doc.heightOfString(winAnsi(c), { width: colWidth - 6 }));
+    const rowHeight = Math.max(...heights) + 6;
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    const top = doc.y;
+    cells.forEach((cell, c) => {
+      doc.rect(left + c * colWidth, top, colWidth, rowHeight).stroke("#999999");
+      doc.text(winAnsi(cell), left + c * colWidth + 3, top + 3, { width: colWidth - 6 });
+    });
+    doc.x = left;
+    doc.y = top + rowHeight;
+  });
+  doc.moveDown(0.5);
+}
+
+/**
+ * Blocs (voir markdown.js) -> Buffer .pdf
+ */
+export function renderPdf(blocks, { title = "" } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: title, Author: "InnovaCSE" } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    for (const block of blocks) {
+      if (block.type === "heading") {
+        doc.moveDown(block.level === 1 ? 0 : 0.6);
+        writeRuns(doc, block.text, { size: SIZES[block.level], bold: true });
+        doc.moveDown(0.3);
+      } else if (block.type === "table") {
+        writeTable(doc, block.rows);
+      } else if (block.type === "bullet") {
+        const prefix = block.checkbox === null ? "• " : CHECKBOX[block.checkbox];
+        writeRuns(doc, block.text, { prefix, indent: 10 });
+      } else if (block.type === "numbered") {
+        writeRuns(doc, block.text, { prefix: `${block.numero}. `, indent: 10 });
+      } else {
+        writeRuns(doc, block.text);
+        doc.moveDown(0.5);
+      }
+    }
+    doc.end();
+  });
+}
@@ -0,0 +1,45 @@
+// =====================
+// GABARITS MARKDOWN
+// =====================
+// Sous-ensemble de Mustache, sans échappement (la sortie est du Markdown) :
+// - {{champ}} / {{a.b}} : valeur du contexte ({{.}} = élément courant d'une liste) ;
+// - {{#liste}}…{{/liste}} : répété pour chaque élément (ou rendu une fois si valeur non vide) ;
+// - {{^liste}}…{{/liste}} : rendu si la valeur est vide.
+
+function lookup(stack, path) {
+  if (path === ".") return stack.at(-1);
+  for (let i = stack.length - 1; i >= 0; i -= 1) {
+    const scope = stack[i];
+    const [head, ...rest] = path.split(".");
+    if (scope && typeof scope === "object" && head in scope) {
+      return rest.reduce((v, k) => (v == null ? v : v[k]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+const isEmpty = (v) => v == null || v === false || v === "" || (Array.isArray(v) && v.length === 0);
+
+function renderWith(template, stack) {
+  const section = /\{\{([#^])\s*([\w.]+)\s*\}\}\n?([\s\S]*?)\{\{\/\s*\2\s*\}\}\n?/g;
+  const expanded = template.replace(section, (m, kind, name, inner) => {
+    const value = lookup(stack, name);
+    if (kind === "^") return isEmpty(value) ? renderWith(inner, stack) : "";
+    if (isEmpty(value)) return "";
+    if (Array.isArray(value)) return value.map((item) => renderWith(inner, [...stack, item])).join("");
+    return renderWith(inner, [...stack, value]);
+  });
+  return expanded.replace(/\{\{\s*([\w.]+|\.)\s*\}\}/g, (m, name) => String(lookup(stack, name) ?? ""));
+}
+
+export function renderTemplate(template, context) {
+  return renderWith(template, [context]);
+}
+
+// Texte inséré dans une cellule de tableau : une seule ligne, sans séparateur de colonne
+export function tableCell(text) {
+  return String(text ?? "")
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/\|/g, "/")
+    .trim();
+}
@@ -0,0 +1,95 @@
+import { defaultAgents } from "./agents.js";
+import { ENUM_FIELDS } from "./director.js";
+
+// =====================
+// SANTÉ (schémas des bases, configuration)
+// =====================
+// Vérifie au démarrage (et sur GET /health?refresh=1) que chaque base Notion répond et porte
+// les colonnes du mapping, avec le bon type, et que ses options select couvrent les valeurs
+// utilisées par le code. Le rapport ne contient aucun secret.
+// Une colonne déclarée optionnelle dans le mapping (valeur aussi écrite dans le corps de page) qui
+// manque ou diffère est un avertissement : la base reste saine.
+//
+// erreur | avertissement = { code, champ?, propriete?, ... }
+// code ∈ DATABASE_UNREACHABLE | PROPERTY_MISSING | PROPERTY_TYPE | OPTIONS_MISSING
+
+// Valeurs que le code écrit dans les colonnes select : { [kind]: { [champ]: [valeurs] } }
+export function expectedOptions(agents = defaultAgents()) {
+  return { ...ENUM_FIELDS, journal: { agents: ["Directeur", ...Object.keys(agents)] } };
+}
+
+/**
+ * Compare le schéma réel au mapping
+ * -> { ok, bases: { [kind]: { ok, database_id, titre, erreurs, avertissements } } }.
+ * bases = null si le store n'a pas de schéma à vérifier (store local).
+ */
+export async function checkSchema(store, { expected = expectedOptions() } = {}) {
+  if (!store.describeSchema) return { ok: true, bases: null };
+
+  const described = await store.describeSchema();
+  const bases = {};
+  for (const [kind, db] of Object.entries(described)) {
+    const erreurs = [];
+    const avertissements = [];
+    if (db.error) erreurs.push({ code: "DATABASE_UNREACHABLE", message: db.error });
+
+    for (const [champ, c] of Object.entries(db.champs || {})) {
+      const report = c.optionnel ? avertissements : erreurs;
+      if (!c.type_notion) {
+        report.push({ code: "PROPERTY_MISSING", champ, propriete: c.propriete, attendu: c.type });
+        continue;
+      }
+      if (c.type_notion !== c.type) {
+        report.push({ code: "PROPERTY_TYPE", champ, propriete: c.propriete, attendu: c.type, trouve: c.type_notion });
+        continue;
+      }
+      const manquantes = (expected[kind]?.[champ] || []).filter((v) => !(c.options || []).includes(v));
+      if (manquantes.length > 0) report.push({ code: "OPTIONS_MISSING", champ, propriete: c.propriete, manquantes });
+    }
+
+    bases[kind] = {
+      ok: erreurs.length === 0,
+      database_id: db.database_id,
+      titre: db.titre ?? null,
+      erreurs,
+      avertissements,
+    };
+  }
+  return { ok: Object.values(bases).every((b) => b.ok), bases };
+}
+
+/**
+ * Rapport de santé mis en cache : run() le recalcule, last() renvoie le dernier (ou null).
+ */
+export function createHealthCheck({ store, llm, llmRoles = [], agents = defaultAgents() }) {
+  let report = null;
+  let inflight = null;
+
+  async function compute({ refresh = false } = {}) {
+    if (refresh) store.refreshMeta?.();
+    let schema;
+    try {
+      schema = await checkSchema(store, { expected: expectedOptions(agents) });
+    } catch (err) {
+      schema = { ok: false, bases: null, error: String(err?.message || err) };
+    }
+    report = {
+      ok: schema.ok,
+      checked_at: new Date().toISOString(),
+      store: store.name,
+      llm: Object.fromEntries(llmRoles.map((role) => [role, llm.configFor(role)])),
+      schema,
+    };
+    return report;
+  }
+
+  // Une seule vérification à la fois (démarrage + requêtes simultanées)
+  function run(options) {
+    inflight ??= compute(options).finally(() => {
+      inflight = null;
+    });
+    return inflight;
+  }
+
+  return { run, last: () => report };
+}
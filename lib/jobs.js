@@ -0,0 +1,235 @@
+import { createHash, randomUUID } from "node:crypto";
+import { mkdir, readFile, readdir, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+import { redactResults } from "./compliance.js";
+
+// =====================
+// JOBS (runs persistés, reprenables)
+// =====================
+// Un job = un run /run. Chaque étape terminée (mémoire, directeur, agent, écriture)
+// est enregistrée dans job.steps : une reprise après crash rejoue ces résultats
+// au lieu de rappeler les agents ou de recréer les pages (page:<clé> : page créée dont le corps
+// n'était pas encore complet, terminée à la reprise).
+//
+// job = { id, status, input, auteur, idempotence, steps, events, result, error, created_at, updated_at }
+// auteur = id de la clé d'API qui a lancé le run (null sans authentification)
+// idempotence = { cle, empreinte } : clé d'idempotence du client et empreinte de la demande (ou null)
+// status ∈ queued | running | done | partial | failed
+// partial = run terminé dont une partie du travail a échoué (écritures) : reprenable comme un échec
+
+export const JOB_STATUSES = ["queued", "running", "done", "partial", "failed"];
+
+// Empreinte d'une demande (clés triées) : même clé d'idempotence, même demande
+export function fingerprint(value) {
+  const canonical = (v) => {
+    if (Array.isArray(v)) return v.map(canonical);
+    if (!v || typeof v !== "object") return v;
+    return Object.fromEntries(Object.keys(v).sort().map((k) => [k, canonical(v[k])]));
+  };
+  return createHash("sha256").update(JSON.stringify(canonical(value))).digest("hex");
+}
+
+// Événements trop verbeux pour être conservés dans le job
+const TRANSIENT_EVENTS = new Set(["agent_delta"]);
+
+/**
+ * Stockage des jobs : un fichier JSON par job dans `dir`, ou en mémoire si dir est absent.
+ */
+export function createJobStore({ dir = null } = {}) {
+  const jobs = new Map();
+  let loading = dir ? null : Promise.resolve();
+
+  function loadAll() {
+    loading ??= (async () => {
+      let files = [];
+      try {
+        files = await readdir(dir);
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+      }
+      for (const f of files.filter((x) => x.endsWith(".json"))) {
+        const job = JSON.parse(await readFile(join(dir, f), "utf8"));
+        jobs.set(job.id, job);
+      }
+    })().catch((err) => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  async function save(job) {
+    job.updated_at = new Date().toISOString();
+    jobs.set(job.id, job);
+    if (!dir) return job;
+    await mkdir(dir, { recursive: true });
+    const file = join(dir, `${job.id}.json`);
+    await writeFile(`${file}.tmp`, JSON.stringify(job, null, 2));
+    await rename(`${file}.tmp`, file);
+    return job;
+  }
+
+  function newJob(input, { auteur = null, idempotence = null } = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: randomUUID(),
+      status: "queued",
+      input,
+      auteur,
+      idempotence,
+      steps: {},
+      events: [],
+      result: null,
+      error: null,
+      created_at: now,
+      updated_at: now,
+    };
+  }
+
+  async function create(input, options) {
+    await loadAll();
+    return save(newJob(input, options));
+  }
+
+  // Job existant pour cette clé d'idempotence (et cet auteur), sinon job créé : { job, created }.
+  // Recherche et création sans attente entre les deux : deux requêtes simultanées ne créent qu'un job.
+  async function claim(input, { auteur = null, idempotence }) {
+    await loadAll();
+    const existing = [...jobs.values()].find((j) => j.idempotence?.cle === idempotence.cle && j.auteur === auteur);
+    if (existing) return { job: existing, created: false };
+    return { job: await save(newJob(input, { auteur, idempotence })), created: true };
+  }
+
+  async function get(id) {
+    await loadAll();
+    return jobs.get(id) || null;
+  }
+
+  async function list({ status, limit = 50 } = {}) {
+    await loadAll();
+    return [...jobs.values()]
+      .filter((j) => !status || j.status === status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  return { create, claim, get, list, save };
+}
+
+/**
+ * Exécution des jobs.
+ * execute(input, { emit, checkpoint, ...options }) fait le travail (runDirector) ;
+ * checkpoint(key, fn) ne rappelle fn que si l'étape n'a pas déjà été enregistrée.
+ * tracer (optionnel, voir trace.js) : une trace par job, un span par étape.
+ * partial(result) : vrai si le résultat est incomplet (job "partial", reprenable).
+ * Les jobs mis en file (enqueue) tournent au plus `concurrency` à la fois ;
+ * run() exécute tout de suite (requêtes synchrones).
+ */
+export function createJobRunner({ jobs, execute, concurrency = 1, tracer = null, partial = () => false }) {
+  const waiting = [];
+  let active = 0;
+
+  async function run(job, { emit, ...options } = {}) {
+    const trace = tracer
+      ? await tracer.start({ id: job.id, demande_client: job.input?.demande_client ?? "", auteur: job.auteur ?? null })
+      : null;
+
+    // La trace ne fait jamais échouer le run
+    const finishTrace = (err) => trace?.finish(err).catch((e) => console.error("Trace save failed:", e));
+
+    // Copies : le pipeline peut muter ses résultats sans altérer l'étape enregistrée
+    const checkpoint = async (key, fn) => {
+      if (Object.hasOwn(job.steps, key)) {
+        trace?.replayed(key);
+        return structuredClone(job.steps[key]);
+      }
+      const value = await (trace ? trace.span(key, fn) : fn());
+      job.steps[key] = structuredClone(value ?? null);
+      await jobs.save(job);
+      return value;
+    };
+
+    const record = (event, data) => {
+      if (!TRANSIENT_EVENTS.has(event)) job.events.push({ event, data, at: new Date().toISOString() });
+      if (emit) emit(event, data);
+    };
+
+    job.status = "running";
+    job.error = null;
+    await jobs.save(job);
+
+    try {
+      const work = () => execute(job.input, { ...options, emit: record, checkpoint, job });
+      const result = await (trace ? trace.run(work) : work());
+      job.status = partial(result) ? "partial" : "done";
+      job.result = result;
+      await jobs.save(job);
+      await finishTrace();
+      return result;
+    } catch (err) {
+      job.status = "failed";
+      job.error = String(err?.message || err);
+      await jobs.save(job);
+      await finishTrace(err);
+      throw err;
+    }
+  }
+
+  function pump() {
+    while (active < concurrency && waiting.length) {
+      const job = waiting.shift();
+      active += 1;
+      run(job)
+        .catch(() => {}) // l'erreur est déjà consignée dans le job
+        .finally(() => {
+          active -= 1;
+          pump();
+        });
+    }
+  }
+
+  async function enqueue(job) {
+    job.status = "queued";
+    await jobs.save(job);
+    waiting.push(job);
+    pump();
+    return job;
+  }
+
+  // Au démarrage : relance les jobs interrompus (queued/running) à partir de leurs étapes enregistrées
+  async function resumePending() {
+    const pending = [
+      ...(await jobs.list({ status: "queued", limit: Infinity })),
+      ...(await jobs.list({ status: "running", limit: Infinity })),
+    ];
+    for (const job of pending.reverse()) await enqueue(job);
+    return pending.length;
+  }
+
+  return { run, enqueue, resumePending };
+}
+
+// Vue publique d'un job : statut + résultats partiels (directeur, agents déjà terminés).
+// Aucun livrable n'en sort avant le contrôle lignes rouges ; ensuite, ceux bloqués sont remplacés par l'avis.
+export function jobView(job) {
+  const review = job.steps.conformite;
+  const agents = Object.entries(job.steps)
+    .filter(([key]) => key.startsWith("agent:"))
+    .map(([, value]) => (review || !value?.ok ? value : { ...value, data: null }));
+  const director = job.steps.director ? { ...job.steps.director, livrable_final: null } : null;
+
+  return {
+    id: job.id,
+    status: job.status,
+    auteur: job.auteur ?? null,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    error: job.error,
+    progress: job.events,
+    partial: {
+      data: job.result?.data ?? director,
+      orchestration_results: job.result?.orchestration_results ?? (review ? redactResults(review, agents) : agents),
+    },
+  };
+}
@@ -0,0 +1,158 @@
+import { readFileSync } from "node:fs";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+import { DEFAULT_RETRY, isTransient, retryFromEnv, withRetry } from "../retry.js";
+import { recordLlmCall } from "../trace.js";
+import { createMockProvider } from "./mock.js";
+import { createOpenAIEmbedder, createOpenAIProvider } from "./openai.js";
+
+export { createMockProvider, createOpenAIEmbedder, createOpenAIProvider };
+
+// =====================
+// COUCHE LLM (provider par rôle)
+// =====================
+// Un rôle = "directeur", un contrôleur ("conformite", "contradictions") ou le nom d'un agent du registre.
+// Chaque rôle a sa config { provider, model, temperature } ; le router appelle le bon provider.
+// Interface provider : complete({ role, model, temperature, system, user, schema, schemaName, onDelta, signal })
+//                      -> { text, usage, model }
+// onDelta (optionnel) reçoit les fragments de texte au fil de la génération ; signal (AbortSignal, optionnel)
+// interrompt l'appel, qui n'est alors pas relancé.
+// Chaque appel (prompts, sortie, usage, latence) est rattaché à la trace du run en cours (voir trace.js).
+// Une erreur transitoire (429, 5xx, coupure) est relancée avec backoff (voir retry.js), sauf si des
+// fragments ont déjà été transmis à onDelta (le texte serait dupliqué).
+
+export const DEFAULT_MODEL = "gpt-4.1-mini";
+export const DEFAULT_TEMPERATURE = 0.2;
+
+/**
+ * providers = { openai: provider, mock: provider }
+ * defaults  = { provider, model, temperature }
+ * roles     = { directeur: { model: "..." }, formation: { provider: "mock" }, ... }
+ * onOutput  = (role, text) => void, appelé après chaque complétion (enregistrement)
+ * retry     = { retries, baseMs, maxMs } : relances sur erreur transitoire
+ */
+export function createLlm({ providers, defaults = {}, roles = {}, onOutput = null, retry = DEFAULT_RETRY }) {
+  function configFor(role) {
+    return {
+      provider: "openai",
+      model: DEFAULT_MODEL,
+      temperature: DEFAULT_TEMPERATURE,
+      ...defaults,
+      ...(roles[role] || {}),
+    };
+  }
+
+  async function complete(role, { system, user, schema, schemaName, onDelta, signal }) {
+    const cfg = configFor(role);
+    const provider = providers[cfg.provider];
+    if (!provider) throw new Error(`Unknown LLM provider "${cfg.provider}" for role ${role}`);
+
+    const call = { role, provider: cfg.provider, model: cfg.model, system, user };
+    let streamed = false;
+    const relay = onDelta
+      ? (delta) => {
+          streamed = true;
+          onDelta(delta);
+        }
+      : undefined;
+
+    // Une tentative = un appel tracé (les relances apparaissent dans la trace)
+    const attempt = async () => {
+      const started = Date.now();
+      try {
+        const out = await provider.complete({
+          role,
+          model: cfg.model,
+          temperature: cfg.temperature,
+          system,
+          user,
+          schema,
+          schemaName,
+          onDelta: relay,
+          signal,
+        });
+        const latency_ms = Date.now() - started;
+        recordLlmCall({ ...call, model: out.model || cfg.model, output: out.text, usage: out.usage, latency_ms });
+        return out;
+      } catch (err) {
+        recordLlmCall({ ...call, latency_ms: Date.now() - started, error: err });
+        throw err;
+      }
+    };
+
+    const out = await withRetry(attempt, {
+      ...retry,
+      shouldRetry: (err) => !streamed && !signal?.aborted && isTransient(err),
+    });
+    if (onOutput) await onOutput(role, out.text);
+    return out;
+  }
+
+  return { complete, configFor };
+}
+
+// Variables : LLM_PROVIDER, LLM_MODEL, LLM_TEMPERATURE, et par rôle LLM_<ROLE>_PROVIDER|MODEL|TEMPERATURE
+function readRoleConfig(env, prefix) {
+  const cfg = {};
+  if (env[`${prefix}PROVIDER`]) cfg.provider = env[`${prefix}PROVIDER`].toLowerCase();
+  if (env[`${prefix}MODEL`]) cfg.model = env[`${prefix}MODEL`];
+  if (env[`${prefix}TEMPERATURE`]) cfg.temperature = Number(env[`${prefix}TEMPERATURE`]);
+  return cfg;
+}
+
+/**
+ * Construit la couche LLM à partir de l'environnement.
+ * LLM_MOCK_FILE   : enregistrements rejoués par le provider mock.
+ * LLM_RECORD_FILE : chaque sortie est ajoutée à ce fichier (même format que LLM_MOCK_FILE).
+ * roles = config par rôle déclarée ailleurs (modele des agents) ; les variables LLM_<ROLE>_* priment.
+ */
+export function createLlmFromEnv(env = process.env, roleKeys = [], { roles: declared = {} } = {}) {
+  const defaults = readRoleConfig(env, "LLM_");
+  const roles = {};
+  for (const role of roleKeys) {
+    const cfg = { ...declared[role], ...readRoleConfig(env, `LLM_${role.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`) };
+    if (Object.keys(cfg).length) roles[role] = cfg;
+  }
+
+  const used = new Set([defaults.provider || "openai", ...Object.values(roles).map((r) => r.provider).filter(Boolean)]);
+
+  const providers = {};
+  if (used.has("openai")) {
+    if (!env.OPENAI_API_KEY) throw new Error("Missing OPENAI_API_KEY");
+    providers.openai = createOpenAIProvider({ apiKey: env.OPENAI_API_KEY });
+  }
+  if (used.has("mock")) {
+    const recordings = env.LLM_MOCK_FILE ? JSON.parse(readFileSync(env.LLM_MOCK_FILE, "utf8")) : {};
+    providers.mock = createMockProvider({ recordings });
+  }
+
+  const onOutput = env.LLM_RECORD_FILE ? createRecorder(env.LLM_RECORD_FILE) : null;
+
+  return createLlm({ providers, defaults, roles, onOutput, retry: retryFromEnv(env) });
+}
+
+function createRecorder(file) {
+  let queue = Promise.resolve();
+
+  return (role, text) => {
+    queue = queue.catch(() => {}).then(async () => {
+      let recordings = {};
+      try {
+        recordings = JSON.parse(await readFile(file, "utf8"));
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+      }
+      let value = text;
+      try {
+        value = JSON.parse(text);
+      } catch {
+        // sortie non-JSON : enregistrée telle quelle
+      }
+      (recordings[role] ||= []).push(value);
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(file, JSON.stringify(recordings, null, 2));
+    });
+    return queue;
+  };
+}
@@ -0,0 +1,56 @@
+// =====================
+// PROVIDER MOCK (rejeu déterministe, sans réseau)
+// =====================
+/**
+ * Rejoue des sorties enregistrées, par rôle, dans l'ordre :
+ *   { "directeur": [ {...}, {...} ], "formation": [ "texte brut" ] }
+ * Un objet est sérialisé en JSON, une chaîne est renvoyée telle quelle.
+ * Quand les enregistrements d'un rôle sont épuisés, le dernier est rejoué.
+ * Sans enregistrement, une sortie par défaut est construite (à partir du schéma si fourni).
+ */
+export function createMockProvider({ recordings = {} } = {}) {
+  const cursors = new Map();
+
+  function next(role) {
+    const list = recordings[role];
+    if (!Array.isArray(list) || list.length === 0) return undefined;
+    const i = cursors.get(role) || 0;
+    cursors.set(role, i + 1);
+    return list[Math.min(i, list.length - 1)];
+  }
+
+  async function complete({ role, model, schema, user, onDelta, signal }) {
+    signal?.throwIfAborted();
+    const recorded = next(role);
+    let out = recorded;
+
+    if (out === undefined) {
+      out = schema
+        ? defaultFromSchema(schema)
+        : { agent: role, livrable: `[mock ${role}] ${String(user || "").slice(0, 200)}`, points_a_valider: [] };
+    }
+
+    const text = typeof out === "string" ? out : JSON.stringify(out);
+    if (onDelta) onDelta(text);
+    return { text: text.trim(), usage: null, model };
+  }
+
+  return { name: "mock", complete };
+}
+
+// Valeur minimale valide pour un schéma JSON (première valeur des enums, tableaux vides…)
+function defaultFromSchema(schema) {
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+  if (type === "object") {
+    const obj = {};
+    for (const [key, sub] of Object.entries(schema.properties || {})) obj[key] = defaultFromSchema(sub);
+    return obj;
+  }
+  if (type === "array") return [];
+  if (type === "boolean") return false;
+  if (type === "number" || type === "integer") return 0;
+  if (type === "null") return null;
+  return "";
+}
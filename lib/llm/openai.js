@@ -0,0 +1,66 @@
+import OpenAI from "openai";
+
+// =====================
+// PROVIDER OPENAI (Responses API)
+// =====================
+// Relances gérées par la couche LLM (voir retry.js) : celles du SDK sont coupées pour ne pas se cumuler
+export function createOpenAIProvider({ client, apiKey }) {
+  const openai = client || new OpenAI({ apiKey, maxRetries: 0 });
+
+  async function complete({ model, temperature, system, user, schema, schemaName, onDelta, signal }) {
+    const request = {
+      model,
+      temperature,
+      input: [
+        { role: "system", content: system },
+        { role: "user", content: user },
+      ],
+    };
+
+    // Sortie structurée stricte si un schéma est fourni
+    if (schema) {
+      request.text = {
+        format: {
+          type: "json_schema",
+          name: schemaName || "output",
+          strict: true,
+          schema,
+        },
+      };
+    }
+
+    // Streaming des tokens si demandé : on accumule les deltas nous-mêmes
+    if (onDelta) {
+      const stream = await openai.responses.create({ ...request, stream: true }, { signal });
+      let text = "";
+      let usage = null;
+      for await (const event of stream) {
+        if (event.type === "response.output_text.delta") {
+          text += event.delta;
+          onDelta(event.delta);
+        }
+        if (event.type === "response.completed") usage = event.response?.usage || null;
+      }
+      return { text: text.trim(), usage, model };
+    }
+
+    const r = await openai.responses.create(request, { signal });
+    return { text: (r.output_text || "").trim(), usage: r.usage || null, model };
+  }
+
+  return { name: "openai", complete };
+}
+
+// =====================
+// EMBEDDINGS OPENAI (recherche mémoire)
+// =====================
+// embed(texts) -> un vecteur par texte, dans l'ordre
+export function createOpenAIEmbedder({ client, apiKey, model = "text-embedding-3-small" }) {
+  const openai = client || new OpenAI({ apiKey });
+
+  return async function embed(texts) {
+    if (texts.length === 0) return [];
+    const r = await openai.embeddings.create({ model, input: texts });
+    return [...r.data].sort((a, b) => a.index - b.index).map((d) => d.embedding);
+  };
+}
@@ -0,0 +1,62 @@
+// =====================
+// MARKDOWN -> BLOCS
+// =====================
+// Blocs communs aux documents exportés (DOCX, PDF) et au contenu des pages Notion :
+// { type: "heading", level, text } | { type: "bullet", text, checkbox } | { type: "numbered", text, numero }
+// | { type: "table", rows } | { type: "paragraph", text }. Le texte garde le gras **…** (voir inlineRuns).
+// lineBreaks : les lignes d'un paragraphe restent séparées (texte libre d'un livrable) au lieu d'être
+// jointes comme en Markdown.
+export function parseBlocks(markdown, { lineBreaks = false } = {}) {
+  const blocks = [];
+  let paragraph = [];
+  let table = null;
+
+  const flush = () => {
+    if (paragraph.length) blocks.push({ type: "paragraph", text: paragraph.join(lineBreaks ? "\n" : " ") });
+    if (table) blocks.push({ type: "table", rows: table });
+    paragraph = [];
+    table = null;
+  };
+
+  for (const raw of String(markdown ?? "").split("\n")) {
+    const line = raw.trim();
+    if (!line) {
+      flush();
+      continue;
+    }
+    if (line.startsWith("|")) {
+      if (paragraph.length) flush();
+      if (/^\|[\s:|-]+\|$/.test(line)) continue; // ligne de séparation d'en-tête
+      table ??= [];
+      table.push(line.replace(/^\||\|$/g, "").split("|").map((c) => c.trim()));
+      continue;
+    }
+    if (table) flush();
+
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const bullet = line.match(/^[-*•]\s+(\[( |x)\]\s+)?(.*)$/i);
+    const numbered = line.match(/^(\d+)[.)]\s+(.*)$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] });
+    } else if (bullet) {
+      flush();
+      blocks.push({ type: "bullet", text: bullet[3], checkbox: bullet[1] ? bullet[2].toLowerCase() === "x" : null });
+    } else if (numbered) {
+      flush();
+      blocks.push({ type: "numbered", text: numbered[2], numero: Number(numbered[1]) });
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+// "a **b** c" -> [{ text: "a ", bold: false }, { text: "b", bold: true }, { text: " c", bold: false }]
+export function inlineRuns(text) {
+  return String(text)
+    .split("**")
+    .map((part, i) => ({ text: part, bold: i % 2 === 1 }))
+    .filter((r) => r.text);
+}
@@ -0,0 +1,121 @@
+import { defaultAgents } from "./agents.js";
+
+// =====================
+// ORCHESTRATION (plan parallèle + dépendances)
+// =====================
+// Un plan est une liste d'étapes { id, agent, payload, depends_on: [id] }.
+// Une étape démarre dès que toutes ses dépendances ont réussi ; les étapes
+// indépendantes tournent en parallèle, dans la limite de `concurrency`.
+
+export const FUSION_STRATEGIES = ["sections", "premier", "dernier"];
+
+function withTimeout(promise, ms, onTimeout) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(onTimeout()), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Normalise le plan : ids uniques (défaut "<agent>-<n>"), dépendances connues uniquement.
+ */
+export function normalizePlan(plan) {
+  const steps = [];
+  const seen = new Set();
+
+  for (const [i, step] of (plan || []).entries()) {
+    if (!step?.agent) continue;
+    let id = String(step.id || "").trim() || `${step.agent}-${i + 1}`;
+    if (seen.has(id)) id = `${id}-${i + 1}`;
+    seen.add(id);
+    steps.push({ ...step, id, depends_on: Array.isArray(step.depends_on) ? step.depends_on.map(String) : [] });
+  }
+
+  return steps.map((s) => ({ ...s, depends_on: s.depends_on.filter((d) => seen.has(d) && d !== s.id) }));
+}
+
+/**
+ * Exécute le plan. runStep(step, inputs, { signal }) -> résultat agent ({ ok, agent, data | error }) ;
+ * inputs = résultats des dépendances. Renvoie les résultats dans l'ordre du plan, chacun avec son id.
+ * Une étape qui dépasse timeoutMs échoue (AGENT_TIMEOUT) et son signal est annulé : l'appel modèle
+ * est interrompu et un résultat tardif est ignoré.
+ */
+export async function executePlan(plan, runStep, { concurrency = 2, timeoutMs = 0 } = {}) {
+  const steps = normalizePlan(plan);
+  const results = new Map();
+  const running = new Set();
+
+  await new Promise((resolve, reject) => {
+    function settle(step, result) {
+      results.set(step.id, { id: step.id, ...result });
+      running.delete(step.id);
+      launch();
+    }
+
+    function launch() {
+      // Plusieurs passes : un échec de dépendance peut en débloquer (en échec) d'autres
+      for (let progressed = true; progressed; ) {
+        progressed = false;
+        for (const step of steps) {
+          if (results.has(step.id) || running.has(step.id)) continue;
+
+          const deps = step.depends_on.map((d) => results.get(d));
+          if (deps.some((r) => r && !r.ok)) {
+            results.set(step.id, { id: step.id, ok: false, agent: step.agent, error: "DEPENDENCY_FAILED" });
+            progressed = true;
+            continue;
+          }
+          if (deps.some((r) => !r) || running.size >= concurrency) continue;
+
+          running.add(step.id);
+          const controller = new AbortController();
+          const timedOut = () => {
+            controller.abort(new Error(`Step ${step.id} timed out after ${timeoutMs} ms`));
+            return { ok: false, agent: step.agent, error: "AGENT_TIMEOUT" };
+          };
+          const { signal } = controller;
+          withTimeout(Promise.resolve().then(() => runStep(step, deps, { signal })), timeoutMs, timedOut)
+            .then((r) => settle(step, r))
+            .catch(reject);
+        }
+      }
+
+      if (running.size > 0) return;
+
+      // Plus rien ne tourne : les étapes restantes attendent une dépendance circulaire
+      for (const step of steps) {
+        if (!results.has(step.id)) {
+          results.set(step.id, { id: step.id, ok: false, agent: step.agent, error: "DEPENDENCY_CYCLE" });
+        }
+      }
+      resolve();
+    }
+
+    launch();
+  });
+
+  return steps.map((s) => results.get(s.id));
+}
+
+// =====================
+// FUSION des livrables agents -> livrable_final
+// =====================
+/**
+ * - "premier"  : premier livrable réussi (ancien Mode B)
+ * - "dernier"  : dernier livrable réussi (étape de consolidation en fin de plan)
+ * - "sections" : tous les livrables réussis, une section par agent (défaut), titrée par son libelle
+ * agents = registre des agents (loadAgentRegistry) ; un agent hors registre est titré par son nom.
+ */
+export function mergeLivrables(results, fusion = "sections", agents = defaultAgents()) {
+  const livrables = (results || [])
+    .filter((r) => r?.ok && typeof r?.data?.livrable === "string" && r.data.livrable.trim())
+    .map((r) => ({ agent: r.agent, livrable: r.data.livrable.trim() }));
+
+  if (livrables.length === 0) return "";
+  if (fusion === "premier") return livrables[0].livrable;
+  if (fusion === "dernier" || livrables.length === 1) return livrables.at(-1).livrable;
+
+  return livrables.map((l) => `## ${agents[l.agent]?.libelle || l.agent}\n\n${l.livrable}`).join("\n\n");
+}
@@ -0,0 +1,128 @@
+import { randomUUID } from "node:crypto";
+import { mkdir, readFile, readdir, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+import { OUTPUT_SCHEMA } from "./director.js";
+
+// =====================
+// PROPOSITIONS (validation humaine des écritures mémoire)
+// =====================
+// En mode "propose", les écritures doctrine / décisions / projets d'un run ne partent pas
+// dans le store : elles sont mises en attente, modifiables, puis approuvées (écriture réelle,
+// même mapping que le run) ou rejetées. Les écritures en contradiction avec la mémoire actée
+// sont toujours mises en attente, quel que soit le mode.
+//
+// proposition = { id, kind, action, record, status, conflits, job_id, demande_client,
+//                 result, motif, created_at, updated_at }
+// action = stratégie d'écriture à l'approbation : create | upsert | supersede (voir upsert.js)
+// status ∈ pending | applying | approved | rejected (applying = écriture d'approbation en cours)
+
+export const PROPOSAL_STATUSES = ["pending", "applying", "approved", "rejected"];
+export const WRITE_MODES = ["direct", "propose"];
+
+// Champs modifiables par base : ceux du schéma directeur (ecritures_notion)
+export const PROPOSAL_FIELDS = Object.fromEntries(
+  Object.entries(OUTPUT_SCHEMA.properties.ecritures_notion.properties).map(([kind, def]) => [
+    kind,
+    Object.keys(def.items.properties),
+  ]),
+);
+
+/**
+ * Stockage des propositions : un fichier JSON par proposition dans `dir`, ou en mémoire.
+ */
+export function createProposalStore({ dir = null } = {}) {
+  const proposals = new Map();
+  let loading = dir ? null : Promise.resolve();
+
+  function loadAll() {
+    loading ??= (async () => {
+      let files = [];
+      try {
+        files = await readdir(dir);
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+      }
+      for (const f of files.filter((x) => x.endsWith(".json"))) {
+        const p = JSON.parse(await readFile(join(dir, f), "utf8"));
+        proposals.set(p.id, p);
+      }
+    })().catch((err) => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  async function save(p) {
+    p.updated_at = new Date().toISOString();
+    proposals.set(p.id, p);
+    if (!dir) return p;
+    await mkdir(dir, { recursive: true });
+    const file = join(dir, `${p.id}.json`);
+    await writeFile(`${file}.tmp`, JSON.stringify(p, null, 2));
+    await rename(`${file}.tmp`, file);
+    return p;
+  }
+
+  async function create({ kind, action = "create", record, conflits = [], job_id = null, demande_client = "" }) {
+    await loadAll();
+    const now = new Date().toISOString();
+    return save({
+      id: randomUUID(),
+      kind,
+      action,
+      record,
+      status: "pending",
+      conflits,
+      job_id,
+      demande_client,
+      result: null,
+      motif: null,
+      created_at: now,
+      updated_at: now,
+    });
+  }
+
+  async function get(id) {
+    await loadAll();
+    return proposals.get(id) || null;
+  }
+
+  async function list({ status, kind, limit = 100 } = {}) {
+    await loadAll();
+    return [...proposals.values()]
+      .filter((p) => (!status || p.status === status) && (!kind || p.kind === kind))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  return { create, get, list, save };
+}
+
+// Champs inconnus d'une modification (ceux qui ne sont pas dans le schéma de la base)
+export function unknownFields(kind, changes) {
+  const allowed = PROPOSAL_FIELDS[kind] || [];
+  return Object.keys(changes || {}).filter((k) => !allowed.includes(k));
+}
+
+/**
+ * Valeurs d'une modification qui ne respectent pas le schéma des écritures (type, enum) -> ["champ: motif"].
+ * schema = schéma directeur que suivent les écritures du run (buildOutputSchema, options select des bases).
+ */
+export function invalidValues(kind, changes, schema = OUTPUT_SCHEMA) {
+  const defs = schema.properties.ecritures_notion.properties[kind]?.items.properties || {};
+  const erreurs = [];
+  for (const [field, value] of Object.entries(changes || {})) {
+    const def = defs[field];
+    if (!def) continue; // voir unknownFields
+    if (typeof value !== def.type) erreurs.push(`${field}: ${def.type} attendu`);
+    else if (def.enum && !def.enum.includes(value)) erreurs.push(`${field}: valeur hors de ${def.enum.join(" | ")}`);
+  }
+  return erreurs;
+}
+
+// Résumé renvoyé par /run pour chaque écriture mise en attente
+export function proposalView(p) {
+  return { id: p.id, kind: p.kind, titre: p.record?.titre ?? "", status: p.status, conflits: p.conflits };
+}
@@ -0,0 +1,222 @@
+// =====================
+// RECHERCHE MÉMOIRE (pertinence)
+// =====================
+// Toutes les pages Doctrine / Projets / Décisions sont indexées localement (BM25, et
+// similarité d'embeddings si un embedder est fourni). Pour une demande :
+// 1) la doctrine marquée Actif est toujours incluse ;
+// 2) puis les entrées les plus pertinentes, tant que le budget de tokens le permet ;
+// 3) si rien ne correspond à la demande, les plus récentes (ancien comportement).
+// Chaque entrée retenue est rapportée : { kind, id, titre, raison, score, tokens }.
+
+export const MEMORY_KINDS = ["doctrine", "projets", "decisions"];
+export const DEFAULT_BUDGET_TOKENS = 3000;
+export const DEFAULT_REFRESH_MS = 60000;
+
+// Forme injectée dans le prompt directeur, par base
+const ENTRY = {
+  doctrine: (d) => ({
+    titre: d.titre,
+    type: d.categorie,
+    contenu: d.contenu,
+    version: d.version,
+    actif: String(!!d.actif),
+  }),
+  projets: (p) => ({
+    titre: p.titre,
+    objectif: p.objectif,
+    statut: p.statut,
+    priorite: p.priorite,
+    domaine: p.domaine,
+  }),
+  decisions: (d) => ({
+    titre: d.titre,
+    statut: d.statut,
+    domaine: d.domaine,
+    justification: d.justification,
+    impact: d.impact,
+    date: d.date,
+  }),
+};
+
+const STOPWORDS = new Set(
+  (
+    "au aux avec ce ces cet cette dans de des du elle en et il ils je la le les leur lui ma mais me mes " +
+    "mon ne nos notre nous on ou par pas pour qu que qui sa se ses son sur ta te tes ton tu un une vos " +
+    "votre vous est sont etre avoir fait faire plus tout tous comme si"
+  ).split(" "),
+);
+
+// Mots normalisés : minuscules, sans accents, sans mots vides
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// Estimation grossière (~4 caractères par token), suffisante pour un budget
+export function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value).length / 4);
+}
+
+/**
+ * Index BM25 sur une liste de textes. score(query) -> un score par document (0 = aucun mot commun).
+ */
+export function createBm25Index(texts, { k1 = 1.2, b = 0.75 } = {}) {
+  const docs = texts.map((t) => {
+    const tf = new Map();
+    const words = tokenize(t);
+    for (const w of words) tf.set(w, (tf.get(w) || 0) + 1);
+    return { tf, length: words.length };
+  });
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1) || 1;
+
+  const df = new Map();
+  for (const d of docs) for (const w of d.tf.keys()) df.set(w, (df.get(w) || 0) + 1);
+
+  function score(query) {
+    const terms = [...new Set(tokenize(query))];
+    return docs.map((d) => {
+      let s = 0;
+      for (const term of terms) {
+        const f = d.tf.get(term);
+        if (!f) continue;
+        const n = df.get(term);
+        const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+        s += (idf * f * (k1 + 1)) / (f + k1 * (1 - b + (b * d.length) / avgLength));
+      }
+      return s;
+    });
+  }
+
+  return { score };
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/**
+ * Sélecteur de mémoire par pertinence.
+ * store = store mémoire ; budgetTokens = taille max de la mémoire injectée (hors doctrine active) ;
+ * refreshMs = durée de vie de l'index ; embed(texts) -> vecteurs (optionnel, combiné à BM25).
+ * retrieve(query) -> { memory: { doctrine, projets, decisions }, used, tokens, budget }
+ * invalidate(kind?) force la reconstruction de l'index après une écriture dans `kind` ; une base hors
+ * index (journal) ne la déclenche pas.
+ */
+export function createRetriever({
+  store,
+  budgetTokens = DEFAULT_BUDGET_TOKENS,
+  refreshMs = DEFAULT_REFRESH_MS,
+  embed = null,
+}) {
+  let index = null;
+  const vectors = new Map(); // `${kind}:${id}:${updated_at}` -> vecteur
+
+  async function buildIndex() {
+    const lists = await Promise.all(MEMORY_KINDS.map((kind) => store.list(kind, { limit: Infinity })));
+    const docs = MEMORY_KINDS.flatMap((kind, i) =>
+      lists[i].map((record) => {
+        const entry = ENTRY[kind](record);
+        return {
+          kind,
+          record,
+          entry,
+          text: Object.values(entry).join(" "),
+          tokens: estimateTokens(entry),
+          key: `${kind}:${record.id}:${record.updated_at}`,
+        };
+      }),
+    );
+    return { docs, bm25: createBm25Index(docs.map((d) => d.text)), builtAt: Date.now() };
+  }
+
+  async function getIndex() {
+    if (!index || Date.now() - index.builtAt > refreshMs) index = buildIndex();
+    try {
+      return await index;
+    } catch (err) {
+      index = null;
+      throw err;
+    }
+  }
+
+  async function semanticScores(docs, query) {
+    const missing = docs.filter((d) => !vectors.has(d.key));
+    const [queryVector, ...fresh] = await embed([query, ...missing.map((d) => d.text)]);
+    missing.forEach((d, i) => vectors.set(d.key, fresh[i]));
+    return docs.map((d) => Math.max(0, cosine(queryVector, vectors.get(d.key))));
+  }
+
+  async function retrieve(query) {
+    const { docs, bm25 } = await getIndex();
+
+    // Score final dans [0, 1] : BM25 normalisé, moyenné avec la similarité si embeddings
+    const lexical = bm25.score(query);
+    const max = Math.max(0, ...lexical);
+    let scores = lexical.map((s) => (max ? s / max : 0));
+    if (embed && docs.length > 0 && String(query || "").trim()) {
+      const semantic = await semanticScores(docs, query);
+      scores = scores.map((s, i) => (s + semantic[i]) / 2);
+    }
+
+    const memory = { doctrine: [], projets: [], decisions: [] };
+    const used = [];
+    let tokens = 0;
+    let spent = 0;
+    const take = (doc, score, raison) => {
+      memory[doc.kind].push(doc.entry);
+      used.push({
+        kind: doc.kind,
+        id: doc.record.id,
+        titre: doc.record.titre,
+        raison,
+        score: Number(score.toFixed(3)),
+        tokens: doc.tokens,
+      });
+      tokens += doc.tokens;
+    };
+
+    const ranked = docs.map((doc, i) => ({ doc, score: scores[i] }));
+
+    // 1) doctrine active : toujours incluse, hors budget
+    for (const { doc, score } of ranked) {
+      if (doc.kind === "doctrine" && doc.record.actif) take(doc, score, "actif");
+    }
+
+    // 2) pertinence, sinon récence ; une entrée trop longue est sautée, les suivantes tentées
+    const rest = ranked.filter(({ doc }) => !(doc.kind === "doctrine" && doc.record.actif));
+    const relevant = rest.filter((r) => r.score > 0).sort((a, b) => b.score - a.score);
+    const [candidates, raison] =
+      relevant.length > 0
+        ? [relevant, "pertinence"]
+        : [
+            [...rest].sort((a, b) => String(b.doc.record.updated_at).localeCompare(String(a.doc.record.updated_at))),
+            "recent",
+          ];
+    for (const { doc, score } of candidates) {
+      if (spent + doc.tokens > budgetTokens) continue;
+      spent += doc.tokens;
+      take(doc, score, raison);
+    }
+
+    return { memory, used, tokens, budget: budgetTokens };
+  }
+
+  function invalidate(kind = null) {
+    if (kind && !MEMORY_KINDS.includes(kind)) return;
+    index = null;
+  }
+
+  return { retrieve, invalidate };
+}
@@ -0,0 +1,72 @@
+// =====================
+// RELANCES (erreurs transitoires Notion / OpenAI)
+// =====================
+// Un appel qui échoue sur une erreur transitoire (429, 5xx, coupure réseau, timeout) est relancé avec
+// un délai exponentiel (baseMs, 2×baseMs, 4×baseMs… plafonné à maxMs, avec gigue), ou le délai
+// Retry-After renvoyé par l'API s'il est plus long. Les autres erreurs (400, 401, 404, validation)
+// remontent tout de suite.
+
+export const DEFAULT_RETRY = { retries: 3, baseMs: 500, maxMs: 8000 };
+
+const TRANSIENT_CODES = new Set([
+  "rate_limited",
+  "internal_server_error",
+  "service_unavailable",
+  "notionhq_client_request_timeout",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+]);
+
+// Erreurs des SDK sans statut HTTP : coupure ou timeout côté client
+const TRANSIENT_NAMES = new Set(["APIConnectionError", "APIConnectionTimeoutError", "RequestTimeoutError"]);
+
+export function isTransient(err) {
+  const status = err?.status ?? err?.statusCode;
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  if (TRANSIENT_CODES.has(err?.code) || TRANSIENT_CODES.has(err?.cause?.code)) return true;
+  return TRANSIENT_NAMES.has(err?.name) || TRANSIENT_NAMES.has(err?.constructor?.name);
+}
+
+// Délai demandé par l'API (en-tête Retry-After, en secondes), sinon null
+function retryAfterMs(err) {
+  const headers = err?.headers;
+  const value = typeof headers?.get === "function" ? headers.get("retry-after") : headers?.["retry-after"];
+  const seconds = Number(value);
+  return value != null && Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+// Variables : RETRY_MAX, RETRY_BASE_MS, RETRY_MAX_MS (appels modèle et Notion)
+export function retryFromEnv(env = process.env) {
+  return {
+    retries: Number(env.RETRY_MAX ?? DEFAULT_RETRY.retries),
+    baseMs: Number(env.RETRY_BASE_MS ?? DEFAULT_RETRY.baseMs),
+    maxMs: Number(env.RETRY_MAX_MS ?? DEFAULT_RETRY.maxMs),
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * fn() relancé tant que l'erreur est transitoire, au plus `retries` fois.
+ * shouldRetry(err) remplace isTransient ; onRetry({ tentative, delai_ms, error }) avant chaque relance.
+ */
+export async function withRetry(fn, options = {}) {
+  const { retries, baseMs, maxMs, shouldRetry = isTransient, onRetry = null, sleep = wait } = {
+    ...DEFAULT_RETRY,
+    ...options,
+  };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      const backoff = Math.min(maxMs, baseMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      const delay = Math.round(Math.min(maxMs, Math.max(backoff, retryAfterMs(err) ?? 0)));
+      onRetry?.({ tentative: attempt + 1, delai_ms: delay, error: String(err?.message || err) });
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,386 @@
+import { callSpecialist, defaultAgents } from "./agents.js";
+import { blockedNotice, complianceSummary, redactResults, reviewRun } from "./compliance.js";
+import { loadActedMemory } from "./conflicts.js";
+import {
+  applyForcedOrchestration,
+  buildOutputSchema,
+  buildSystemPrompt,
+  clarificationQuestions,
+  sanitizeTestMode,
+} from "./director.js";
+import { executePlan, mergeLivrables } from "./orchestration.js";
+import { proposalView } from "./proposals.js";
+import { applyWrite, ruleFor } from "./upsert.js";
+
+// =====================
+// RUN (pipeline /run)
+// =====================
+// Événements émis, dans l'ordre :
+// memory -> director -> (agent_start, agent_repair*, agent_end)* -> agent_delta* -> compliance -> conflicts?
+// -> (write | proposal | write_failed)*
+// Les tokens d'un agent (agent_delta) sont retenus jusqu'au contrôle lignes rouges : ceux d'un livrable
+// bloqué ne sont jamais émis.
+// En conversation, un tour qui s'arrête sur des questions : memory -> director -> clarification.
+export const RUN_EVENTS = [
+  "memory",
+  "director",
+  "clarification",
+  "agent_start",
+  "agent_delta",
+  "agent_repair",
+  "agent_end",
+  "compliance",
+  "conflicts",
+  "write",
+  "proposal",
+  "write_failed",
+];
+
+/**
+ * Exécute une demande de bout en bout : mémoire -> directeur -> agents -> écritures.
+ * deps = { store, llm, agents, retriever, compliance, conflicts, proposals, writes, upsert, orchestration,
+ *          validation } ;
+ * input = corps de /run.
+ * deps.agents = registre des agents spécialisés (loadAgentRegistry) : schéma, prompt et appels du plan.
+ * deps.retriever = sélection de la mémoire pertinente pour la demande (createRetriever).
+ * deps.compliance = contrôleur lignes rouges (createComplianceGuard).
+ * deps.conflicts = contrôleur de contradictions avec la mémoire actée (createConflictChecker).
+ * deps.proposals = file des écritures à valider (createProposalStore) ; deps.writes = { mode } :
+ * "direct" (défaut) ou "propose" (doctrine / décisions / projets en attente). input.ecritures = "propose"
+ * force la validation pour ce run (jamais l'inverse).
+ * deps.upsert = politique anti-doublon par base (loadUpsertPolicy) : create | upsert | supersede.
+ * deps.orchestration = { concurrency, timeoutMs } pour l'exécution du plan d'agents.
+ * deps.validation = { maxRepairs } : relances max d'un agent dont la sortie viole les règles.
+ * emit(event, data) est appelé à chaque étape (voir RUN_EVENTS) ; streamLivrable active
+ * l'émission des tokens des agents ("agent_delta"), après le contrôle de conformité.
+ * checkpoint(key, fn) enveloppe chaque étape (voir lib/jobs.js) : par défaut, exécution directe.
+ * job = job en cours (son id est rattaché aux propositions).
+ * input.session = { id, restantes } pour un tour de conversation (voir sessions.js) : le directeur peut
+ * s'arrêter sur des questions de clarification (résultat.clarification) ; ni agents, ni écritures, ni journal.
+ * résultat.ecritures = issue de chaque écriture { cle, kind, titre, ok, action?, id?, proposition_id?, error? } ;
+ * résultat.partiel = au moins une écriture a échoué (les autres sont faites ; une reprise ne refait que
+ * celles en échec).
+ */
+export async function runDirector(
+  {
+    store,
+    llm,
+    agents = defaultAgents(),
+    retriever,
+    compliance,
+    conflicts,
+    proposals,
+    writes = {},
+    upsert = {},
+    orchestration: orchestrationSettings = {},
+    validation = {},
+  },
+  input = {},
+  { emit = () => {}, streamLivrable = false, checkpoint = (key, fn) => fn(), job = null } = {},
+) {
+  const { demande_client = "", contexte = "", contraintes = "", mode_test = false, session = null } = input;
+
+  // Écriture mémoire : directe, ou mise en attente de validation (mode "propose" ou contradiction).
+  // Un échec n'interrompt pas les écritures suivantes ; une écriture réussie est enregistrée (checkpoint)
+  // et n'est pas refaite à la reprise du job.
+  const proposeWrites = writes.mode === "propose" || input.ecritures === "propose";
+  const propositions = [];
+  const ecritures = [];
+  async function write(key, kind, record, { conflits: held = [], direct = false } = {}) {
+    const action = direct ? "create" : ruleFor(upsert, kind).strategie;
+    const suivi = { cle: key, kind, titre: record.titre ?? "" };
+    try {
+      if (!direct && (proposeWrites || held.length > 0)) {
+        const p = await checkpoint(`propose:${key}`, () =>
+          proposals.create({ kind, action, record, conflits: held, job_id: job?.id ?? null, demande_client }),
+        );
+        propositions.push(proposalView(p));
+        emit("proposal", { id: p.id, kind, titre: record.titre, conflits: held.length });
+        ecritures.push({ ...suivi, ok: true, action: "proposal", proposition_id: p.id });
+        return;
+      }
+      // Page créée mais corps incomplet lors d'un essai précédent : enregistrée (page:<clé>) et terminée
+      const resume = {
+        created: job?.steps?.[`page:${key}`]?.id ?? null,
+        onCreated: (id) => checkpoint(`page:${key}`, async () => ({ id })),
+      };
+      const out = await checkpoint(`write:${key}`, () => applyWrite(store, kind, record, upsert, action, resume));
+      retriever.invalidate(kind);
+      emit("write", { kind, ...out, action: out.action ?? "create", titre: record.titre });
+      ecritures.push({ ...suivi, ok: true, action: out.action ?? "create", id: out.id ?? null });
+    } catch (err) {
+      const error = String(err?.message || err);
+      ecritures.push({ ...suivi, ok: false, error });
+      emit("write_failed", { ...suivi, error });
+    }
+  }
+
+  const isTestMode =
+    Boolean(mode_test) ||
+    String(demande_client || "").toUpperCase().startsWith("TEST TECH");
+
+  // Mémoire pertinente pour la demande (doctrine active toujours incluse, budget de tokens)
+  const retrieval = await checkpoint("memory", () => retriever.retrieve(`${demande_client}\n${contexte}`));
+  const { memory } = retrieval;
+  const memoire = { used: retrieval.used, tokens: retrieval.tokens, budget: retrieval.budget };
+  emit("memory", {
+    doctrine: memory.doctrine.length,
+    projets: memory.projets.length,
+    decisions: memory.decisions.length,
+    ...memoire,
+  });
+  const SYSTEM = buildSystemPrompt(memory, isTestMode, agents, session);
+
+  const userContent = `
+DEMANDE CLIENT:
+${demande_client}
+
+CONTEXTE:
+${contexte}
+
+CONTRAINTES:
+${contraintes}
+`.trim();
+
+  const data = await checkpoint("director", async () => {
+    // Enums des écritures = options select actuelles des bases (valeurs de repli sinon)
+    const schema = buildOutputSchema(await store.selectOptions?.(), agents);
+
+    // Director call with strict structured output
+    const response = await llm.complete("directeur", {
+      system: SYSTEM,
+      user: userContent,
+      schema,
+      schemaName: "innovacse_directeur",
+    });
+
+    const raw = response.text;
+    if (!raw) throw new Error("Empty model output_text");
+
+    const parsed = JSON.parse(raw);
+
+    // En attente de réponse du client : ni plan ni écritures (mêmes garde-fous que le mode test)
+    if (clarificationQuestions(parsed, session).length > 0) return sanitizeTestMode(parsed);
+    if (!isTestMode) applyForcedOrchestration(parsed, { demande_client, contexte, contraintes }, agents);
+    if (isTestMode) sanitizeTestMode(parsed);
+    return parsed;
+  });
+
+  emit("director", {
+    type_demande: data.type_demande,
+    domaine: data.domaine,
+    priorite: data.priorite,
+    decision_directeur: data.decision_directeur,
+    orchestration: data.orchestration,
+    mode_test: isTestMode,
+  });
+
+  // CLARIFICATION: le tour s'arrête sur les questions, la conversation reprendra avec les réponses
+  const questions = clarificationQuestions(data, session);
+  if (questions.length > 0) {
+    emit("clarification", { questions });
+    return {
+      data,
+      clarification: { questions },
+      orchestration_results: [],
+      conformite: null,
+      conflits: [],
+      propositions: [],
+      ecritures: [],
+      partiel: false,
+      memoire,
+      mode_test: isTestMode,
+    };
+  }
+
+  // Execute orchestration (internal agents) only if NOT test mode
+  let orchestration_results = [];
+  // "async" s'exécute comme "sync" : seule la réponse HTTP change (job en tâche de fond)
+  const runsAgents = ["sync", "async"].includes(data.orchestration?.mode);
+  // Tokens retenus par étape (dernière tentative seulement), émis après le contrôle de conformité
+  const heldDeltas = new Map();
+  if (!isTestMode && runsAgents && Array.isArray(data.orchestration?.plan)) {
+    const runStep = (step, inputs, { signal } = {}) => {
+      const agentKey = step.agent;
+
+      // payload est strictement limité par le schema
+      const payload = step.payload || {};
+
+      // Les 4 champs du schéma directeur (+ parametres), + les livrables des étapes dont on dépend
+      const safePayload = {
+        demande_client: payload.demande_client ?? demande_client,
+        contexte: payload.contexte ?? contexte,
+        contraintes: payload.contraintes ?? contraintes,
+        objectif: payload.objectif ?? (data.livrable_final || data.decision_directeur || ""),
+      };
+      // Paramètres de l'agent appelé (le schéma directeur porte ceux de tous les agents) ;
+      // null vaut défaut (voir resolveParameters)
+      const declared = agents[agentKey]?.parametres || {};
+      const parametres = Object.entries(payload.parametres || {}).filter(([k, v]) => k in declared && v !== null);
+      if (parametres.length > 0) safePayload.parametres = Object.fromEntries(parametres);
+      if (inputs.length > 0) {
+        safePayload.entrees = inputs.map((r) => ({ etape: r.id, agent: r.agent, livrable: r.data?.livrable ?? "" }));
+      }
+
+      // Étape expirée (signal annulé) : l'appel est interrompu, un résultat tardif n'est ni enregistré ni émis
+      return checkpoint(`agent:${step.id}`, async () => {
+        // Ni payload ni livrables des dépendances : pas encore passés au contrôle lignes rouges
+        emit("agent_start", { id: step.id, agent: agentKey, depends_on: inputs.map((r) => r.id) });
+        const onDelta = streamLivrable
+          ? (delta) => heldDeltas.set(step.id, [...(heldDeltas.get(step.id) || []), delta])
+          : undefined;
+        const onRepair = ({ tentative, violations }) => {
+          heldDeltas.delete(step.id);
+          emit("agent_repair", { id: step.id, agent: agentKey, tentative, violations });
+        };
+        const r = await callSpecialist(llm, agentKey, safePayload, {
+          agents,
+          onDelta,
+          onRepair,
+          maxRepairs: validation.maxRepairs,
+          signal,
+        });
+        signal?.throwIfAborted();
+        return r;
+      }).then((r) => {
+        emit("agent_end", { id: step.id, agent: agentKey, ok: r.ok, error: r.error, validation: r.validation });
+        return r;
+      });
+    };
+
+    orchestration_results = await executePlan(data.orchestration.plan, runStep, orchestrationSettings);
+  }
+
+  // MODE B: absorption des livrables agents dans livrable_final (selon orchestration.fusion)
+  if (!isTestMode) {
+    const agentLivrable = mergeLivrables(orchestration_results, data.orchestration?.fusion, agents);
+    if (agentLivrable) {
+      data.livrable_final = agentLivrable;
+    }
+  }
+
+  // LIGNES ROUGES: contrôle de chaque livrable avant renvoi et journalisation.
+  // Un livrable bloqué est remplacé par un avis : son contenu ne sort pas du serveur.
+  const conformite = await checkpoint("conformite", () =>
+    reviewRun(compliance, { livrable_final: data.livrable_final, results: orchestration_results }),
+  );
+  orchestration_results = redactResults(conformite, orchestration_results);
+  if (conformite.livrable_final.verdict === "block") {
+    data.livrable_final = blockedNotice(conformite.livrable_final);
+  }
+  for (const r of orchestration_results) {
+    const blocked = conformite.agents.some((a) => a.id === r.id && a.verdict === "block");
+    // Étape bloquée ou en échec (expirée : fragments d'un texte jamais contrôlé) : rien n'est émis
+    if (blocked || !r.ok) continue;
+    for (const delta of heldDeltas.get(r.id) || []) emit("agent_delta", { id: r.id, agent: r.agent, delta });
+  }
+  emit("compliance", { verdict: conformite.verdict });
+
+  // CONTRADICTIONS: décisions / doctrine proposées vs mémoire actée.
+  // Une écriture en conflit est retenue : mise en attente de validation, pas créée.
+  const proposed = {
+    decisions: data.ecritures_notion?.decisions || [],
+    doctrine: data.ecritures_notion?.doctrine || [],
+  };
+  let conflits = [];
+  if (proposed.decisions.length + proposed.doctrine.length > 0) {
+    conflits = await checkpoint("conflits", async () => conflicts.check(proposed, await loadActedMemory(store)));
+    emit("conflicts", { count: conflits.length, conflits });
+  }
+  const conflitsOf = (kind, i) => conflits.filter((c) => c.kind === kind && c.index === i);
+
+  const nowIso = new Date().toISOString();
+
+  // 1) JOURNAL_AGENT_DIRECTEUR (toujours, écriture directe)
+  const called = (orchestration_results || []).map((x) => x?.agent).filter(Boolean);
+  await write(
+    "journal",
+    "journal",
+    {
+      titre: demande_client || "Run IA",
+      date: nowIso,
+      resultat: data.livrable_final,
+      decision: data.decision_directeur,
+      prochaine_action: [
+        ...(data.prochaines_actions || []),
+        ...conflits.map((c) => `Arbitrer : « ${c.titre} » contredit « ${c.reference.titre} »`),
+      ].join(" | "),
+      agents: ["Directeur", ...called].filter(Boolean),
+      resultats_agents: orchestration_results,
+      conformite: complianceSummary(conformite),
+    },
+    { direct: true },
+  );
+
+  // 2) DOCTRINE_VIVANTE
+  // doctrine / décisions / projets : stratégie d'écriture de la politique anti-doublon (upsert.js)
+  for (const [i, d] of (data.ecritures_notion?.doctrine || []).entries()) {
+    await write(
+      `doctrine:${i}`,
+      "doctrine",
+      {
+        titre: d.titre,
+        categorie: d.categorie,
+        contenu: d.contenu,
+        version: d.version ?? "V1",
+        actif: !!d.actif,
+      },
+      { conflits: conflitsOf("doctrine", i) },
+    );
+  }
+
+  // 3) DECISIONS_STRATEGIQUES
+  for (const [i, s] of (data.ecritures_notion?.decisions || []).entries()) {
+    await write(
+      `decisions:${i}`,
+      "decisions",
+      {
+        titre: s.titre,
+        date: nowIso,
+        statut: s.statut,
+        domaine: s.domaine,
+        justification: s.justification,
+        impact: s.impact,
+      },
+      { conflits: conflitsOf("decisions", i) },
+    );
+  }
+
+  // 4) PROJETS (écritures issues du modèle)
+  for (const [i, p] of (data.ecritures_notion?.projets || []).entries()) {
+    await write(`projets:${i}`, "projets", {
+      titre: p.titre,
+      objectif: p.objectif,
+      statut: p.statut,
+      priorite: p.priorite,
+      domaine: p.domaine,
+    });
+  }
+
+  // =====================
+  // PROJET AUTO — Formation (anti-doublon : politique "projets", upsert par défaut)
+  // =====================
+  if (!isTestMode && data?.domaine === "Formation" && data?.nouveau_projet === true) {
+    const projectTitle = `Programme formation — ${demande_client.slice(0, 60)}`;
+
+    await write("projet_formation", "projets", {
+      titre: projectTitle,
+      objectif: data.livrable_final,
+      statut: "En cours",
+      priorite: data.priorite || "Moyenne",
+      domaine: "Formation",
+    });
+  }
+
+  return {
+    data,
+    orchestration_results,
+    conformite,
+    conflits,
+    propositions,
+    ecritures,
+    partiel: ecritures.some((e) => !e.ok),
+    memoire,
+    mode_test: isTestMode,
+  };
+}
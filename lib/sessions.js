@@ -0,0 +1,188 @@
+import { randomUUID } from "node:crypto";
+import { mkdir, readFile, readdir, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+// =====================
+// SESSIONS (conversations avec le directeur)
+// =====================
+// Une session = une demande client et ses échanges. Chaque tour est un job (voir jobs.js) :
+// le directeur répond, ou s'arrête sur des questions de clarification ; la réponse du client
+// relance un tour avec la demande d'origine et les précisions reçues. Le journal n'est écrit
+// qu'au tour qui conclut la session (les tours de clarification n'écrivent rien).
+//
+// session = { id, status, demande_client, contexte, contraintes, options, messages, questions,
+//             clarifications, job_id, job_ids, error, created_at, updated_at }
+// job_id = job du tour en cours (status running), enregistré avant son exécution : un tour interrompu
+// (arrêt du serveur) est retrouvé et la session réalignée sur son job (voir reconcileTurn).
+// message = { role: "client" | "directeur", contenu?, questions?, job_id?, at }
+// status ∈ running | clarification | done | failed
+
+export const SESSION_STATUSES = ["running", "clarification", "done", "failed"];
+
+// Options du corps de /run reprises à chaque tour
+const TURN_OPTIONS = ["mode_test", "ecritures"];
+
+/**
+ * Stockage des sessions : un fichier JSON par session dans `dir`, ou en mémoire si dir est absent.
+ */
+export function createSessionStore({ dir = null } = {}) {
+  const sessions = new Map();
+  let loading = dir ? null : Promise.resolve();
+
+  function loadAll() {
+    loading ??= (async () => {
+      let files = [];
+      try {
+        files = await readdir(dir);
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+      }
+      for (const f of files.filter((x) => x.endsWith(".json"))) {
+        const session = JSON.parse(await readFile(join(dir, f), "utf8"));
+        sessions.set(session.id, session);
+      }
+    })().catch((err) => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  async function save(session) {
+    session.updated_at = new Date().toISOString();
+    sessions.set(session.id, session);
+    if (!dir) return session;
+    await mkdir(dir, { recursive: true });
+    const file = join(dir, `${session.id}.json`);
+    await writeFile(`${file}.tmp`, JSON.stringify(session, null, 2));
+    await rename(`${file}.tmp`, file);
+    return session;
+  }
+
+  // input = corps de /run : la demande ouvre la conversation
+  async function create(input = {}) {
+    await loadAll();
+    const now = new Date().toISOString();
+    return save({
+      id: randomUUID(),
+      status: "running",
+      demande_client: String(input.demande_client ?? ""),
+      contexte: String(input.contexte ?? ""),
+      contraintes: String(input.contraintes ?? ""),
+      options: Object.fromEntries(TURN_OPTIONS.filter((k) => input[k] !== undefined).map((k) => [k, input[k]])),
+      messages: [{ role: "client", contenu: String(input.demande_client ?? ""), at: now }],
+      questions: [],
+      clarifications: 0,
+      job_id: null,
+      job_ids: [],
+      error: null,
+      created_at: now,
+      updated_at: now,
+    });
+  }
+
+  async function get(id) {
+    await loadAll();
+    return sessions.get(id) || null;
+  }
+
+  async function list({ status, limit = 50 } = {}) {
+    await loadAll();
+    return [...sessions.values()]
+      .filter((s) => !status || s.status === status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  return { create, get, list, save };
+}
+
+// Échanges depuis la demande d'origine -> bloc ajouté au contexte du tour ("" sans échange).
+// Libellés neutres : le contexte alimente aussi le routage forcé vers la formation (voir director.js).
+function precisions(session) {
+  const lines = [];
+  let asked = false;
+  for (const m of session.messages.slice(1)) {
+    if (m.role === "directeur" && m.questions) lines.push(`- Questions posées : ${m.questions.join(" / ")}`);
+    else if (m.role === "client") lines.push(asked ? `  Réponse du client : ${m.contenu}` : `- Client : ${m.contenu}`);
+    asked = m.role === "directeur" && Boolean(m.questions);
+  }
+  return lines.length ? `PRÉCISIONS DU CLIENT (conversation) :\n${lines.join("\n")}` : "";
+}
+
+/**
+ * Entrée de runDirector pour le prochain tour : demande d'origine, contexte enrichi des échanges,
+ * et session = { id, restantes } (tours de questions encore permis).
+ */
+export function turnInput(session, { maxClarifications = 3 } = {}) {
+  return {
+    ...session.options,
+    demande_client: session.demande_client,
+    contexte: [session.contexte, precisions(session)].filter(Boolean).join("\n\n"),
+    contraintes: session.contraintes,
+    session: { id: session.id, restantes: Math.max(0, maxClarifications - session.clarifications) },
+  };
+}
+
+// Message du client (réponse aux questions ou précision) : relance la conversation
+export function addClientMessage(session, contenu) {
+  session.messages.push({ role: "client", contenu: String(contenu), at: new Date().toISOString() });
+  session.status = "running";
+  session.error = null;
+}
+
+// Issue d'un tour (sortie de runDirector) : questions en attente, ou session conclue
+export function recordTurn(session, job_id, out) {
+  const at = new Date().toISOString();
+  const questions = out.clarification?.questions || [];
+  session.job_id = null;
+  session.job_ids.push(job_id);
+  if (questions.length > 0) {
+    session.messages.push({ role: "directeur", questions, job_id, at });
+    session.questions = questions;
+    session.clarifications += 1;
+    session.status = "clarification";
+  } else {
+    session.messages.push({ role: "directeur", contenu: out.data?.livrable_final ?? "", job_id, at });
+    session.questions = [];
+    session.status = "done";
+  }
+}
+
+export function recordFailure(session, job_id, err) {
+  session.job_id = null;
+  if (job_id) session.job_ids.push(job_id);
+  session.status = "failed";
+  session.error = String(err?.message || err);
+}
+
+/**
+ * Session restée "running" sans tour en cours dans ce process (arrêt pendant le tour) : alignée sur
+ * le job de son tour. Job encore en file ou en cours (repris au démarrage, voir resumePending) : rien
+ * ne change ; job terminé : son issue ; pas de job, ou job en échec : le tour échoue et le client peut
+ * relancer la conversation. -> vrai si la session a changé.
+ */
+export function reconcileTurn(session, job) {
+  if (session.status !== "running") return false;
+  if (job && ["queued", "running"].includes(job.status)) return false;
+  if (job && ["done", "partial"].includes(job.status) && job.result) recordTurn(session, job.id, job.result);
+  else recordFailure(session, job?.id ?? null, job?.error || "TURN_INTERRUPTED");
+  return true;
+}
+
+// Vue publique d'une session
+export function sessionView(session) {
+  return {
+    id: session.id,
+    status: session.status,
+    demande_client: session.demande_client,
+    questions: session.questions,
+    clarifications: session.clarifications,
+    job_id: session.job_id ?? null,
+    messages: session.messages,
+    job_ids: session.job_ids,
+    error: session.error,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+  };
+}
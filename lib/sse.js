@@ -0,0 +1,21 @@
+// =====================
+// SERVER-SENT EVENTS
+// =====================
+/**
+ * Passe la réponse HTTP en flux SSE et renvoie send(event, data).
+ * Les envois après fermeture du client sont ignorés (le run va quand même au bout).
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+
+  return function send(event, data) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+  };
+}
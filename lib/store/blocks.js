@@ -0,0 +1,143 @@
+import { createHash } from "node:crypto";
+
+import { inlineRuns, parseBlocks } from "../markdown.js";
+
+// =====================
+// CONTENU DE PAGE NOTION
+// =====================
+// Les champs longs (livrables) sont écrits en entier dans le corps de la page, une section par champ :
+// un titre de niveau 1 (nom de la section) puis le texte converti en blocs Notion.
+// Les titres du texte sont décalés d'un niveau : seul le titre de section est de niveau 1, ce qui
+// délimite les sections à remplacer lors d'une mise à jour.
+
+// Limites de l'API : 2000 caractères par objet texte, 100 objets texte par bloc, 100 blocs par requête
+export const TEXT_MAX = 2000;
+export const RICH_TEXT_MAX = 100;
+export const CHILDREN_MAX = 100;
+
+// Liste ou chaîne -> morceaux de size éléments / caractères
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+// Texte (gras **…** compris) -> objets rich_text de TEXT_MAX caractères au plus
+export function richText(text) {
+  return inlineRuns(text).flatMap((run) =>
+    chunk(run.text, TEXT_MAX).map((content) => ({
+      type: "text",
+      text: { content },
+      ...(run.bold ? { annotations: { bold: true } } : {}),
+    })),
+  );
+}
+
+const textBlock = (type, text, extra = {}) =>
+  chunk(richText(text), RICH_TEXT_MAX).map((rich_text) => ({
+    object: "block",
+    type,
+    [type]: { rich_text, ...extra },
+  }));
+
+// Tableau -> blocs table (CHILDREN_MAX - 1 lignes au plus, en-tête répété), colonnes complétées
+function tableBlocks(rows) {
+  const width = Math.max(...rows.map((r) => r.length));
+  const row = (cells) => ({
+    object: "block",
+    type: "table_row",
+    table_row: { cells: Array.from({ length: width }, (_, i) => richText(cells[i] ?? "").slice(0, RICH_TEXT_MAX)) },
+  });
+  const [header, ...body] = rows;
+  const parts = body.length ? chunk(body, CHILDREN_MAX - 1) : [[]];
+  return parts.map((part) => ({
+    object: "block",
+    type: "table",
+    table: { table_width: width, has_column_header: true, has_row_header: false, children: [header, ...part].map(row) },
+  }));
+}
+
+/**
+ * Texte Markdown (ou texte libre) -> blocs Notion : titres, listes, cases à cocher, tableaux, paragraphes.
+ */
+export function markdownToBlocks(markdown) {
+  return parseBlocks(markdown, { lineBreaks: true }).flatMap((block) => {
+    if (block.type === "heading") return textBlock(`heading_${Math.min(block.level + 1, 3)}`, block.text);
+    if (block.type === "table") return tableBlocks(block.rows);
+    if (block.type === "numbered") return textBlock("numbered_list_item", block.text);
+    if (block.type === "bullet") {
+      if (block.checkbox === null) return textBlock("bulleted_list_item", block.text);
+      return textBlock("to_do", block.text, { checked: block.checkbox });
+    }
+    return textBlock("paragraph", block.text);
+  });
+}
+
+// JSON indenté -> bloc de code (plusieurs blocs au-delà de RICH_TEXT_MAX * TEXT_MAX caractères)
+export function jsonToBlocks(value) {
+  const json = JSON.stringify(value, null, 2);
+  const parts = chunk(json, TEXT_MAX).map((content) => ({ type: "text", text: { content } }));
+  return chunk(parts, RICH_TEXT_MAX).map((rich_text) => ({
+    object: "block",
+    type: "code",
+    code: { language: "json", rich_text },
+  }));
+}
+
+// Section de page : titre de niveau 1 + contenu
+export function sectionBlocks(titre, blocks) {
+  return [...textBlock("heading_1", titre), ...blocks];
+}
+
+// Titre (texte brut) d'un bloc de titre de section, sinon null
+export function sectionTitle(block) {
+  if (block?.type !== "heading_1") return null;
+  return (block.heading_1.rich_text || []).map((t) => t.plain_text ?? t.text?.content ?? "").join("");
+}
+
+export const childrenChunks = (blocks) => chunk(blocks, CHILDREN_MAX);
+
+// Empreinte du contenu de blocs (type, texte, cases cochées, lignes de tableau) : blocs écrits et blocs
+// relus de la page donnent la même empreinte, sans dépendre des identifiants ni des annotations
+export function blocksDigest(blocks) {
+  const text = (rich) => (rich || []).map((t) => t.plain_text ?? t.text?.content ?? "").join("");
+  const content = blocks.map((block) => {
+    const body = block[block.type] || {};
+    if (block.type === "table") return [block.type, (body.children || []).map((r) => r.table_row.cells.map(text))];
+    return [block.type, text(body.rich_text), body.checked ?? null];
+  });
+  return createHash("sha256").update(JSON.stringify(content)).digest("hex");
+}
+
+// =====================
+// RÉSUMÉ DES PROPRIÉTÉS
+// =====================
+// Texte -> au plus max caractères, coupé sur un mot, avec « … »
+export function summarize(text, max) {
+  const s = String(text ?? "").trim();
+  if (s.length <= max) return s;
+  const cut = s.slice(0, max - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > max * 0.6 ? cut.slice(0, space) : cut).trimEnd()}…`;
+}
+
+// Valeur structurée -> JSON valide d'au plus max caractères : les chaînes sont raccourcies, puis les
+// derniers éléments des listes retirés (un JSON tronqué ne se relit plus)
+export function summarizeJson(value, max) {
+  const full = JSON.stringify(value);
+  if (full.length <= max) return full;
+
+  const shorten = (v, n, keep) => {
+    if (typeof v === "string") return summarize(v, n);
+    if (Array.isArray(v)) return v.slice(0, keep).map((x) => shorten(x, n, keep));
+    if (!v || typeof v !== "object") return v;
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, shorten(x, n, keep)]));
+  };
+  for (const keep of [Infinity, 10, 3, 1, 0]) {
+    for (const n of [400, 160, 60, 20]) {
+      const s = JSON.stringify(shorten(value, n, keep));
+      if (s.length <= max) return s;
+    }
+  }
+  return Array.isArray(value) ? "[]" : "{}";
+}
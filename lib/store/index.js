@@ -0,0 +1,66 @@
+import { retryFromEnv } from "../retry.js";
+import { createLocalStore } from "./local.js";
+import { DEFAULT_MAPPING_FILE, loadNotionMapping } from "./mapping.js";
+import { createMirrorStore, startMirrorSync } from "./mirror.js";
+import { createNotionStore } from "./notion.js";
+
+export { KINDS } from "./kinds.js";
+export { DEFAULT_MAPPING_FILE, loadNotionMapping } from "./mapping.js";
+export { createLocalStore, createMirrorStore, createNotionStore, startMirrorSync };
+
+// =====================
+// STORE MÉMOIRE
+// =====================
+// Interface commune à toutes les implémentations :
+// - list(kind, { limit, since }) -> enregistrements, plus récents d'abord (limit: Infinity = tout ;
+//                                   since = ISO, seulement ceux modifiés depuis)
+// - findByTitle(kind, titre)     -> enregistrement | null
+// - create(kind, record, { onCreated }) -> { id } (onCreated(id) optionnel : page créée, corps pas encore
+//                                   complet ; après un échec, update(kind, id, record) la termine)
+// - update(kind, id, record)     -> { id }
+// - bodyMatches(kind, id, record) -> booléen (optionnel : les champs de record sont des champs longs dont
+//                                   l'enregistrement relu n'a qu'un résumé ; vrai si le texte complet stocké
+//                                   est déjà le leur)
+// - selectOptions()              -> { [kind]: { [champ]: [options] } } (optionnel : options select
+//                                   des bases, pour les enums du schéma directeur)
+// - describeSchema()             -> schéma attendu face au schéma réel (optionnel, voir health.js)
+// kind ∈ KINDS. Un enregistrement porte les champs logiques (titre, contenu, statut…),
+// la traduction en propriétés Notion reste dans le store Notion.
+
+/**
+ * Construit le store à partir de l'environnement.
+ * MEMORY_STORE = "notion" (défaut) | "local" ; MEMORY_FILE pour le store local.
+ * NOTION_MAPPING_FILE : champs logiques -> propriétés Notion (défaut config/notion-mapping.json).
+ * MEMORY_MIRROR=1 : le store Notion est servi par un miroir local (MIRROR_FILE), voir mirror.js.
+ * RETRY_MAX, RETRY_BASE_MS, RETRY_MAX_MS : relances des appels Notion sur erreur transitoire.
+ */
+export function createStoreFromEnv(env = process.env) {
+  const backend = (env.MEMORY_STORE || "notion").toLowerCase();
+
+  if (backend === "local") {
+    return createLocalStore({ file: env.MEMORY_FILE || "data/memory.json" });
+  }
+
+  if (backend !== "notion") throw new Error(`Unknown MEMORY_STORE: ${backend}`);
+
+  if (!env.NOTION_TOKEN) throw new Error("Missing NOTION_TOKEN");
+  if (!env.NOTION_DB_JOURNAL_AGENT_DIRECTEUR) throw new Error("Missing NOTION_DB_JOURNAL_AGENT_DIRECTEUR");
+  if (!env.NOTION_DB_DOCTRINE_VIVANTE) throw new Error("Missing NOTION_DB_DOCTRINE_VIVANTE");
+  if (!env.NOTION_DB_PROJETS) throw new Error("Missing NOTION_DB_PROJETS");
+  if (!env.NOTION_DB_DECISIONS_STRATEGIQUES) throw new Error("Missing NOTION_DB_DECISIONS_STRATEGIQUES");
+
+  const notion = createNotionStore({
+    token: env.NOTION_TOKEN,
+    retry: retryFromEnv(env),
+    mapping: loadNotionMapping(env.NOTION_MAPPING_FILE || DEFAULT_MAPPING_FILE),
+    databases: {
+      journal: env.NOTION_DB_JOURNAL_AGENT_DIRECTEUR,
+      doctrine: env.NOTION_DB_DOCTRINE_VIVANTE,
+      projets: env.NOTION_DB_PROJETS,
+      decisions: env.NOTION_DB_DECISIONS_STRATEGIQUES,
+    },
+  });
+
+  if (env.MEMORY_MIRROR !== "1") return notion;
+  return createMirrorStore({ source: notion, file: env.MIRROR_FILE || "data/mirror.json" });
+}
@@ -0,0 +1,2 @@
+// Les 4 bases mémoire gérées par un store (journal, doctrine, projets, décisions).
+export const KINDS = ["journal", "doctrine", "projets", "decisions"];
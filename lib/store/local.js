@@ -0,0 +1,85 @@
+import { randomUUID } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+import { KINDS } from "./kinds.js";
+
+// =====================
+// STORE LOCAL (fichier JSON)
+// =====================
+/**
+ * Stand-in hors ligne du store Notion : les 4 bases sont conservées dans un
+ * seul fichier JSON ({ journal: [], doctrine: [], projets: [], decisions: [] }).
+ * Pratique pour les démos, les tests et le travail sans accès au workspace.
+ */
+export function createLocalStore({ file }) {
+  let data = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await readFile(file, "utf8"));
+    } catch (err) {
+      if (err?.code !== "ENOENT") throw err;
+      data = {};
+    }
+    for (const kind of KINDS) data[kind] = Array.isArray(data[kind]) ? data[kind] : [];
+    return data;
+  }
+
+  async function persist() {
+    await mkdir(dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await writeFile(tmp, JSON.stringify(data, null, 2));
+    await rename(tmp, file);
+  }
+
+  // Les écritures sont sérialisées pour ne jamais perdre une mise à jour concurrente.
+  function serialize(fn) {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  function rows(kind) {
+    if (!KINDS.includes(kind)) throw new Error(`Unknown memory kind: ${kind}`);
+    return data[kind];
+  }
+
+  async function list(kind, { limit = 10, since = null } = {}) {
+    await load();
+    return rows(kind)
+      .filter((r) => !since || String(r.updated_at) >= since)
+      .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)))
+      .slice(0, limit);
+  }
+
+  async function findByTitle(kind, titre) {
+    await load();
+    return rows(kind).find((r) => r.titre === String(titre || "")) || null;
+  }
+
+  function create(kind, record) {
+    return serialize(async () => {
+      await load();
+      const row = { ...record, id: `local-${randomUUID()}`, updated_at: new Date().toISOString() };
+      rows(kind).push(row);
+      await persist();
+      return { id: row.id };
+    });
+  }
+
+  function update(kind, id, record) {
+    return serialize(async () => {
+      await load();
+      const row = rows(kind).find((r) => r.id === id);
+      if (!row) throw new Error(`Page not found: ${id}`);
+      Object.assign(row, record, { id, updated_at: new Date().toISOString() });
+      await persist();
+      return { id };
+    });
+  }
+
+  return { name: "local", list, findByTitle, create, update };
+}
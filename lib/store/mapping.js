@@ -0,0 +1,58 @@
+import { readFileSync } from "node:fs";
+
+import { KINDS } from "./kinds.js";
+
+// =====================
+// MAPPING CHAMPS LOGIQUES <-> PROPRIÉTÉS NOTION
+// =====================
+// config/notion-mapping.json : pour chaque base, champ logique -> propriété Notion
+// - propriete : nom de la colonne dans Notion ;
+// - type      : rich_text | date | select | multi_select | checkbox ;
+// - max       : longueur max écrite (rich_text, défaut 1900) ;
+// - defaut    : valeur écrite quand le champ est absent ;
+// - format    : "json" pour un champ structuré stocké en texte (rich_text) ;
+// - corps     : titre de section : le texte complet est aussi écrit dans le corps de la page
+//               (rich_text ; la propriété n'en garde qu'un résumé de max caractères) ;
+// - optionnel : true pour une colonne facultative (valeur aussi dans le corps, ou simple complément) :
+//               absente de la base, elle n'est pas écrite et la vérification de santé ne la signale
+//               qu'en avertissement.
+// Le titre n'est pas déclaré : c'est la propriété de type title de la base, quel que soit son nom.
+
+export const DEFAULT_MAPPING_FILE = new URL("../../config/notion-mapping.json", import.meta.url);
+
+export const PROPERTY_TYPES = ["rich_text", "date", "select", "multi_select", "checkbox"];
+export const SELECT_TYPES = ["select", "multi_select"];
+
+/**
+ * Charge et vérifie le mapping
+ * -> { [kind]: { [champ]: { propriete, type, max?, defaut?, format?, corps?, optionnel? } } }.
+ */
+export function loadNotionMapping(file = DEFAULT_MAPPING_FILE) {
+  const { bases = {} } = JSON.parse(readFileSync(file, "utf8"));
+  const mapping = {};
+  for (const [kind, fields] of Object.entries(bases)) {
+    if (!KINDS.includes(kind)) throw new Error(`Notion mapping: unknown base "${kind}"`);
+    mapping[kind] = {};
+    for (const [field, def] of Object.entries(fields)) {
+      if (!def?.propriete) throw new Error(`Notion mapping ${kind}.${field}: missing propriete`);
+      if (!PROPERTY_TYPES.includes(def.type)) {
+        throw new Error(`Notion mapping ${kind}.${field}: unknown type "${def.type}"`);
+      }
+      if (def.format && def.format !== "json") {
+        throw new Error(`Notion mapping ${kind}.${field}: unknown format "${def.format}"`);
+      }
+      if (def.corps !== undefined) {
+        if (def.type !== "rich_text" || typeof def.corps !== "string" || !def.corps.trim()) {
+          throw new Error(`Notion mapping ${kind}.${field}: corps must be a section title on a rich_text field`);
+        }
+        const same = Object.values(mapping[kind]).find((other) => other.corps === def.corps);
+        if (same) throw new Error(`Notion mapping ${kind}.${field}: duplicate corps "${def.corps}"`);
+      }
+      if (def.optionnel !== undefined && typeof def.optionnel !== "boolean") {
+        throw new Error(`Notion mapping ${kind}.${field}: optionnel must be a boolean`);
+      }
+      mapping[kind][field] = { ...def };
+    }
+  }
+  return mapping;
+}
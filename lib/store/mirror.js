@@ -0,0 +1,256 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+import { KINDS } from "./kinds.js";
+
+// =====================
+// MIROIR LOCAL (synchronisation Notion)
+// =====================
+// Copie locale des 4 bases d'un store source (Notion). Les lectures (list, findByTitle)
+// sont servies par le miroir : rapides, et disponibles même si Notion ne répond pas.
+// Les écritures partent vers la source, puis sont reportées dans le miroir.
+//
+// sync() est incrémental : par base, seules les pages modifiées depuis le curseur
+// (last_edited_time le plus récent déjà vu) sont relues. sync({ full: true }) relit tout
+// (et oublie les pages supprimées côté Notion). refreshMeta() recharge les schémas de la source.
+// Les options select sont gardées : si la source ne répond pas, les dernières connues sont servies.
+//
+// Fichier : { cursors: { kind: iso }, data: { kind: [record] }, last_sync, last_full_sync, select_options }
+// Les écritures du fichier sont sérialisées (sync, create et update concurrents).
+
+/**
+ * source = store à refléter (createNotionStore) ; file = fichier JSON du miroir (optionnel).
+ */
+export function createMirrorStore({ source, file = null }) {
+  let state = null;
+  let loading = null;
+  let inflight = null; // { promise, full } : sync en cours
+  let pendingFull = null; // sync complet demandé pendant un sync incrémental
+  let writing = Promise.resolve();
+  const listeners = new Set();
+  const status = { syncing: false, last_error: null, last_error_at: null, meta_refreshed_at: null };
+
+  // Une seule lecture du fichier, même pour des appels simultanés
+  function load() {
+    loading ??= (async () => {
+      let saved = {};
+      if (file) {
+        try {
+          saved = JSON.parse(await readFile(file, "utf8"));
+        } catch (err) {
+          if (err?.code !== "ENOENT") throw err;
+        }
+      }
+      state = {
+        cursors: saved.cursors || {},
+        data: Object.fromEntries(KINDS.map((k) => [k, Array.isArray(saved.data?.[k]) ? saved.data[k] : []])),
+        last_sync: saved.last_sync || null,
+        last_full_sync: saved.last_full_sync || null,
+        select_options: saved.select_options || null,
+      };
+      return state;
+    })().catch((err) => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  // Écritures du fichier l'une après l'autre (même fichier temporaire) ; chacune écrit l'état courant
+  function persist() {
+    if (!file) return Promise.resolve();
+    const write = async () => {
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, JSON.stringify(state));
+      await rename(`${file}.tmp`, file);
+    };
+    const next = writing.then(write, write);
+    writing = next.catch(() => {});
+    return next;
+  }
+
+  function upsert(kind, record) {
+    const rows = state.data[kind];
+    const i = rows.findIndex((r) => r.id === record.id);
+    if (i === -1) rows.push(record);
+    else rows[i] = record;
+  }
+
+  function notify(changes) {
+    for (const fn of listeners) fn(changes);
+  }
+
+  async function runSync({ full = false } = {}) {
+    await load();
+    const started = new Date().toISOString();
+    const changes = {};
+    for (const kind of KINDS) {
+      const since = full ? null : state.cursors[kind] || null;
+      const records = await source.list(kind, { limit: Infinity, since });
+      // Sync complet : les pages écrites pendant la relecture sont gardées (la requête a pu les manquer)
+      if (full) state.data[kind] = state.data[kind].filter((r) => String(r.updated_at) >= started);
+      for (const r of records) upsert(kind, r);
+      const latest = records.map((r) => r.updated_at).filter(Boolean).sort().at(-1);
+      if (latest && latest > (state.cursors[kind] || "")) state.cursors[kind] = latest;
+      changes[kind] = records.length;
+    }
+    state.last_sync = new Date().toISOString();
+    if (full) state.last_full_sync = state.last_sync;
+    await persist();
+    return changes;
+  }
+
+  /**
+   * Synchronise le miroir. Un seul sync à la fois : un appel pendant un sync en cours attend
+   * ce dernier ; un sync complet demandé pendant un sync incrémental est lancé juste après.
+   * -> { kind: nombre de pages relues }
+   */
+  function sync({ full = false } = {}) {
+    if (inflight && (inflight.full || !full)) return inflight.promise;
+    if (inflight) {
+      pendingFull ??= inflight.promise
+        .catch(() => {})
+        .then(() => {
+          pendingFull = null;
+          return sync({ full: true });
+        });
+      return pendingFull;
+    }
+    status.syncing = true;
+    const promise = runSync({ full })
+      .then((changes) => {
+        status.last_error = null;
+        if (Object.values(changes).some((n) => n > 0)) notify(changes);
+        return changes;
+      })
+      .catch((err) => {
+        status.last_error = String(err?.message || err);
+        status.last_error_at = new Date().toISOString();
+        throw err;
+      })
+      .finally(() => {
+        status.syncing = false;
+        inflight = null;
+      });
+    inflight = { promise, full };
+    return promise;
+  }
+
+  function refreshMeta() {
+    source.refreshMeta?.();
+    status.meta_refreshed_at = new Date().toISOString();
+  }
+
+  // Options select lues dans les schémas de la source (en cache côté source, rechargés par refreshMeta).
+  // Source injoignable : dernières options connues (gardées dans le fichier du miroir).
+  async function selectOptions() {
+    await load();
+    try {
+      const options = await source.selectOptions?.();
+      if (options && JSON.stringify(options) !== JSON.stringify(state.select_options)) {
+        state.select_options = options;
+        await persist();
+      }
+      return options;
+    } catch (err) {
+      if (state.select_options) return state.select_options;
+      throw err;
+    }
+  }
+
+  async function describeSchema() {
+    return source.describeSchema?.();
+  }
+
+  // Texte complet des champs avec corps : le miroir n'en garde que le résumé relu, la source le compare
+  async function bodyMatches(kind, id, record) {
+    return (await source.bodyMatches?.(kind, id, record)) ?? false;
+  }
+
+  // Premier accès sans miroir sur disque : synchronisation complète avant de répondre
+  async function ready() {
+    await load();
+    if (!state.last_sync) await sync({ full: true });
+  }
+
+  async function list(kind, { limit = 10, since = null } = {}) {
+    await ready();
+    if (!KINDS.includes(kind)) throw new Error(`Unknown memory kind: ${kind}`);
+    return state.data[kind]
+      .filter((r) => !since || String(r.updated_at) >= since)
+      .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)))
+      .slice(0, limit);
+  }
+
+  async function findByTitle(kind, titre) {
+    await ready();
+    if (!KINDS.includes(kind)) throw new Error(`Unknown memory kind: ${kind}`);
+    return state.data[kind].find((r) => r.titre === String(titre || "")) || null;
+  }
+
+  async function create(kind, record, options) {
+    const { id } = await source.create(kind, record, options);
+    await load();
+    upsert(kind, { ...record, id, updated_at: new Date().toISOString() });
+    await persist();
+    return { id };
+  }
+
+  async function update(kind, id, record) {
+    await source.update(kind, id, record);
+    await load();
+    const previous = state.data[kind].find((r) => r.id === id) || {};
+    upsert(kind, { ...previous, ...record, id, updated_at: new Date().toISOString() });
+    await persist();
+    return { id };
+  }
+
+  // fn(changes) après chaque sync qui a relu au moins une page
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  async function syncStatus() {
+    await load();
+    return {
+      source: source.name,
+      syncing: status.syncing,
+      last_sync: state.last_sync,
+      last_full_sync: state.last_full_sync,
+      last_error: status.last_error,
+      last_error_at: status.last_error_at,
+      meta_refreshed_at: status.meta_refreshed_at,
+      cursors: { ...state.cursors },
+      counts: Object.fromEntries(KINDS.map((k) => [k, state.data[k].length])),
+    };
+  }
+
+  return {
+    name: `mirror:${source.name}`,
+    list,
+    findByTitle,
+    create,
+    update,
+    bodyMatches,
+    sync,
+    refreshMeta,
+    selectOptions,
+    describeSchema,
+    subscribe,
+    syncStatus,
+  };
+}
+
+/**
+ * Planifie sync() toutes les intervalMs et refreshMeta() toutes les metaIntervalMs.
+ * Les erreurs sont consignées dans le statut du miroir (last_error), jamais levées.
+ * -> stop()
+ */
+export function startMirrorSync(mirror, { intervalMs = 300000, metaIntervalMs = 3600000 } = {}) {
+  const timers = [];
+  if (intervalMs > 0) timers.push(setInterval(() => mirror.sync().catch(() => {}), intervalMs));
+  if (metaIntervalMs > 0) timers.push(setInterval(() => mirror.refreshMeta(), metaIntervalMs));
+  for (const t of timers) t.unref();
+  return () => timers.forEach(clearInterval);
+}
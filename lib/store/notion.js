@@ -0,0 +1,460 @@
+import { Client as NotionClient } from "@notionhq/client";
+
+import {
+  blocksDigest,
+  childrenChunks,
+  jsonToBlocks,
+  markdownToBlocks,
+  sectionBlocks,
+  sectionTitle,
+  summarize,
+  summarizeJson,
+} from "./blocks.js";
+import { DEFAULT_RETRY, withRetry } from "../retry.js";
+import { SELECT_TYPES, loadNotionMapping } from "./mapping.js";
+
+// =====================
+// NOTION HELPERS
+// =====================
+export function rich(text, max = 1900) {
+  return { rich_text: [{ text: { content: String(text ?? "").slice(0, max) } }] };
+}
+
+export function titleProp(text, max = 120) {
+  return { title: [{ text: { content: String(text ?? "").slice(0, max) } }] };
+}
+
+export function dateProp(iso) {
+  return { date: { start: iso } };
+}
+
+export function safeSelect(meta, propName, value) {
+  if (!value) return null;
+  const set = meta.selectOptions.get(propName);
+  if (!set) return null;
+  if (!set.has(value)) return null;
+  return { select: { name: value } };
+}
+
+export function safeMultiSelect(meta, propName, values) {
+  if (!values || !Array.isArray(values) || values.length === 0) return null;
+  const set = meta.selectOptions.get(propName);
+  if (!set) return null;
+
+  const filtered = values
+    .filter((v) => typeof v === "string" && set.has(v))
+    .map((v) => ({ name: v }));
+
+  if (filtered.length === 0) return null;
+  return { multi_select: filtered };
+}
+
+export function extractTitleValue(page) {
+  const props = page.properties || {};
+  for (const key in props) {
+    const p = props[key];
+    if (p?.type === "title") return (p.title || []).map((t) => t.plain_text).join("");
+  }
+  return "";
+}
+
+export function extractRichValue(page, propName) {
+  const p = page.properties?.[propName];
+  if (!p) return "";
+
+  if (p.type === "rich_text") return (p.rich_text || []).map((t) => t.plain_text).join("");
+  if (p.type === "title") return (p.title || []).map((t) => t.plain_text).join("");
+  if (p.type === "select") return p.select?.name || "";
+  if (p.type === "multi_select") return (p.multi_select || []).map((o) => o.name).join(", ");
+  if (p.type === "date") return p.date?.start || "";
+  if (p.type === "checkbox") return String(!!p.checkbox);
+
+  return "";
+}
+
+// =====================
+// MAPPING ENREGISTREMENT <-> PROPRIÉTÉS
+// =====================
+// Champs logiques -> propriétés Notion selon le mapping (voir mapping.js).
+// Une propriété absente de la base, ou d'un autre type, n'est pas écrite.
+// Champ avec corps : la propriété n'en garde qu'un résumé, le texte complet va dans la page.
+function richValue(def, value) {
+  const max = def.max ?? 1900;
+  if (def.format === "json") return summarizeJson(value, max);
+  return def.corps ? summarize(value, max) : String(value ?? "").slice(0, max);
+}
+
+function encodeField(meta, def, value) {
+  const { propriete, type } = def;
+  if (meta.props[propriete]?.type !== type) return null;
+
+  if (type === "rich_text") return rich(richValue(def, value), def.max ?? 1900);
+  if (type === "date") return value ? dateProp(value) : null;
+  if (type === "select") return safeSelect(meta, propriete, value);
+  if (type === "multi_select") return safeMultiSelect(meta, propriete, value);
+  if (type === "checkbox") return { checkbox: !!value };
+  return null;
+}
+
+function decodeField(page, def) {
+  const raw = extractRichValue(page, def.propriete);
+  if (def.type === "multi_select") return raw.split(", ").filter(Boolean);
+  if (def.type === "checkbox") return raw === "true";
+  if (def.format === "json") {
+    try {
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return []; // texte tronqué à l'écriture (pages antérieures au résumé JSON)
+    }
+  }
+  return raw;
+}
+
+function toProps(fields, meta, record) {
+  const props = {
+    [meta.titleProp]: titleProp(record.titre),
+  };
+  for (const [field, def] of Object.entries(fields)) {
+    const value = record[field] ?? def.defaut;
+    if (value === undefined || value === null) continue;
+    const prop = encodeField(meta, def, value);
+    if (prop) props[def.propriete] = prop;
+  }
+  return props;
+}
+
+// Sections du corps de page : un titre par champ avec corps, puis le texte complet en blocs
+function toSections(fields, record) {
+  const sections = [];
+  for (const [field, def] of Object.entries(fields)) {
+    const value = record[field];
+    if (!def.corps || value === undefined || value === null || value === "") continue;
+    const blocks = def.format === "json" ? jsonToBlocks(value) : markdownToBlocks(value);
+    sections.push({ field, titre: def.corps, blocks: sectionBlocks(def.corps, blocks) });
+  }
+  return sections;
+}
+
+// Les propriétés ne portent que le résumé des champs avec corps : relire le texte complet
+// demanderait un appel par page (le store et son miroir lisent les propriétés).
+function fromPage(fields, page) {
+  const record = { id: page.id, titre: extractTitleValue(page), updated_at: page.last_edited_time || null };
+  for (const [field, def] of Object.entries(fields)) record[field] = decodeField(page, def);
+  return record;
+}
+
+// Client Notion dont les appels idempotents (lectures, mises à jour de propriétés, suppressions) sont relancés
+// sur erreur transitoire (429, 5xx, timeout ; voir retry.js). Création de page et ajout de blocs ne sont pas
+// relancés ici : un appel coupé a pu aboutir (voir createPage et appendChunk dans le store).
+function retryingClient(client, retry) {
+  const call = (fn) => (args) => withRetry(() => fn(args), retry);
+  return {
+    databases: {
+      retrieve: call((a) => client.databases.retrieve(a)),
+      query: call((a) => client.databases.query(a)),
+    },
+    pages: {
+      create: (a) => client.pages.create(a),
+      retrieve: call((a) => client.pages.retrieve(a)),
+      update: call((a) => client.pages.update(a)),
+    },
+    blocks: {
+      delete: call((a) => client.blocks.delete(a)),
+      children: {
+        append: (a) => client.blocks.children.append(a),
+        list: call((a) => client.blocks.children.list(a)),
+      },
+    },
+  };
+}
+
+// =====================
+// STORE NOTION
+// =====================
+/**
+ * Implémentation Notion du store mémoire.
+ * databases = { journal, doctrine, projets, decisions } (IDs de bases Notion).
+ * mapping = champs logiques -> propriétés Notion (voir mapping.js).
+ * retry = { retries, baseMs, maxMs } : relances des appels API sur erreur transitoire.
+ */
+export function createNotionStore({ notion, token, databases, mapping = loadNotionMapping(), retry = DEFAULT_RETRY }) {
+  const client = retryingClient(notion || new NotionClient({ auth: token }), retry);
+
+  const cache = {
+    dbMeta: new Map(), // database_id -> { titleProp, props, selectOptions: Map(propName->Set(options)) }
+  };
+
+  function dbId(kind) {
+    const id = databases[kind];
+    if (!id) throw new Error(`Unknown memory kind: ${kind}`);
+    return id;
+  }
+
+  const fieldsOf = (kind) => mapping[kind] || {};
+
+  async function getDbMeta(database_id) {
+    if (cache.dbMeta.has(database_id)) return cache.dbMeta.get(database_id);
+
+    const db = await client.databases.retrieve({ database_id });
+    const props = db.properties || {};
+
+    // Find Title property name
+    let titlePropName = null;
+    for (const [name, def] of Object.entries(props)) {
+      if (def.type === "title") {
+        titlePropName = name;
+        break;
+      }
+    }
+    if (!titlePropName) throw new Error(`No title property found for DB ${database_id}`);
+
+    // Build select options sets
+    const selectOptions = new Map();
+    for (const [name, def] of Object.entries(props)) {
+      if (def.type === "select") {
+        selectOptions.set(name, new Set((def.select?.options || []).map((o) => o.name)));
+      }
+      if (def.type === "multi_select") {
+        selectOptions.set(name, new Set((def.multi_select?.options || []).map((o) => o.name)));
+      }
+    }
+
+    const meta = { titleProp: titlePropName, props, selectOptions };
+    cache.dbMeta.set(database_id, meta);
+    return meta;
+  }
+
+  // limit > 100 (ou Infinity) : pagination via start_cursor.
+  // since (ISO) : seulement les pages modifiées depuis (Notion arrondit à la minute, borne incluse).
+  async function list(kind, { limit = 10, since = null } = {}) {
+    const pages = [];
+    let cursor;
+    do {
+      const res = await client.databases.query({
+        database_id: dbId(kind),
+        page_size: Math.min(100, limit - pages.length),
+        sorts: [{ timestamp: "last_edited_time", direction: "descending" }],
+        ...(since ? { filter: { timestamp: "last_edited_time", last_edited_time: { on_or_after: since } } } : {}),
+        ...(cursor ? { start_cursor: cursor } : {}),
+      });
+      pages.push(...(res.results || []));
+      cursor = res.has_more ? res.next_cursor : null;
+    } while (cursor && pages.length < limit);
+    return pages.map((p) => fromPage(fieldsOf(kind), p));
+  }
+
+  // Pages d'une base portant exactement ce titre
+  async function pagesTitled(database_id, titre, page_size = 100) {
+    const meta = await getDbMeta(database_id);
+    const res = await client.databases.query({
+      database_id,
+      page_size,
+      filter: {
+        property: meta.titleProp,
+        title: { equals: String(titre || "") },
+      },
+    });
+    return res.results || [];
+  }
+
+  async function findByTitle(kind, titre) {
+    const [page] = await pagesTitled(dbId(kind), titre, 1);
+    return page ? fromPage(fieldsOf(kind), page) : null;
+  }
+
+  // Création relancée sans doublon : avant une relance, une page de ce titre créée depuis le premier essai
+  // (created_time est arrondi à la minute par Notion) est celle de l'appel coupé, créée sans que la réponse
+  // arrive : elle est reprise, pas recréée.
+  async function createPage(args, titre) {
+    const since = new Date(Math.floor(Date.now() / 60000) * 60000).toISOString();
+    let attempted = false;
+    return withRetry(async () => {
+      if (attempted) {
+        const created = (await pagesTitled(args.parent.database_id, titre)).find((p) => p.created_time >= since);
+        if (created) return created;
+      }
+      attempted = true;
+      return client.pages.create(args);
+    }, retry);
+  }
+
+  // Ajout relancé sans doublon : avant une relance, une page qui se termine déjà par ces blocs les a reçus
+  async function appendChunk(block_id, children) {
+    let attempted = false;
+    await withRetry(async () => {
+      if (attempted) {
+        const tail = (await listChildren(block_id)).slice(-children.length);
+        if (tail.length === children.length && (await storedDigest(tail)) === blocksDigest(children)) return;
+      }
+      attempted = true;
+      await client.blocks.children.append({ block_id, children });
+    }, retry);
+  }
+
+  // Blocs ajoutés en fin de page, par lots de CHILDREN_MAX
+  async function appendBlocks(page_id, blocks) {
+    for (const children of childrenChunks(blocks)) await appendChunk(page_id, children);
+  }
+
+  // Blocs du corps de page (premier niveau), toutes pages de résultats
+  async function listChildren(block_id) {
+    const blocks = [];
+    let cursor;
+    do {
+      const res = await client.blocks.children.list({
+        block_id,
+        page_size: 100,
+        ...(cursor ? { start_cursor: cursor } : {}),
+      });
+      blocks.push(...(res.results || []));
+      cursor = res.has_more ? res.next_cursor : null;
+    } while (cursor);
+    return blocks;
+  }
+
+  // Sections titrées du corps : titre de niveau 1 -> ses blocs (titre compris, jusqu'au titre suivant)
+  function sectionsIn(blocks) {
+    const sections = new Map();
+    let current = null;
+    for (const block of blocks) {
+      const titre = sectionTitle(block);
+      if (titre !== null) sections.set(titre, (current = []));
+      current?.push(block);
+    }
+    return sections;
+  }
+
+  // Empreinte d'une section relue : les lignes d'un tableau sont des blocs enfants, lus à part
+  async function storedDigest(blocks) {
+    const full = [];
+    for (const block of blocks) {
+      if (block.type !== "table" || block.table.children || !block.has_children) full.push(block);
+      else full.push({ ...block, table: { ...block.table, children: await listChildren(block.id) } });
+    }
+    return blocksDigest(full);
+  }
+
+  // onCreated(id) : la page existe, son corps n'est pas encore complet (au-delà de CHILDREN_MAX blocs).
+  // Si l'ajout des blocs échoue, update(kind, id, record) termine la page au lieu d'en recréer une.
+  async function create(kind, record, { onCreated = null } = {}) {
+    const database_id = dbId(kind);
+    const meta = await getDbMeta(database_id);
+    const [first = [], ...rest] = childrenChunks(toSections(fieldsOf(kind), record).flatMap((s) => s.blocks));
+    const props = toProps(fieldsOf(kind), meta, record);
+    const page = await createPage(
+      { parent: { database_id }, properties: props, ...(first.length ? { children: first } : {}) },
+      props[meta.titleProp].title[0].text.content,
+    );
+    if (page?.id && rest.length > 0) {
+      await onCreated?.(page.id);
+      await appendBlocks(page.id, rest.flat());
+    }
+    return { id: page?.id || null };
+  }
+
+  // Les sections des champs modifiés sont remplacées ; le reste de la page (notes manuelles) est conservé.
+  // Un champ dont le texte complet est celui de sa section n'est pas réécrit ; un champ égal au résumé
+  // de sa propriété (relu et reporté par une fusion) non plus : le texte complet est déjà dans la page.
+  async function update(kind, id, record) {
+    const fields = fieldsOf(kind);
+    const meta = await getDbMeta(dbId(kind));
+    let sections = toSections(fields, record);
+    let body = [];
+    if (sections.length > 0) {
+      const current = await client.pages.retrieve({ page_id: id });
+      body = await listChildren(id);
+      const stored = sectionsIn(body);
+      const upToDate = async ({ field, titre, blocks }) => {
+        const def = fields[field];
+        const raw = def.format === "json" ? JSON.stringify(record[field]) : String(record[field]);
+        if (raw === extractRichValue(current, def.propriete)) return true;
+        return stored.has(titre) && (await storedDigest(stored.get(titre))) === blocksDigest(blocks);
+      };
+      const changed = [];
+      for (const section of sections) if (!(await upToDate(section))) changed.push(section);
+      sections = changed;
+    }
+
+    await client.pages.update({
+      page_id: id,
+      properties: toProps(fields, meta, record),
+    });
+    if (sections.length > 0) {
+      const stored = sectionsIn(body);
+      for (const { titre } of sections) {
+        for (const block of stored.get(titre) || []) await client.blocks.delete({ block_id: block.id });
+      }
+      await appendBlocks(id, sections.flatMap((s) => s.blocks));
+    }
+    return { id };
+  }
+
+  // Vrai si chaque champ de `record` a un corps et que sa section de page porte déjà ce texte complet
+  // (les propriétés relues n'en ont que le résumé)
+  async function bodyMatches(kind, id, record) {
+    const fields = fieldsOf(kind);
+    const sections = toSections(fields, record);
+    if (sections.length !== Object.keys(record).length) return false;
+    const stored = sectionsIn(await listChildren(id));
+    for (const { titre, blocks } of sections) {
+      if (!stored.has(titre) || (await storedDigest(stored.get(titre))) !== blocksDigest(blocks)) return false;
+    }
+    return true;
+  }
+
+  // Oublie les schémas en cache : nouvelles options de select, colonnes ajoutées…
+  function refreshMeta() {
+    cache.dbMeta.clear();
+  }
+
+  // Options des champs select / multi_select, lues dans les bases -> { [kind]: { [champ]: [options] } }
+  async function selectOptions() {
+    const out = {};
+    for (const kind of Object.keys(databases)) {
+      const meta = await getDbMeta(dbId(kind));
+      out[kind] = {};
+      for (const [field, def] of Object.entries(fieldsOf(kind))) {
+        if (!SELECT_TYPES.includes(def.type) || meta.props[def.propriete]?.type !== def.type) continue;
+        out[kind][field] = [...meta.selectOptions.get(def.propriete)];
+      }
+    }
+    return out;
+  }
+
+  // Schéma attendu (mapping) face au schéma réel, base par base -> { [kind]: { database_id, titre, champs } }
+  // champs[champ] = { propriete, type, type_notion (null si colonne absente), options?, optionnel? } ;
+  // base injoignable -> { database_id, error }
+  async function describeSchema() {
+    const out = {};
+    for (const kind of Object.keys(databases)) {
+      const database_id = dbId(kind);
+      try {
+        const meta = await getDbMeta(database_id);
+        const champs = {};
+        for (const [field, def] of Object.entries(fieldsOf(kind))) {
+          const type_notion = meta.props[def.propriete]?.type ?? null;
+          const options = meta.selectOptions.get(def.propriete);
+          champs[field] = { propriete: def.propriete, type: def.type, type_notion };
+          if (options) champs[field].options = [...options];
+          if (def.optionnel) champs[field].optionnel = true;
+        }
+        out[kind] = { database_id, titre: meta.titleProp, champs };
+      } catch (err) {
+        out[kind] = { database_id, error: String(err?.message || err) };
+      }
+    }
+    return out;
+  }
+
+  return {
+    name: "notion",
+    list,
+    findByTitle,
+    create,
+    update,
+    bodyMatches,
+    refreshMeta,
+    selectOptions,
+    describeSchema,
+  };
+}
@@ -0,0 +1,269 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { readFileSync } from "node:fs";
+import { mkdir, readFile, readdir, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+// =====================
+// TRACES (spans par run, tokens, coût estimé)
+// =====================
+// Une trace par run (id = id du job) : un span par étape enregistrée du pipeline (clé de checkpoint,
+// voir jobs.js : memory, director, agent:<id>, conformite, conflits, write:<clé>, page:<clé>, propose:<clé>),
+// avec durée, erreur éventuelle et appels modèle faits pendant l'étape (rôle, modèle, latence, tokens,
+// coût estimé, prompts et sortie). Les appels modèle sont rattachés au span courant via AsyncLocalStorage :
+// les agents d'un plan parallèle ne se mélangent pas.
+//
+// trace = { id, type, status, demande_client, auteur, tentatives, started_at, ended_at, duration_ms,
+//           error, spans, totaux }
+// span  = { nom, type, tentative, started_at, duration_ms, ok, error?, rejoue?, appels }
+// appel = { at, role, provider, model, latency_ms, input_tokens, output_tokens, cout, error?,
+//           system?, user?, output? }
+// status ∈ running | done | failed
+
+export const DEFAULT_PRICING_FILE = new URL("../config/tarifs-modeles.json", import.meta.url);
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Lit et valide la grille tarifaire { devise, unite_tokens, modeles: { [modele]: { entree, entree_cache?, sortie } } }.
+ */
+export function loadPricing(file = DEFAULT_PRICING_FILE) {
+  const pricing = JSON.parse(readFileSync(file, "utf8"));
+  if (!(pricing.unite_tokens > 0)) throw new Error(`Pricing ${file}: "unite_tokens" must be a positive number`);
+  for (const [model, p] of Object.entries(pricing.modeles || {})) {
+    for (const key of ["entree", "sortie"]) {
+      if (typeof p[key] !== "number" || p[key] < 0) throw new Error(`Pricing ${model}: "${key}" must be a number`);
+    }
+  }
+  return pricing;
+}
+
+// Tarif d'un modèle : nom exact, sinon le plus long préfixe connu (versions datées : gpt-4.1-mini-2025-04-14)
+function priceFor(pricing, model) {
+  const models = pricing?.modeles || {};
+  if (models[model]) return models[model];
+  const prefix = Object.keys(models)
+    .filter((m) => String(model).startsWith(`${m}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : null;
+}
+
+// usage du provider (Responses API ou Chat Completions) -> { input_tokens, output_tokens, cached_tokens } ou null
+export function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    input_tokens: usage.input_tokens ?? usage.prompt_tokens ?? 0,
+    output_tokens: usage.output_tokens ?? usage.completion_tokens ?? 0,
+    cached_tokens: usage.input_tokens_details?.cached_tokens ?? usage.prompt_tokens_details?.cached_tokens ?? 0,
+  };
+}
+
+/**
+ * Coût estimé d'un appel ; null si l'usage n'est pas rapporté (mock) ou si le modèle n'a pas de tarif.
+ */
+export function estimateCost(pricing, model, usage) {
+  const price = priceFor(pricing, model);
+  if (!usage || !price) return null;
+  const cached = Math.min(usage.cached_tokens || 0, usage.input_tokens);
+  const cost =
+    (usage.input_tokens - cached) * price.entree +
+    cached * (price.entree_cache ?? price.entree) +
+    usage.output_tokens * price.sortie;
+  return Math.round((cost / pricing.unite_tokens) * 1e6) / 1e6;
+}
+
+/**
+ * Appel modèle terminé (ou échoué) : rattaché au span courant, ignoré hors d'une trace.
+ * call = { role, provider, model, system, user, output, usage, latency_ms, error }
+ */
+export function recordLlmCall(call) {
+  const current = context.getStore();
+  if (current) current.record(call);
+}
+
+/**
+ * Stockage des traces : un fichier JSON par trace dans `dir`, ou en mémoire si dir est absent.
+ */
+export function createTraceStore({ dir = null } = {}) {
+  const traces = new Map();
+  let loading = dir ? null : Promise.resolve();
+
+  function loadAll() {
+    loading ??= (async () => {
+      let files = [];
+      try {
+        files = await readdir(dir);
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+      }
+      for (const f of files.filter((x) => x.endsWith(".json"))) {
+        const trace = JSON.parse(await readFile(join(dir, f), "utf8"));
+        traces.set(trace.id, trace);
+      }
+    })().catch((err) => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  async function save(trace) {
+    traces.set(trace.id, trace);
+    if (!dir) return trace;
+    await mkdir(dir, { recursive: true });
+    const file = join(dir, `${trace.id}.json`);
+    await writeFile(`${file}.tmp`, JSON.stringify(trace, null, 2));
+    await rename(`${file}.tmp`, file);
+    return trace;
+  }
+
+  async function get(id) {
+    await loadAll();
+    return traces.get(id) || null;
+  }
+
+  async function list({ status, type, limit = 50 } = {}) {
+    await loadAll();
+    return [...traces.values()]
+      .filter((t) => (!status || t.status === status) && (!type || t.type === type))
+      .sort((a, b) => b.started_at.localeCompare(a.started_at))
+      .slice(0, limit);
+  }
+
+  return { get, list, save };
+}
+
+const emptyTotals = () => ({ appels: 0, input_tokens: 0, output_tokens: 0, cout: 0, appels_sans_cout: 0 });
+
+function addCall(totals, call) {
+  totals.appels += 1;
+  totals.input_tokens += call.input_tokens ?? 0;
+  totals.output_tokens += call.output_tokens ?? 0;
+  if (call.cout === null) totals.appels_sans_cout += 1;
+  else totals.cout = Math.round((totals.cout + call.cout) * 1e6) / 1e6;
+}
+
+/**
+ * Traceur : start({ id, type, demande_client, auteur }) ouvre (ou reprend) la trace d'un run.
+ * pricing = grille tarifaire (loadPricing, coûts dans sa devise) ; prompts = false n'enregistre ni prompts ni sorties.
+ * Renvoie { trace, run(fn), span(nom, fn), replayed(nom), finish(err?) }.
+ */
+export function createTracer({ store = createTraceStore(), pricing = loadPricing(), prompts = true } = {}) {
+  async function start({ id, type = "run", demande_client = "", auteur = null }) {
+    const now = new Date().toISOString();
+    const trace = (await store.get(id)) || {
+      id,
+      type,
+      status: "running",
+      demande_client,
+      auteur,
+      tentatives: 0,
+      started_at: now,
+      ended_at: null,
+      duration_ms: null,
+      error: null,
+      spans: [],
+      totaux: emptyTotals(),
+    };
+    trace.tentatives += 1;
+    trace.status = "running";
+    trace.error = null;
+    const tentative = trace.tentatives;
+    const started = Date.now();
+    const root = { nom: "run", type: "run", tentative, appels: [] };
+
+    const recorder = (span) => (call) => {
+      const usage = normalizeUsage(call.usage);
+      const appel = {
+        at: new Date().toISOString(),
+        role: call.role,
+        provider: call.provider,
+        model: call.model,
+        latency_ms: call.latency_ms,
+        input_tokens: usage?.input_tokens ?? null,
+        output_tokens: usage?.output_tokens ?? null,
+        cout: estimateCost(pricing, call.model, usage),
+        ...(call.error ? { error: String(call.error?.message || call.error) } : {}),
+        ...(prompts ? { system: call.system, user: call.user, output: call.output ?? null } : {}),
+      };
+      span.appels.push(appel);
+      addCall(trace.totaux, appel);
+    };
+
+    // Étape du pipeline : durée, issue et appels modèle faits pendant l'étape
+    async function span(nom, fn) {
+      const s = { nom, type: nom.split(":")[0], tentative, started_at: new Date().toISOString(), appels: [] };
+      trace.spans.push(s);
+      const t0 = Date.now();
+      try {
+        const value = await context.run({ record: recorder(s) }, fn);
+        s.ok = value?.ok !== false;
+        if (value?.ok === false && value.error) s.error = String(value.error);
+        return value;
+      } catch (err) {
+        s.ok = false;
+        s.error = String(err?.message || err);
+        throw err;
+      } finally {
+        s.duration_ms = Date.now() - t0;
+      }
+    }
+
+    // Étape déjà enregistrée lors d'une tentative précédente (reprise) : rejouée sans appel
+    function replayed(nom) {
+      trace.spans.push({
+        nom,
+        type: nom.split(":")[0],
+        tentative,
+        started_at: new Date().toISOString(),
+        duration_ms: 0,
+        ok: true,
+        rejoue: true,
+        appels: [],
+      });
+    }
+
+    // Appels modèle hors étape : span "run" ajouté seulement s'il en contient
+    const run = (fn) => context.run({ record: recorder(root) }, fn);
+
+    async function finish(err = null) {
+      if (root.appels.length > 0) trace.spans.push({ ...root, started_at: now, duration_ms: null, ok: !err });
+      trace.status = err ? "failed" : "done";
+      trace.error = err ? String(err?.message || err) : null;
+      trace.ended_at = new Date().toISOString();
+      trace.duration_ms = (trace.duration_ms || 0) + (Date.now() - started);
+      await store.save(trace);
+      return trace;
+    }
+
+    await store.save(trace);
+    return { trace, run, span, replayed, finish };
+  }
+
+  return { start, store, pricing };
+}
+
+// Vue liste : sans les spans
+export function traceSummary(trace) {
+  const { spans, ...rest } = trace;
+  return { ...rest, spans: spans.length };
+}
+
+/**
+ * Totaux de coût par jour (date de l'appel, UTC) et par agent (rôle modèle) sur un ensemble de traces.
+ * from / to = "AAAA-MM-JJ" inclus.
+ */
+export function costTotals(traces, { from = null, to = null } = {}) {
+  const total = emptyTotals();
+  const par_jour = {};
+  const par_agent = {};
+  for (const trace of traces) {
+    for (const call of trace.spans.flatMap((s) => s.appels || [])) {
+      const day = call.at.slice(0, 10);
+      if ((from && day < from) || (to && day > to)) continue;
+      addCall(total, call);
+      addCall((par_jour[day] ??= emptyTotals()), call);
+      addCall((par_agent[call.role] ??= emptyTotals()), call);
+    }
+  }
+  return { total, par_jour, par_agent };
+}
@@ -0,0 +1,122 @@
+import { readFileSync } from "node:fs";
+
+import { createOrResume, normalizeTitle, sameContent, supersede, titleSimilarity } from "./versioning.js";
+
+// =====================
+// ANTI-DOUBLON (politique d'écriture par base)
+// =====================
+// config/upsert.json : pour chaque base (doctrine, decisions, projets)
+// - strategie      : "create" (toujours une nouvelle page) | "upsert" (mise à jour de la page
+//                    correspondante) | "supersede" (nouvelle version, voir versioning.js) ;
+// - correspondance : "exact" (même titre) | "normalise" (casse, accents, espaces ignorés)
+//                    | "floue" (similarité des titres >= seuil) ;
+// - fusion         : règle par champ lors d'un upsert :
+//     "remplacer" (défaut : nouvelle valeur si non vide) | "conserver" (valeur existante si non vide)
+//     | { regle: "max", ordre: [...] } (garde la valeur la plus avancée dans l'ordre ; une valeur
+//       hors de l'ordre est acceptée telle quelle).
+
+export const DEFAULT_UPSERT_FILE = new URL("../config/upsert.json", import.meta.url);
+
+export const STRATEGIES = ["create", "upsert", "supersede"];
+export const MATCH_MODES = ["exact", "normalise", "floue"];
+export const MERGE_RULES = ["remplacer", "conserver", "max"];
+
+const DEFAULT_RULE = { strategie: "create", correspondance: "exact", seuil: 0.75, fusion: {} };
+
+/**
+ * Charge et vérifie la politique -> { [kind]: { strategie, correspondance, seuil, fusion } }.
+ * Une valeur inconnue lève une erreur (au démarrage plutôt qu'à la première écriture).
+ */
+export function loadUpsertPolicy(file = DEFAULT_UPSERT_FILE) {
+  const { bases = {} } = JSON.parse(readFileSync(file, "utf8"));
+  const policy = {};
+  for (const [kind, raw] of Object.entries(bases)) {
+    const rule = { ...DEFAULT_RULE, ...raw };
+    if (!STRATEGIES.includes(rule.strategie)) throw new Error(`Upsert ${kind}: unknown strategie "${rule.strategie}"`);
+    if (!MATCH_MODES.includes(rule.correspondance)) {
+      throw new Error(`Upsert ${kind}: unknown correspondance "${rule.correspondance}"`);
+    }
+    const fusion = {};
+    for (const [field, def] of Object.entries(rule.fusion || {})) {
+      const f = typeof def === "string" ? { regle: def } : def;
+      if (!MERGE_RULES.includes(f.regle)) throw new Error(`Upsert ${kind}.${field}: unknown regle "${f.regle}"`);
+      if (f.regle === "max" && !Array.isArray(f.ordre)) throw new Error(`Upsert ${kind}.${field}: "max" needs an ordre`);
+      fusion[field] = f;
+    }
+    policy[kind] = { ...rule, fusion };
+  }
+  return policy;
+}
+
+export function ruleFor(policy, kind) {
+  return policy?.[kind] || DEFAULT_RULE;
+}
+
+// Prédicat de correspondance de titres pour une règle
+export function titleMatcher({ correspondance = "exact", seuil = DEFAULT_RULE.seuil } = {}) {
+  if (correspondance === "normalise") return (a, b) => normalizeTitle(a) === normalizeTitle(b);
+  if (correspondance === "floue") return (a, b) => titleSimilarity(a, b) >= seuil;
+  return (a, b) => String(a ?? "") === String(b ?? "");
+}
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+
+/**
+ * Fusionne un enregistrement entrant dans l'existant selon les règles par champ.
+ */
+export function mergeRecord(existing, incoming, fusion = {}) {
+  const merged = { ...existing };
+  for (const [field, value] of Object.entries(incoming)) {
+    const rule = fusion[field] || { regle: "remplacer" };
+    const current = existing[field];
+
+    if (rule.regle === "conserver") merged[field] = isEmpty(current) ? value : current;
+    else if (rule.regle === "max") {
+      const a = rule.ordre.indexOf(current);
+      const b = rule.ordre.indexOf(value);
+      merged[field] = a === -1 || b === -1 || b >= a ? (isEmpty(value) ? current : value) : current;
+    } else merged[field] = isEmpty(value) ? current : value;
+  }
+  return merged;
+}
+
+/**
+ * Écrit `record` dans la base `kind` selon la politique (strategie forcée possible).
+ * resume = { created, onCreated } : page créée par un essai interrompu de cette écriture, terminée
+ * au lieu d'être recréée (voir createOrResume).
+ * -> { action: "create" | "update" | "supersede" | "unchanged", id, ... }
+ */
+export async function applyWrite(store, kind, record, policy, strategie = null, resume = {}) {
+  const rule = ruleFor(policy, kind);
+  const mode = strategie || rule.strategie;
+  const match = titleMatcher(rule);
+
+  if (mode === "supersede") return supersede(store, kind, record, { match, ...resume });
+
+  // La page de l'essai interrompu est celle que cette écriture créait
+  if (resume.created) {
+    const { id } = await createOrResume(store, kind, record, resume);
+    return { action: "create", id };
+  }
+
+  if (mode === "upsert") {
+    const existing =
+      rule.correspondance === "exact"
+        ? await store.findByTitle(kind, record.titre)
+        : (await store.list(kind, { limit: Infinity })).find((r) => match(r.titre, record.titre));
+
+    if (existing) {
+      // La page garde son titre : les runs suivants la retrouvent
+      const merged = mergeRecord(existing, { ...record, titre: existing.titre }, rule.fusion);
+      if (await sameContent(store, kind, existing, merged, Object.keys(record))) {
+        return { action: "unchanged", id: existing.id };
+      }
+
+      await store.update(kind, existing.id, merged);
+      return { action: "update", id: existing.id };
+    }
+  }
+
+  const { id } = await store.create(kind, record, { onCreated: resume.onCreated });
+  return { action: "create", id };
+}
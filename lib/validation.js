@@ -0,0 +1,149 @@
+// =====================
+// VALIDATION DES SORTIES AGENTS
+// =====================
+// Règles de contenu vérifiées après chaque réponse d'agent. Une violation =
+// { regle, message } ; le message est renvoyé tel quel à l'agent pour correction.
+// Une règle reçoit la sortie et les paramètres d'appel de l'agent (voir resolveParameters).
+
+const MIN_FORMATION_CHARS = 1200;
+const MIN_ATELIERS = 3;
+const MIN_HORAIRES = 2;
+
+// Structure pédagogique immuable, dans cet ordre
+export const FORMATION_PARTIES = ["Cadre juridique", "Analyse structurée", "Outils mobilisables"];
+
+// Nombre d'ateliers distincts : "Atelier 1", "Atelier 2"… (ou lignes commençant par "Atelier")
+export function countAteliers(text) {
+  const numbered = new Set([...String(text).matchAll(/atelier\s*n?°?\s*(\d+)/gi)].map((m) => m[1]));
+  if (numbered.size > 0) return numbered.size;
+  return String(text)
+    .split("\n")
+    .filter((line) => /^\s*(?:[-*#\d.)\s]*)atelier\b/i.test(line)).length;
+}
+
+// "obligations légales" doit être précisé dans la même phrase (principes / interdictions / protections / limites)
+function vagueObligations(text) {
+  const sentences = String(text).split(/(?<=[.!?\n])/);
+  return sentences.filter(
+    (s) => /obligations? l[ée]gales?/i.test(s) && !/principes?|interdictions?|protections?|limites?/i.test(s),
+  );
+}
+
+// Sections exigées par Qualiopi dans un programme : champ structuré -> intitulé
+export const QUALIOPI_SECTIONS = {
+  objectifs: "Objectifs",
+  prerequis: "Prérequis",
+  modalites_evaluation: "Modalités d'évaluation",
+  accessibilite: "Accessibilité",
+};
+
+// Champs Qualiopi absents ou vides d'une sortie formation
+export function qualiopiManquantes(data) {
+  return Object.keys(QUALIOPI_SECTIONS).filter((field) => {
+    const v = data?.[field];
+    return Array.isArray(v) ? !v.some((x) => String(x).trim()) : !String(v ?? "").trim();
+  });
+}
+
+// Heures distinctes du déroulé (09:00, 9h30…) ; une durée ("7h") ne compte pas
+export function countHoraires(text) {
+  return new Set([...String(text).matchAll(/\b([01]?\d|2[0-3])[:h]([0-5]\d)\b/g)].map((m) => `${+m[1]}:${m[2]}`)).size;
+}
+
+// Parties de FORMATION_PARTIES absentes ou dans le désordre
+function partiesHorsOrdre(text) {
+  const lower = String(text).toLowerCase();
+  let from = 0;
+  const fautives = [];
+  for (const partie of FORMATION_PARTIES) {
+    const at = lower.indexOf(partie.toLowerCase(), from);
+    if (at === -1) fautives.push(partie);
+    else from = at;
+  }
+  return fautives;
+}
+
+const RULES = {
+  formation: [
+    (d) =>
+      d.livrable.length < MIN_FORMATION_CHARS && {
+        regle: "longueur_min",
+        message: `Le livrable fait ${d.livrable.length} caractères : minimum ${MIN_FORMATION_CHARS}.`,
+      },
+    (d, p) => {
+      const n = countAteliers(d.livrable);
+      const min = p.nb_ateliers ?? MIN_ATELIERS;
+      return (
+        n < min && {
+          regle: "ateliers_min",
+          message: `${n} atelier(s) détecté(s) : minimum ${min}, numérotés "Atelier 1", "Atelier 2"…`,
+        }
+      );
+    },
+    (d) =>
+      countHoraires(d.livrable) < MIN_HORAIRES && {
+        regle: "horaire",
+        message: "Le déroulé horaire doit donner l'heure de début de chaque séquence (ex. 09:00, 10:30).",
+      },
+    (d) => {
+      const fautives = partiesHorsOrdre(d.livrable);
+      return (
+        fautives.length > 0 && {
+          regle: "structure",
+          message: `Structure imposée : ${FORMATION_PARTIES.join(" -> ")}. Absent ou hors ordre : ${fautives.join(", ")}.`,
+        }
+      );
+    },
+    (d) => {
+      const manquantes = qualiopiManquantes(d);
+      return (
+        manquantes.length > 0 && {
+          regle: "qualiopi",
+          message: `Champs Qualiopi vides : ${manquantes.map((f) => QUALIOPI_SECTIONS[f]).join(", ")} (${manquantes.join(", ")}).`,
+        }
+      );
+    },
+    (d) => {
+      const vagues = vagueObligations(d.livrable);
+      return (
+        vagues.length > 0 && {
+          regle: "obligations_legales_vagues",
+          message: `"obligations légales" sans préciser principes / interdictions / protections / limites : "${vagues[0].trim().slice(0, 160)}"`,
+        }
+      );
+    },
+  ],
+};
+
+/**
+ * Valide la sortie (déjà parsée) d'un agent. Renvoie la liste des violations ([] = conforme).
+ * parametres = paramètres d'appel résolus (ex. nb_ateliers pour la formation).
+ */
+export function validateAgentOutput(agentKey, data, parametres = {}) {
+  if (!data || typeof data !== "object") return [{ regle: "json", message: "La sortie doit être un objet JSON." }];
+
+  const violations = [];
+  if (typeof data.livrable !== "string" || !data.livrable.trim()) {
+    violations.push({ regle: "livrable_vide", message: "Le champ livrable est vide." });
+    return violations;
+  }
+  if (!Array.isArray(data.points_a_valider)) {
+    violations.push({ regle: "points_a_valider", message: "points_a_valider doit être une liste." });
+  }
+
+  for (const rule of RULES[agentKey] || []) {
+    const v = rule(data, parametres);
+    if (v) violations.push(v);
+  }
+  return violations;
+}
+
+// Message de correction renvoyé à l'agent pour la tentative suivante
+export function repairPrompt(violations) {
+  return [
+    "CORRECTIONS OBLIGATOIRES",
+    "Ta réponse précédente ne respecte pas les règles suivantes :",
+    ...violations.map((v) => `- [${v.regle}] ${v.message}`),
+    "Renvoie le JSON complet corrigé.",
+  ].join("\n");
+}
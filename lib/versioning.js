@@ -0,0 +1,138 @@
+import { tokenize } from "./retrieval.js";
+
+// =====================
+// VERSIONS (doctrine, décisions)
+// =====================
+// Une entrée qui reformule une entrée existante (même titre, ou titre très proche) ne crée pas
+// de doublon : elle devient la nouvelle version de la lignée.
+// - doctrine : version incrémentée (V1 -> V2…), les versions précédentes passent Actif = false ;
+// - décisions : les versions précédentes actées passent au statut "Abandonnée".
+// Toutes les versions restent des pages du store : c'est l'historique (voir versionTimeline).
+
+export const SIMILARITY_THRESHOLD = 0.75;
+export const SUPERSEDED_DECISION_STATUT = "Abandonnée";
+
+// Champs comparés pour détecter une simple redite (aucune nouvelle version)
+const CONTENT_FIELDS = {
+  doctrine: ["categorie", "contenu", "actif"],
+  decisions: ["statut", "domaine", "justification", "impact"],
+};
+
+// Titre comparable : minuscules, sans accents, espaces réduits
+export function normalizeTitle(titre) {
+  return String(titre || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Similarité des titres : Jaccard sur les mots normalisés (1 = mêmes mots)
+export function titleSimilarity(a, b) {
+  const x = new Set(tokenize(a));
+  const y = new Set(tokenize(b));
+  if (x.size === 0 || y.size === 0) return String(a).trim() === String(b).trim() ? 1 : 0;
+  const common = [...x].filter((w) => y.has(w)).length;
+  return common / (x.size + y.size - common);
+}
+
+export function parseVersion(version) {
+  const n = Number(String(version || "").match(/\d+/)?.[0]);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+function byVersion(kind) {
+  return kind === "doctrine"
+    ? (a, b) => parseVersion(a.version) - parseVersion(b.version) || String(a.updated_at).localeCompare(String(b.updated_at))
+    : (a, b) => String(a.date || a.updated_at).localeCompare(String(b.date || b.updated_at));
+}
+
+function isCurrent(kind, r) {
+  return kind === "doctrine" ? !!r.actif : r.statut !== SUPERSEDED_DECISION_STATUT;
+}
+
+const similarTitles = (a, b) => titleSimilarity(a, b) >= SIMILARITY_THRESHOLD;
+
+/**
+ * Entrées de la même lignée que `titre`, de la plus ancienne à la plus récente version.
+ * match(titreA, titreB) décide de l'appartenance (par défaut : titres similaires).
+ */
+export async function findLineage(store, kind, titre, match = similarTitles) {
+  const all = await store.list(kind, { limit: Infinity });
+  return all.filter((r) => match(r.titre, titre)).sort(byVersion(kind));
+}
+
+/**
+ * Écrit `record` comme nouvelle version de sa lignée (ou première entrée si aucune).
+ * created / onCreated : reprise d'une création interrompue (voir createOrResume).
+ * -> { action: "create" | "supersede" | "unchanged", id, version?, remplace? }
+ */
+export async function supersede(store, kind, record, { match = similarTitles, created = null, onCreated } = {}) {
+  const lineage = (await findLineage(store, kind, record.titre, match)).filter((r) => r.id !== created);
+  if (lineage.length === 0) {
+    const { id } = await createOrResume(store, kind, record, { created, onCreated });
+    return { action: "create", id };
+  }
+
+  // Versions courantes de la lignée autres que `keep` -> retirées (ids)
+  const retire = async (keep) => {
+    const remplace = [];
+    for (const previous of lineage.filter((r) => r.id !== keep && isCurrent(kind, r))) {
+      const retired =
+        kind === "doctrine" ? { ...previous, actif: false } : { ...previous, statut: SUPERSEDED_DECISION_STATUT };
+      await store.update(kind, previous.id, retired);
+      remplace.push(previous.id);
+    }
+    return remplace;
+  };
+
+  // Redite de la dernière version : rien à créer, mais une version précédente restée courante (retrait
+  // interrompu par un échec) est retirée maintenant
+  const latest = lineage.at(-1);
+  if (isCurrent(kind, latest) && (await sameContent(store, kind, latest, record, CONTENT_FIELDS[kind]))) {
+    const remplace = await retire(latest.id);
+    return { action: "unchanged", id: latest.id, ...(remplace.length ? { remplace } : {}) };
+  }
+
+  // La lignée garde son titre : la timeline regroupe les versions par titre
+  const next = { ...record, titre: latest.titre };
+  if (kind === "doctrine") {
+    next.version = `V${Math.max(...lineage.map((r) => parseVersion(r.version))) + 1}`;
+  }
+  const { id } = await createOrResume(store, kind, next, { created, onCreated });
+
+  const remplace = await retire(id);
+  return { action: "supersede", id, ...(next.version ? { version: next.version } : {}), remplace };
+}
+
+/**
+ * Vrai si l'enregistrement relu `existing` porte déjà les valeurs de `record` pour `fields`. Un champ long
+ * n'est relu qu'en résumé (store Notion) : un champ qui en diffère est comparé au texte complet stocké.
+ */
+export async function sameContent(store, kind, existing, record, fields = Object.keys(record)) {
+  const differing = fields.filter((f) => String(existing[f] ?? "") !== String(record[f] ?? ""));
+  if (differing.length === 0) return true;
+  if (!store.bodyMatches) return false;
+  return store.bodyMatches(kind, existing.id, Object.fromEntries(differing.map((f) => [f, record[f]])));
+}
+
+/**
+ * Crée l'entrée ; created = id d'une page créée par un essai interrompu de la même écriture (corps
+ * incomplet, voir store.create) : elle est terminée au lieu d'être recréée.
+ */
+export async function createOrResume(store, kind, record, { created = null, onCreated } = {}) {
+  if (created) return store.update(kind, created, record);
+  return store.create(kind, record, { onCreated });
+}
+
+/**
+ * Timeline des versions de l'entrée `id` -> null si l'entrée n'existe pas.
+ */
+export async function versionTimeline(store, kind, id, { match = similarTitles } = {}) {
+  const all = await store.list(kind, { limit: Infinity });
+  const entry = all.find((r) => r.id === id);
+  if (!entry) return null;
+  const lineage = await findLineage(store, kind, entry.titre, match);
+  return lineage.map((r) => ({ ...r, courante: isCurrent(kind, r) }));
+}
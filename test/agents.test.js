@@ -0,0 +1,201 @@
+import assert from "node:assert/strict";
+import { cp, mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, before, describe, it } from "node:test";
+
+import {
+  DEFAULT_AGENTS_DIR,
+  agentSystemPrompt,
+  defaultAgents,
+  loadAgentRegistry,
+  resolveParameters,
+} from "../lib/agents.js";
+import { buildOutputSchema, buildSystemPrompt } from "../lib/director.js";
+import { createLlmFromEnv } from "../lib/llm/index.js";
+import { mergeLivrables } from "../lib/orchestration.js";
+import { directorOutput, formationAgentOutput, validFormationLivrable } from "./fixtures/director.js";
+import { startHarness } from "./helpers/harness.js";
+
+const veille = { agent: "juridique-veille", livrable: "Veille du mois", sources: ["Cass. soc."], points_a_valider: [] };
+
+// Dossier d'agents = agents par défaut + un agent « juridique-veille » déclaré sans code
+async function agentsDir(extra = {}) {
+  const dir = await mkdtemp(join(tmpdir(), "innovacse-agents-"));
+  await cp(DEFAULT_AGENTS_DIR, dir, { recursive: true });
+  await writeFile(join(dir, "juridique-veille.md"), "Tu es l’agent spécialisé JURIDIQUE-VEILLE d’InnovaCSE.");
+  await writeFile(
+    join(dir, "juridique-veille.json"),
+    JSON.stringify({
+      description: "veille jurisprudentielle CSE.",
+      prompt_fichier: "juridique-veille.md",
+      sortie: { sources: { type: "array", items: { type: "string" } } },
+      modele: { model: "gpt-4.1" },
+      ...extra,
+    }),
+  );
+  return dir;
+}
+
+describe("agent registry", () => {
+  let agents;
+  before(async () => {
+    agents = loadAgentRegistry(await agentsDir());
+  });
+
+  it("loads the default agents from config/agents", () => {
+    assert.deepEqual(Object.keys(defaultAgents()), ["commercial", "contenu", "formation"]);
+    assert.ok(defaultAgents().contenu.schema.required.includes("formats"));
+  });
+
+  it("adds a declared agent to the director schema and prompt", () => {
+    const plan = buildOutputSchema({}, agents).properties.orchestration.properties.plan;
+    assert.ok(plan.items.properties.agent.enum.includes("juridique-veille"));
+    const prompt = buildSystemPrompt({}, false, agents);
+    assert.match(prompt, /agent = "juridique-veille" si demande = veille jurisprudentielle CSE\./);
+  });
+
+  it("appends the output section generated from the schema", () => {
+    const prompt = agentSystemPrompt(agents["juridique-veille"]);
+    assert.match(prompt, /^Tu es l’agent spécialisé JURIDIQUE-VEILLE/);
+    assert.match(prompt, /"sources":\["string","\.\.\."\]/);
+  });
+
+  it("titles merged sections with the declared libelle, else the agent name", async () => {
+    const results = [
+      { ok: true, agent: "formation", data: { livrable: "Programme" } },
+      { ok: true, agent: "juridique-veille", data: { livrable: "Veille" } },
+    ];
+    assert.equal(agents["juridique-veille"].libelle, "juridique-veille");
+    const merged = mergeLivrables(results, "sections", agents);
+    assert.equal(merged, "## Formation\n\nProgramme\n\n## juridique-veille\n\nVeille");
+
+    const labelled = loadAgentRegistry(await agentsDir({ libelle: "Veille juridique" }));
+    assert.match(mergeLivrables(results, "sections", labelled), /## Veille juridique\n\nVeille$/);
+    await assert.rejects(async () => loadAgentRegistry(await agentsDir({ libelle: 3 })), /libelle must be a non-empty/);
+  });
+
+  it("rejects invalid declarations at load time", async () => {
+    await assert.rejects(async () => loadAgentRegistry(await agentsDir({ description: "" })), /missing description/);
+    const reserved = { sortie: { livrable: { type: "string" } } };
+    await assert.rejects(
+      async () => loadAgentRegistry(await agentsDir(reserved)),
+      /reserved sortie field\(s\) livrable/,
+    );
+    const forced = { orchestration_forcee: { mots_cles: "veille", objectif: "Veille" } };
+    await assert.rejects(async () => loadAgentRegistry(await agentsDir(forced)), /orchestration_forcee needs mots_cles/);
+  });
+
+  it("uses the declared model unless the environment overrides it", () => {
+    const env = { LLM_PROVIDER: "mock", LLM_FORMATION_MODEL: "gpt-4.1-nano" };
+    const roles = { "juridique-veille": { model: "gpt-4.1" }, formation: { model: "gpt-4.1" } };
+    const llm = createLlmFromEnv(env, ["juridique-veille", "formation"], { roles });
+    assert.equal(llm.configFor("juridique-veille").model, "gpt-4.1");
+    assert.equal(llm.configFor("formation").model, "gpt-4.1-nano");
+  });
+});
+
+describe("formation parameters", () => {
+  const formation = defaultAgents().formation;
+
+  it("fills defaults and rejects unknown or invalid values", () => {
+    assert.deepEqual(resolveParameters(formation, { theme: "CSSCT", niveau: null }).parametres, {
+      theme: "CSSCT",
+      public: "élus du CSE",
+      duree_heures: 7,
+      format: "présentiel",
+      nb_ateliers: 3,
+      niveau: "initiation",
+    });
+    assert.deepEqual(resolveParameters(formation, { format: "hybride", nb_ateliers: 2.5, salle: "A" }).erreurs, [
+      "salle: paramètre inconnu",
+      "format: valeur hors de présentiel | distanciel",
+      "nb_ateliers: integer attendu",
+    ]);
+  });
+
+  it("renders the parameters and the mandatory structure in the prompt", () => {
+    const { parametres } = resolveParameters(formation, { theme: "BDESE", duree_heures: 14, format: "distanciel" });
+    const prompt = agentSystemPrompt(formation, parametres);
+    assert.match(prompt, /Thème : BDESE/);
+    assert.match(prompt, /Durée : 14 h, en distanciel/);
+    assert.match(prompt, /Cadre juridique -> Analyse structurée -> Outils mobilisables/);
+    assert.doesNotMatch(prompt, /\{\{|Recevoir un signalement/);
+  });
+
+  it("offers nullable parameters in the director plan payload", () => {
+    const payload = buildOutputSchema().properties.orchestration.properties.plan.items.properties.payload;
+    assert.ok(payload.required.includes("parametres"));
+    assert.deepEqual(payload.properties.parametres.properties.format, {
+      type: ["string", "null"],
+      description: "formation : modalité",
+      enum: ["présentiel", "distanciel", null],
+    });
+  });
+});
+
+describe("agent routes", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("serves every registered agent on /agents/:agent", async () => {
+    const agents = loadAgentRegistry(await agentsDir());
+    h = await startHarness({ "juridique-veille": [veille] }, { agents });
+
+    const { status, body } = await h.post("/agents/juridique-veille", { demande_client: "Veille" });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.sources, ["Cass. soc."]);
+    assert.equal(h.openai.callsFor("juridique-veille")[0].text.format.name, "innovacse_agent_juridique-veille");
+
+    const list = await h.get("/agents");
+    assert.deepEqual(list.body.agents.map((a) => a.nom), ["commercial", "contenu", "formation", "juridique-veille"]);
+
+    const missing = await h.post("/agents/inconnu", {});
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "AGENT_NOT_FOUND");
+  });
+
+  it("calls the formation agent with parameters and validates against them", async () => {
+    h = await startHarness({ formation: [formationAgentOutput(validFormationLivrable())] });
+
+    const parametres = { theme: "CSSCT", duree_heures: 14, format: "distanciel", nb_ateliers: 4 };
+    const { status, body } = await h.post("/agents/formation", { demande_client: "Formation CSSCT", parametres });
+
+    assert.equal(status, 200);
+    assert.equal(body.parametres.nb_ateliers, 4);
+    assert.deepEqual(body.validation.violations.map((v) => v.regle), ["ateliers_min"]);
+    const [request] = h.openai.callsFor("formation");
+    assert.match(request.input[0].content, /Durée : 14 h, en distanciel/);
+    assert.equal(JSON.parse(request.input[1].content).parametres.niveau, "initiation");
+
+    const invalid = await h.post("/agents/formation", { parametres: { format: "hybride" } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, "INVALID_PARAMETERS");
+  });
+
+  it("runs a declared agent from the director plan", async () => {
+    const agents = loadAgentRegistry(await agentsDir());
+    const step = {
+      id: "veille",
+      agent: "juridique-veille",
+      depends_on: [],
+      payload: { demande_client: "Veille", contexte: "", contraintes: "", objectif: "Veille" },
+    };
+    h = await startHarness(
+      {
+        directeur: [directorOutput({ orchestration: { mode: "sync", fusion: "premier", plan: [step] } })],
+        "juridique-veille": [veille],
+      },
+      { agents },
+    );
+
+    const { body } = await h.post("/run", { demande_client: "Point de veille" });
+
+    assert.ok(body.ok);
+    assert.equal(body.orchestration_results[0].agent, "juridique-veille");
+    assert.equal(body.data.livrable_final, "Veille du mois");
+  });
+});
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { createAuth, hashKey, validateAuthKeys } from "../lib/auth.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES } from "./fixtures/notion-schemas.js";
+import { startHarness } from "./helpers/harness.js";
+
+const KEYS = {
+  fondateur: "cle-fondateur",
+  collab: "cle-collab",
+  lecteur: "cle-lecteur",
+};
+
+const keys = (overrides = {}) => [
+  { id: "fondateur", role: "fondateur", sha256: hashKey(KEYS.fondateur) },
+  { id: "collab", role: "collaborateur", sha256: hashKey(KEYS.collab), ...overrides },
+  { id: "lecteur", role: "lecteur", sha256: hashKey(KEYS.lecteur) },
+];
+
+const doctrine = { titre: "Terrain d'abord", categorie: "Principe", contenu: "Partir du terrain", version: 1 };
+
+describe("validateAuthKeys", () => {
+  it("rejects unknown roles, clear-text keys and duplicates", () => {
+    assert.throws(() => validateAuthKeys([{ id: "a", role: "admin", sha256: hashKey("x") }]), /unknown role "admin"/);
+    assert.throws(() => validateAuthKeys([{ id: "a", role: "lecteur", sha256: "cle-en-clair" }]), /hex "sha256"/);
+    assert.throws(
+      () => validateAuthKeys([...keys(), { id: "autre", role: "lecteur", sha256: hashKey(KEYS.lecteur) }]),
+      /reuses another key/,
+    );
+  });
+});
+
+describe("API access control", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  const call = async (method, path, key, body) => {
+    const res = await fetch(h.url + path, {
+      method,
+      headers: { "Content-Type": "application/json", ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+
+  const start = (outputs, keyOverrides) =>
+    startHarness(outputs, { auth: createAuth({ keys: keys(keyOverrides) }) });
+
+  it("requires a valid key on API routes but serves the console", async () => {
+    h = await start({});
+
+    assert.equal((await fetch(`${h.url}/`)).status, 200);
+    assert.deepEqual((await call("GET", "/journal")).body, { ok: false, error: "AUTH_REQUIRED" });
+    assert.equal((await call("GET", "/journal", "mauvaise-cle")).body.error, "INVALID_KEY");
+    assert.equal((await call("GET", "/journal", KEYS.lecteur)).status, 200);
+  });
+
+  it("lets the founder write memory and forces collaborators into test mode", async () => {
+    const writes = { ecritures_notion: { doctrine: [doctrine], decisions: [], projets: [] } };
+    h = await start({ directeur: [directorOutput(writes), directorOutput(writes)] });
+
+    const collab = await call("POST", "/run", KEYS.collab, { demande_client: "Note", mode_test: false });
+    assert.equal(collab.status, 200);
+    assert.equal(collab.body.mode_test, true);
+    assert.equal(h.notion.writes(DATABASES.doctrine).length, 0);
+    assert.equal(h.notion.writes(DATABASES.journal).length, 1);
+
+    const founder = await call("POST", "/run", KEYS.fondateur, { demande_client: "Note" });
+    assert.equal(founder.body.mode_test, false);
+    assert.equal(h.notion.writes(DATABASES.doctrine).length, 1);
+
+    const { body } = await call("GET", `/jobs/${collab.body.job_id}`, KEYS.lecteur);
+    assert.equal(body.job.auteur, "collab");
+  });
+
+  it("keeps writes, diagnostics and runs behind their roles", async () => {
+    h = await start({});
+
+    const approve = await call("POST", "/proposals/inconnue/approve", KEYS.collab);
+    assert.equal(approve.status, 403);
+    assert.deepEqual(approve.body, { ok: false, error: "FORBIDDEN", permission: "write" });
+    assert.equal((await call("POST", "/run", KEYS.lecteur, { demande_client: "Note" })).status, 403);
+    assert.equal((await call("GET", "/audit", KEYS.collab)).status, 403);
+    assert.equal((await call("POST", "/sync", KEYS.collab)).status, 403);
+
+    const open = await call("GET", "/health");
+    assert.deepEqual(Object.keys(open.body), ["ok", "checked_at"]);
+    const admin = await call("GET", "/health", KEYS.fondateur);
+    assert.equal(admin.body.schema.bases.journal.database_id, DATABASES.journal);
+  });
+
+  it("rate-limits runs per key", async () => {
+    h = await start({ directeur: [directorOutput(), directorOutput()] }, { limite_par_minute: 1 });
+
+    assert.equal((await call("POST", "/run", KEYS.collab, { demande_client: "Note" })).status, 200);
+    const limited = await call("POST", "/run", KEYS.collab, { demande_client: "Note" });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, "RATE_LIMITED");
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    assert.equal((await call("POST", "/run", KEYS.fondateur, { demande_client: "Note" })).status, 200);
+  });
+
+  it("records who triggered which run in the audit trail", async () => {
+    h = await start({ directeur: [directorOutput()] });
+
+    const run = await call("POST", "/run", KEYS.collab, { demande_client: "Note" });
+    await call("POST", "/run", "mauvaise-cle", { demande_client: "Note" });
+
+    const { body } = await call("GET", "/audit", KEYS.fondateur);
+    assert.deepEqual(
+      body.entries.map(({ at, ...e }) => e),
+      [
+        { cle: null, role: null, methode: "POST", route: "/run", statut: 401, erreur: "INVALID_KEY" },
+        { cle: "collab", role: "collaborateur", methode: "POST", route: "/run", statut: 200, job_id: run.body.job_id },
+      ],
+    );
+    assert.equal((await call("GET", "/audit?cle=collab", KEYS.fondateur)).body.entries.length, 1);
+  });
+});
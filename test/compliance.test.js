@@ -0,0 +1,185 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { complianceSummary, createComplianceGuard, reviewRun } from "../lib/compliance.js";
+import { jobView } from "../lib/jobs.js";
+import { createLlm, createMockProvider } from "../lib/llm/index.js";
+import { directorOutput, formationAgentOutput } from "./fixtures/director.js";
+import { DATABASES, SCHEMAS } from "./fixtures/notion-schemas.js";
+import { startHarness } from "./helpers/harness.js";
+
+const guard = createComplianceGuard();
+
+describe("compliance rules", () => {
+  it("blocks disciplinary advice, sanctions and binding legal qualification", async () => {
+    for (const text of [
+      "Il faut engager une procédure disciplinaire dès demain.",
+      "Nous recommandons de sanctionner rapidement.",
+      "Vous pouvez licencier le salarié concerné.",
+      "Ces faits constituent un harcèlement moral.",
+      "Il s’agit juridiquement d’un harcèlement sexuel.",
+      "Sans attendre, il faut sanctionner le salarié.",
+      "N'hésitez jamais : licencier le salarié est la solution.",
+      "Ne manquez pas de sanctionner le salarié.",
+    ]) {
+      const r = await guard.check(text);
+      assert.equal(r.verdict, "block", text);
+    }
+  });
+
+  it("flags HR organisational recommendations", async () => {
+    const r = await guard.check("Nous proposons de réorganiser le service pour apaiser les tensions.");
+    assert.equal(r.verdict, "flag");
+    assert.equal(r.violations[0].regle, "reco-rh-organisationnelle");
+  });
+
+  it("ignores sentences that restate the red line", async () => {
+    const r = await guard.check(
+      "Aucune sanction n’est prononcée par le directeur. Ne pas sanctionner le salarié : orienter vers les RH. " +
+        "Sans qualifier : ces faits constituent un signalement à tracer. Vous ne devez jamais licencier le salarié " +
+        "pour ces faits, sans sanctionner l'auteur. Pas de convocation à un entretien préalable au licenciement.",
+    );
+    assert.deepEqual(r, { verdict: "ok", violations: [] });
+  });
+
+  it("adds model classifier findings when enabled", async () => {
+    const llm = createLlm({
+      providers: {
+        mock: createMockProvider({
+          recordings: { conformite: [{ violations: [{ ligne: "Aucune sanction", extrait: "x", gravite: "flag" }] }] },
+        }),
+      },
+      defaults: { provider: "mock" },
+    });
+    const r = await createComplianceGuard({ llm, classifier: true }).check("Texte neutre");
+    assert.equal(r.verdict, "flag");
+    assert.equal(r.violations[0].source, "modele");
+  });
+
+  it("summarises a run review for the Journal", async () => {
+    const review = await reviewRun(guard, {
+      livrable_final: "Le directeur peut sanctionner le salarié.",
+      results: [{ id: "f", agent: "formation", ok: true, data: { livrable: "Le directeur peut sanctionner le salarié." } }],
+    });
+    assert.equal(review.verdict, "block");
+    assert.equal(complianceSummary(review), "BLOQUÉ — Aucune sanction (« sanctionner le salarié »)");
+  });
+});
+
+describe("POST /run compliance guard", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("blocks a crossing livrable before it is returned or journaled", async () => {
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation" })],
+      formation: [formationAgentOutput("Étape 3 : engager une procédure disciplinaire contre l'auteur.")],
+    });
+
+    const { body } = await h.post("/run", { demande_client: "Formation signalement" });
+
+    assert.equal(body.conformite.verdict, "block");
+    assert.match(body.data.livrable_final, /^\[LIVRABLE BLOQUÉ — ligne rouge franchie : Aucun conseil disciplinaire\]$/);
+    assert.match(body.orchestration_results[0].data.livrable, /^\[LIVRABLE BLOQUÉ/);
+
+    const [journal] = h.notion.writes(DATABASES.journal);
+    assert.doesNotMatch(JSON.stringify(journal.props), /engager une procédure disciplinaire contre/);
+    assert.match(journal.props["Conformité"], /^BLOQUÉ — Aucun conseil disciplinaire/);
+  });
+
+  it("never streams nor exposes a blocked livrable on the job", async () => {
+    const crossing = "Étape 3 : engager une procédure disciplinaire contre l'auteur.";
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation" })],
+      formation: [formationAgentOutput(crossing)],
+    });
+
+    const events = await h.stream("/run/stream", { demande_client: "Formation signalement", stream_tokens: true });
+    assert.equal(events.filter((e) => e.event === "agent_delta").length, 0);
+    assert.doesNotMatch(JSON.stringify(events), /procédure disciplinaire contre/);
+
+    const { body } = await h.get(`/jobs/${events[0].data.id}`);
+    assert.match(body.job.partial.orchestration_results[0].data.livrable, /^\[LIVRABLE BLOQUÉ/);
+    assert.doesNotMatch(JSON.stringify(body), /procédure disciplinaire contre/);
+  });
+
+  it("does not pass a dependency's blocked livrable through agent_start", async () => {
+    const crossing = "Étape 3 : engager une procédure disciplinaire contre l'auteur.";
+    const payload = { demande_client: "D", contexte: "", contraintes: "", objectif: "" };
+    const plan = [
+      { id: "formation", agent: "formation", depends_on: [], payload },
+      { id: "post", agent: "contenu", depends_on: ["formation"], payload },
+    ];
+    h = await startHarness({
+      directeur: [directorOutput({ orchestration: { mode: "sync", fusion: "sections", plan } })],
+      formation: [formationAgentOutput(crossing)],
+      contenu: [{ agent: "contenu", livrable: "Post", formats: [], points_a_valider: [] }],
+    });
+
+    const events = await h.stream("/run/stream", { demande_client: "Programme + post" });
+    const starts = events.filter((e) => e.event === "agent_start").map((e) => e.data);
+    assert.deepEqual(starts.at(-1), { id: "post", agent: "contenu", depends_on: ["formation"] });
+    assert.doesNotMatch(JSON.stringify(events), /procédure disciplinaire contre/);
+
+    const { body } = await h.get(`/jobs/${events[0].data.id}`);
+    assert.doesNotMatch(JSON.stringify(body.job.progress), /procédure disciplinaire contre/);
+  });
+
+  it("checks every text field of an agent output and drops them all on a block", async () => {
+    const consignes = "Il faut sanctionner le salarié.";
+    const atelier = { titre: "Cas", scenario: "S", consignes, production: "P", criteres: "C" };
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation" })],
+      formation: [formationAgentOutput("Programme neutre", { ateliers: [atelier] })],
+    });
+
+    const { body } = await h.post("/run", { demande_client: "Formation signalement" });
+
+    assert.equal(body.conformite.agents[0].verdict, "block");
+    assert.deepEqual(Object.keys(body.orchestration_results[0].data), ["agent", "livrable", "points_a_valider"]);
+    assert.doesNotMatch(JSON.stringify(body.orchestration_results), /sanctionner le salarié/);
+    const exported = await h.get(`/jobs/${body.job_id}/export/programme.md`);
+    assert.equal(exported.body.error, "LIVRABLE_BLOCKED");
+  });
+
+  it("withholds livrables from an unfinished job until they are reviewed", () => {
+    const agent = { id: "formation", agent: "formation", ok: true, data: { livrable: "Brouillon" } };
+    const steps = { director: { livrable_final: "Brouillon" }, "agent:formation": agent };
+    const view = jobView({ id: "j", status: "running", steps, events: [], result: null, error: null });
+
+    assert.equal(view.partial.data.livrable_final, null);
+    assert.equal(view.partial.orchestration_results[0].data, null);
+  });
+
+  it("keeps the verdict in the Journal page body when the base has no Conformité column", async () => {
+    const { "Conformité": _, ...journal } = SCHEMAS[DATABASES.journal];
+    h = await startHarness(
+      {
+        directeur: [directorOutput({ domaine: "Formation" })],
+        formation: [formationAgentOutput("Étape 3 : engager une procédure disciplinaire contre l'auteur.")],
+      },
+      { schemas: { ...SCHEMAS, [DATABASES.journal]: journal } },
+    );
+
+    await h.post("/run", { demande_client: "Formation signalement" });
+
+    const [page] = h.notion.writes(DATABASES.journal);
+    assert.equal("Conformité" in page.props, false);
+    const body = h.notion.body(page.page_id);
+    const heading = body.findIndex((b) => b.text === "Conformité");
+    assert.match(body[heading + 1].text, /^BLOQUÉ — Aucun conseil disciplinaire/);
+  });
+
+  it("records OK in the Journal for a clean run", async () => {
+    h = await startHarness({ directeur: [directorOutput({ livrable_final: "Offre claire, sans sanction." })] });
+
+    const { body } = await h.post("/run", { demande_client: "Offre" });
+
+    assert.equal(body.conformite.verdict, "ok");
+    assert.equal(body.data.livrable_final, "Offre claire, sans sanction.");
+    assert.equal(h.notion.writes(DATABASES.journal)[0].props["Conformité"], "OK");
+  });
+});
@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { createConflictChecker } from "../lib/conflicts.js";
+import { createLlm, createMockProvider } from "../lib/llm/index.js";
+import { estimateTokens } from "../lib/retrieval.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES } from "./fixtures/notion-schemas.js";
+import { startHarness } from "./helpers/harness.js";
+
+const references = {
+  decisions: [{ id: "d1", titre: "Pas de e-learning", statut: "Actée", justification: "Présentiel uniquement" }],
+  doctrine: [{ id: "p1", titre: "Ligne rouge sanctions", categorie: "Ligne rouge", contenu: "Aucune sanction", actif: true }],
+};
+
+const decision = (titre, statut = "Actée") => ({ titre, statut, domaine: "Formation", justification: "j", impact: "i" });
+const doctrine = (titre, actif = true) => ({ titre, categorie: "Ligne rouge", contenu: "c", version: "V2", actif });
+
+function mockLlm(conflits) {
+  return createLlm({
+    providers: { mock: createMockProvider({ recordings: { contradictions: [{ conflits }] } }) },
+    defaults: { provider: "mock" },
+  });
+}
+
+describe("conflict checker", () => {
+  const rulesOnly = createConflictChecker({ model: false });
+
+  it("flags an acted decision moved back to another statut", async () => {
+    const [c] = await rulesOnly.check({ decisions: [decision("Pas de E-learning", "Abandonnée")] }, references);
+
+    assert.equal(c.kind, "decisions");
+    assert.equal(c.index, 0);
+    assert.deepEqual(c.reference, { kind: "decisions", id: "d1", titre: "Pas de e-learning" });
+    assert.equal(c.proposition.statut, "Abandonnée");
+    assert.equal(c.source, "regles");
+  });
+
+  it("flags active doctrine deactivated under the same title", async () => {
+    const conflicts = await rulesOnly.check(
+      { doctrine: [doctrine("Ligne rouge sanctions", false), doctrine("Ligne rouge sanctions")] },
+      references,
+    );
+    assert.deepEqual(conflicts.map((c) => [c.kind, c.index]), [["doctrine", 0]]);
+  });
+
+  it("maps model findings back to the proposal and the reference", async () => {
+    const checker = createConflictChecker({
+      llm: mockLlm([{ proposition: "decisions:1", reference: "ref:0", raison: "Format à distance exclu" }]),
+    });
+
+    const conflicts = await checker.check(
+      { decisions: [decision("Tarif 2026"), decision("Lancer un module en ligne")] },
+      references,
+    );
+
+    assert.deepEqual(conflicts, [
+      {
+        kind: "decisions",
+        index: 1,
+        titre: "Lancer un module en ligne",
+        proposition: decision("Lancer un module en ligne"),
+        reference: { kind: "decisions", id: "d1", titre: "Pas de e-learning" },
+        raison: "Format à distance exclu",
+        source: "modele",
+      },
+    ]);
+  });
+
+  it("sends the model only the closest references within the token budget", async () => {
+    const prompts = [];
+    const llm = {
+      complete: async (role, { user }) => {
+        prompts.push(user);
+        return { text: JSON.stringify({ conflits: [] }) };
+      },
+    };
+    const acted = Array.from({ length: 200 }, (_, i) => ({
+      id: `d${i}`,
+      titre: `Organisation interne ${i}`,
+      statut: "Actée",
+      justification: "Répartition des équipes",
+    }));
+    const memory = { decisions: [...acted, references.decisions[0]], doctrine: references.doctrine };
+
+    const checker = createConflictChecker({ llm, budgetTokens: 300 });
+    await checker.check({ doctrine: [doctrine("Module e-learning")] }, memory);
+
+    const refs = JSON.parse(prompts[0].split("RÉFÉRENCES:\n")[1]);
+    assert.deepEqual(refs.map((r) => r.titre).slice(0, 2).sort(), ["Ligne rouge sanctions", "Pas de e-learning"]);
+    assert.ok(refs.length < 20);
+    assert.ok(refs.reduce((n, { id, kind, ...view }) => n + estimateTokens(view), 0) <= 300);
+  });
+
+  it("skips the model when there is nothing to compare", async () => {
+    const llm = { complete: () => assert.fail("model must not be called") };
+    const checker = createConflictChecker({ llm });
+    assert.deepEqual(await checker.check({ decisions: [decision("X")] }, { decisions: [], doctrine: [] }), []);
+    assert.deepEqual(await checker.check({ decisions: [], doctrine: [] }, references), []);
+  });
+});
+
+describe("POST /run contradiction check", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("holds conflicting writes for approval, returns the conflicts and journals an arbitration", async () => {
+    h = await startHarness({
+      directeur: [
+        directorOutput({
+          ecritures_notion: {
+            decisions: [decision("Lancer un module en ligne")],
+            doctrine: [doctrine("Méthode recueil")],
+            projets: [],
+          },
+        }),
+      ],
+      contradictions: [
+        { conflits: [{ proposition: "decisions:0", reference: "ref:0", raison: "Contredit le présentiel exclusif" }] },
+      ],
+    });
+    await h.store.create("decisions", decision("Pas de e-learning"));
+
+    const { body } = await h.post("/run", { demande_client: "Nouvelle offre" });
+
+    assert.deepEqual(
+      body.conflits.map((c) => [c.kind, c.titre, c.reference.titre, c.raison]),
+      [["decisions", "Lancer un module en ligne", "Pas de e-learning", "Contredit le présentiel exclusif"]],
+    );
+    assert.deepEqual(h.notion.writes(DATABASES.decisions).map((w) => w.props["Décision"]), ["Pas de e-learning"]);
+    assert.deepEqual(
+      body.propositions.map((p) => [p.kind, p.titre, p.status, p.conflits.length]),
+      [["decisions", "Lancer un module en ligne", "pending", 1]],
+    );
+    assert.deepEqual(h.notion.writes(DATABASES.doctrine).map((w) => w.props.Titre), ["Méthode recueil"]);
+    assert.match(
+      h.notion.writes(DATABASES.journal)[0].props["Prochaine action"],
+      /Arbitrer : « Lancer un module en ligne » contredit « Pas de e-learning »/,
+    );
+
+    const prompt = h.openai.callsFor("contradictions")[0].input[1].content;
+    assert.match(prompt, /"id":"decisions:0"/);
+    assert.match(prompt, /"id":"ref:0","kind":"decisions","titre":"Pas de e-learning"/);
+  });
+});
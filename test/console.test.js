@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { directorOutput } from "./fixtures/director.js";
+import { startHarness } from "./helpers/harness.js";
+
+describe("web console", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("serves the console page from the app", async () => {
+    h = await startHarness({});
+
+    const res = await fetch(`${h.url}/`);
+    const html = await res.text();
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/html/);
+    for (const id of ["demande", "contexte", "contraintes", "mode_test", "history", "memory"]) {
+      assert.match(html, new RegExp(`id="${id}"`));
+    }
+  });
+
+  it("falls back to the plain health answer without a public directory", async () => {
+    h = await startHarness({}, { publicDir: null });
+
+    const res = await fetch(`${h.url}/`);
+    assert.equal(await res.text(), "OK");
+  });
+
+  it("lists past runs from the journal", async () => {
+    h = await startHarness({ directeur: [directorOutput({ decision_directeur: "Offre élus" })] });
+    await h.post("/run", { demande_client: "Préparer une offre" });
+
+    const { status, body } = await h.get("/journal");
+
+    assert.equal(status, 200);
+    assert.equal(body.kind, "journal");
+    assert.equal(body.entries.length, 1);
+    assert.equal(body.entries[0].titre, "Préparer une offre");
+    assert.equal(body.entries[0].decision, "Offre élus");
+  });
+
+  it("browses doctrine, projets and decisions with a bounded limit", async () => {
+    h = await startHarness({});
+    for (let i = 0; i < 3; i++) {
+      await h.store.create("doctrine", { titre: `Principe ${i}`, contenu: "Terrain", actif: true });
+    }
+
+    assert.equal((await h.get("/doctrine")).body.entries.length, 3);
+    assert.equal((await h.get("/doctrine?limit=2")).body.entries.length, 2);
+    assert.equal((await h.get("/doctrine?limit=-5")).body.entries.length, 1);
+    assert.deepEqual((await h.get("/projets")).body.entries, []);
+    assert.deepEqual((await h.get("/decisions")).body.entries, []);
+  });
+});
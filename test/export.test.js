@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { cp, mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+
+import { DEFAULT_TEMPLATES_DIR, createExporter, loadExportTemplates } from "../lib/export/index.js";
+import { renderTemplate } from "../lib/export/template.js";
+import { parseBlocks } from "../lib/markdown.js";
+import { directorOutput, formationAgentOutput, validFormationLivrable } from "./fixtures/director.js";
+import { startHarness } from "./helpers/harness.js";
+
+const step = (fields = {}) => ({
+  id: "formation",
+  agent: "formation",
+  ok: true,
+  data: formationAgentOutput(validFormationLivrable(), fields),
+  parametres: { theme: "CSSCT", public: "élus du CSE", duree_heures: 7, format: "présentiel", niveau: "initiation" },
+});
+
+describe("export templates", () => {
+  it("renders values, lists and empty sections", () => {
+    const template =
+      "# {{titre}}\n{{#objectifs}}\n- {{.}}\n{{/objectifs}}\n{{^supports}}\nAucun support.\n{{/supports}}\n";
+    const out = renderTemplate(template, { titre: "T", objectifs: ["A", "B"], supports: [] });
+    assert.equal(out, "# T\n- A\n- B\nAucun support.\n");
+  });
+
+  it("parses headings, checklists, tables and paragraphs", () => {
+    const markdown = "# Titre\n\n- [ ] Grille\n\n| H | P |\n| --- | --- |\n| 08:30 | Cadre |\n\nTexte **gras**";
+    const blocks = parseBlocks(markdown);
+    assert.deepEqual(blocks, [
+      { type: "heading", level: 1, text: "Titre" },
+      { type: "bullet", text: "Grille", checkbox: false },
+      { type: "table", rows: [["H", "P"], ["08:30", "Cadre"]] },
+      { type: "paragraph", text: "Texte **gras**" },
+    ]);
+  });
+
+  it("rejects a programme template without the Qualiopi sections", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "innovacse-export-"));
+    await cp(DEFAULT_TEMPLATES_DIR, dir, { recursive: true });
+    await writeFile(join(dir, "programme.md"), "# {{titre}}\n## Objectifs\n{{#objectifs}}- {{.}}\n{{/objectifs}}");
+    assert.throws(() => loadExportTemplates(dir), /Qualiopi section "Prérequis" \(\{\{prerequis\}\}\) missing/);
+  });
+});
+
+describe("formation documents", () => {
+  const exporter = createExporter();
+
+  it("builds the programme with every Qualiopi section", async () => {
+    const { body } = await exporter.render(step(), "programme", "md");
+    for (const section of ["## Objectifs", "## Prérequis", "## Modalités d'évaluation", "## Accessibilité"]) {
+      assert.ok(body.includes(section), section);
+    }
+    assert.match(body, /- \*\*Thème :\*\* CSSCT/);
+    assert.match(body, /### 2\. Analyse structurée\n- Lecture d'un signalement \(Groupe\)/);
+  });
+
+  it("renders the déroulé as a table and the supports as a checklist", async () => {
+    const deroule = await exporter.render(step(), "deroule", "md");
+    assert.match(deroule.body, /\| 10:00 \| Analyse structurée \| Lecture d'un signalement \| Groupe \|/);
+    const supports = await exporter.render(step(), "supports", "md");
+    assert.match(supports.body, /- \[ \] Grille de recueil\n- \[ \] Fiche réflexe/);
+  });
+
+  it("produces DOCX and PDF files", async () => {
+    const docx = await exporter.render(step(), "ateliers", "docx");
+    assert.equal(docx.body.subarray(0, 2).toString(), "PK");
+    assert.equal(docx.filename, "ateliers-formation.docx");
+
+    const unsafe = await exporter.render({ ...step(), id: 'x"\r\nSet-Cookie: a=b' }, "programme", "md");
+    assert.equal(unsafe.filename, "programme-x_Set-Cookie_a_b.md");
+    const pdf = await exporter.render(step(), "deroule", "pdf");
+    assert.equal(pdf.body.subarray(0, 5).toString(), "%PDF-");
+  });
+
+  it("refuses a programme with missing Qualiopi fields", async () => {
+    const out = await exporter.render(step({ prerequis: " ", objectifs: [] }), "programme", "pdf");
+    assert.deepEqual(out, {
+      ok: false,
+      status: 422,
+      error: "QUALIOPI_INCOMPLETE",
+      manquantes: ["objectifs", "prerequis"],
+    });
+  });
+});
+
+describe("GET /jobs/:id/export", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  const formationRun = async (formation) => {
+    h = await startHarness({ directeur: [directorOutput({ domaine: "Formation" })], formation: [formation] });
+    const { body } = await h.post("/run", { demande_client: "Formation signalement" });
+    return body.job_id;
+  };
+
+  it("lists the documents and downloads them per run", async () => {
+    const id = await formationRun(formationAgentOutput(validFormationLivrable()));
+
+    const { status, body } = await h.get(`/jobs/${id}/export`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.qualiopi, { ok: true, manquantes: [] });
+    assert.deepEqual(body.documents.map((d) => d.document), ["programme", "deroule", "ateliers", "supports"]);
+    assert.equal(body.documents[0].urls.docx, `/jobs/${id}/export/programme.docx?etape=formation`);
+
+    const res = await fetch(`${h.url}/jobs/${id}/export/programme.docx`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /wordprocessingml/);
+    assert.equal(res.headers.get("content-disposition"), 'attachment; filename="programme-formation.docx"');
+    assert.equal(Buffer.from(await res.arrayBuffer()).subarray(0, 2).toString(), "PK");
+
+    const md = await fetch(`${h.url}/jobs/${id}/export/supports.md`);
+    assert.match(await md.text(), /^# Supports à préparer — Recevoir un signalement/);
+
+    assert.equal((await h.get(`/jobs/${id}/export/bilan.pdf`)).body.error, "UNKNOWN_DOCUMENT");
+    assert.equal((await h.get(`/jobs/${id}/export/programme.odt`)).body.error, "UNKNOWN_FORMAT");
+    assert.equal((await h.get("/jobs/inconnu/export")).body.error, "JOB_NOT_FOUND");
+  });
+
+  it("reports incomplete Qualiopi fields and refuses the download", async () => {
+    const id = await formationRun(formationAgentOutput(validFormationLivrable(), { accessibilite: "" }));
+
+    const { body } = await h.get(`/jobs/${id}/export`);
+    assert.deepEqual(body.qualiopi, { ok: false, manquantes: ["accessibilite"] });
+
+    const download = await h.get(`/jobs/${id}/export/programme.pdf`);
+    assert.equal(download.status, 422);
+    assert.deepEqual(download.body, { ok: false, error: "QUALIOPI_INCOMPLETE", manquantes: ["accessibilite"] });
+  });
+
+  it("does not export a blocked livrable or a run without formation", async () => {
+    const blocked = formationAgentOutput("Étape 3 : engager une procédure disciplinaire contre l'auteur.");
+    const id = await formationRun(blocked);
+    const { status, body } = await h.get(`/jobs/${id}/export/programme.md`);
+    assert.equal(status, 409);
+    assert.equal(body.error, "LIVRABLE_BLOCKED");
+    await h.close();
+
+    h = await startHarness({ directeur: [directorOutput()] });
+    const run = await h.post("/run", { demande_client: "Offre" });
+    const none = await h.get(`/jobs/${run.body.job_id}/export`);
+    assert.equal(none.status, 404);
+    assert.equal(none.body.error, "NO_FORMATION_LIVRABLE");
+  });
+});
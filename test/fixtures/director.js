@@ -0,0 +1,93 @@
+// Sortie directeur conforme à OUTPUT_SCHEMA, surchargée par scénario
+export function directorOutput(overrides = {}) {
+  return {
+    type_demande: "Question",
+    domaine: "Stratégie",
+    decision_strategique: false,
+    nouveau_projet: false,
+    priorite: "Moyenne",
+    decision_directeur: "Décision du directeur",
+    brief_valide: "Brief validé",
+    structure_qualiopi: "",
+    livrable_final: "Livrable du directeur",
+    ecritures_notion: { doctrine: [], decisions: [], projets: [] },
+    prochaines_actions: ["Action 1", "Action 2"],
+    orchestration: { mode: "none", plan: [] },
+    clarification: { necessaire: false, questions: [] },
+    ...overrides,
+  };
+}
+
+export function formationAgentOutput(livrable = "Programme formation détaillé", fields = {}) {
+  return {
+    agent: "formation",
+    livrable,
+    titre: "Recevoir un signalement sans se mettre en faute",
+    objectifs: ["Identifier les limites de son rôle", "Structurer un recueil factuel"],
+    prerequis: "Aucun",
+    modalites_evaluation: "Positionnement initial, quiz final, questionnaire de satisfaction.",
+    accessibilite: "Référent handicap joignable avant la session ; adaptations sur demande.",
+    deroule: [
+      {
+        horaire: "08:30",
+        partie: "Cadre juridique",
+        sequence: "Principes et limites",
+        methode: "Exposé",
+        livrable: "Fiche repères",
+      },
+      {
+        horaire: "10:00",
+        partie: "Analyse structurée",
+        sequence: "Lecture d'un signalement",
+        methode: "Groupe",
+        livrable: "Grille complétée",
+      },
+      {
+        horaire: "13:30",
+        partie: "Outils mobilisables",
+        sequence: "Modèles de compte-rendu",
+        methode: "Jeu de rôle",
+        livrable: "Compte-rendu type",
+      },
+    ],
+    ateliers: [
+      {
+        titre: "Cas pratique de signalement",
+        scenario: "Un salarié se confie au directeur.",
+        consignes: "En groupe de 4, reconstituer la trace écrite.",
+        production: "Grille de recueil",
+        criteres: "Faits datés, aucune qualification",
+      },
+    ],
+    supports: ["Grille de recueil", "Fiche réflexe"],
+    points_a_valider: ["Valider les horaires"],
+    ...fields,
+  };
+}
+
+// Programme conforme aux règles de l'agent formation (longueur, 3 ateliers, 08:30–17:00)
+export function validFormationLivrable() {
+  const atelier = (n) => `
+Atelier ${n} — Cas pratique de signalement
+- Scénario de départ : un salarié se confie au directeur sur une situation de harcèlement présumé.
+- Consignes exactes : en groupe de 4, reconstituer la trace écrite attendue et les limites de rôle.
+- Production attendue : grille de recueil complétée et décision de process.
+- Critères de réussite : faits datés, aucune qualification, orientation vers le bon acteur.`;
+
+  return `Recevoir un signalement sans se mettre en faute — directeurs — 7h — aucun prérequis.
+
+Objectifs pédagogiques
+1. Identifier les principes, interdictions, protections et limites qui encadrent la réception d'un signalement.
+2. Structurer un recueil factuel et traçable.
+
+Déroulé horaire
+08:30 Accueil et cadre juridique (exposé).
+10:00 Analyse structurée d'un signalement (groupe).
+13:30 Outils mobilisables : grilles et modèles (jeu de rôle).
+17:00 Clôture et évaluation.
+${atelier(1)}
+${atelier(2)}
+${atelier(3)}
+
+Supports à préparer : grille de recueil, fiche réflexe, modèle de compte-rendu.`;
+}
@@ -0,0 +1,54 @@
+import {
+  DECISION_DOMAINES,
+  DECISION_STATUTS,
+  DOCTRINE_TYPES,
+  PROJET_DOMAINES,
+  PROJET_STATUTS,
+} from "../../lib/director.js";
+
+// Bases Notion telles que configurées dans le workspace InnovaCSE
+export const DATABASES = {
+  journal: "db-journal",
+  doctrine: "db-doctrine",
+  projets: "db-projets",
+  decisions: "db-decisions",
+};
+
+const select = (names) => ({ type: "select", select: { options: names.map((name) => ({ name })) } });
+const multiSelect = (names) => ({ type: "multi_select", multi_select: { options: names.map((name) => ({ name })) } });
+const richText = { type: "rich_text", rich_text: {} };
+
+export const SCHEMAS = {
+  [DATABASES.journal]: {
+    Nom: { type: "title", title: {} },
+    Date: { type: "date", date: {} },
+    "Résultat produit": richText,
+    "Décision prise": richText,
+    "Prochaine action": richText,
+    "Agents mobilisés": multiSelect(["Directeur", "formation", "contenu", "commercial"]),
+    "Résultats agents": richText,
+    "Conformité": richText,
+  },
+  [DATABASES.doctrine]: {
+    Titre: { type: "title", title: {} },
+    Type: select(DOCTRINE_TYPES),
+    Contenu: richText,
+    Version: richText,
+    Actif: { type: "checkbox", checkbox: {} },
+  },
+  [DATABASES.projets]: {
+    Projet: { type: "title", title: {} },
+    Objectif: richText,
+    Statut: select(PROJET_STATUTS),
+    "Priorité": select(["Haute", "Moyenne", "Basse"]),
+    Domaine: select(PROJET_DOMAINES),
+  },
+  [DATABASES.decisions]: {
+    "Décision": { type: "title", title: {} },
+    Date: { type: "date", date: {} },
+    Statut: select(DECISION_STATUTS),
+    Domaine: select(DECISION_DOMAINES),
+    Justification: richText,
+    Impact: richText,
+  },
+};
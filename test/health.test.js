@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+
+import { checkSchema } from "../lib/health.js";
+import { createLocalStore, createNotionStore } from "../lib/store/index.js";
+import { DATABASES, SCHEMAS } from "./fixtures/notion-schemas.js";
+import { createFakeNotion } from "./helpers/fake-notion.js";
+import { startHarness } from "./helpers/harness.js";
+
+// Décisions : colonne Impact supprimée, Date passée en texte, domaine « Stratégie » retiré
+const decisions = { ...SCHEMAS[DATABASES.decisions] };
+delete decisions.Impact;
+const broken = {
+  ...SCHEMAS,
+  [DATABASES.decisions]: {
+    ...decisions,
+    Date: { type: "rich_text", rich_text: {} },
+    Domaine: {
+      type: "select",
+      select: { options: ["Formation", "EIRIA", "Vente", "Communication", "Organisation"].map((name) => ({ name })) },
+    },
+  },
+};
+
+function notionStore(schemas, databases = DATABASES) {
+  return createNotionStore({ notion: createFakeNotion(schemas).client, databases });
+}
+
+describe("checkSchema", () => {
+  it("accepts the workspace schemas", async () => {
+    const report = await checkSchema(notionStore(SCHEMAS));
+    assert.equal(report.ok, true);
+    assert.deepEqual(Object.keys(report.bases).sort(), ["decisions", "doctrine", "journal", "projets"]);
+    assert.equal(report.bases.projets.titre, "Projet");
+  });
+
+  it("reports missing columns, wrong types and uncovered options", async () => {
+    const report = await checkSchema(notionStore(broken));
+
+    assert.equal(report.ok, false);
+    assert.equal(report.bases.projets.ok, true);
+    assert.deepEqual(report.bases.decisions.erreurs, [
+      { code: "PROPERTY_TYPE", champ: "date", propriete: "Date", attendu: "date", trouve: "rich_text" },
+      { code: "OPTIONS_MISSING", champ: "domaine", propriete: "Domaine", manquantes: ["Stratégie"] },
+      { code: "PROPERTY_MISSING", champ: "impact", propriete: "Impact", attendu: "rich_text" },
+    ]);
+  });
+
+  it("only warns about optional columns", async () => {
+    const { "Conformité": _, "Résultats agents": __, ...journal } = SCHEMAS[DATABASES.journal];
+    const report = await checkSchema(notionStore({ ...SCHEMAS, [DATABASES.journal]: journal }));
+
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.bases.journal.erreurs, []);
+    assert.deepEqual(
+      report.bases.journal.avertissements.map((a) => [a.code, a.propriete]),
+      [
+        ["PROPERTY_MISSING", "Conformité"],
+        ["PROPERTY_MISSING", "Résultats agents"],
+      ],
+    );
+  });
+
+  it("reports unreachable databases", async () => {
+    const report = await checkSchema(notionStore(SCHEMAS, { ...DATABASES, doctrine: "db-inconnue" }));
+    assert.equal(report.bases.doctrine.ok, false);
+    assert.equal(report.bases.doctrine.erreurs[0].code, "DATABASE_UNREACHABLE");
+    assert.equal(report.bases.doctrine.database_id, "db-inconnue");
+  });
+
+  it("has nothing to check on the local store", async () => {
+    const store = createLocalStore({ file: join(await mkdtemp(join(tmpdir(), "innovacse-health-")), "memory.json") });
+    assert.deepEqual(await checkSchema(store), { ok: true, bases: null });
+  });
+});
+
+describe("GET /health", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("returns the structured report", async () => {
+    h = await startHarness({}, { llmRoles: ["directeur"] });
+
+    const { status, body } = await h.get("/health");
+
+    assert.equal(status, 200);
+    assert.equal(body.ok, true);
+    assert.equal(body.store, "notion");
+    assert.equal(body.llm.directeur.model, "gpt-4.1-mini");
+    assert.equal(body.schema.bases.journal.ok, true);
+    assert.equal((await fetch(`${h.url}/debug-env`)).status, 404);
+  });
+
+  it("answers 503 when a database does not match the mapping", async () => {
+    h = await startHarness({}, { schemas: broken });
+
+    const { status, body } = await h.get("/health?refresh=1");
+
+    assert.equal(status, 503);
+    assert.equal(body.schema.bases.decisions.erreurs.length, 3);
+  });
+});
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { defaultAgents } from "../lib/agents.js";
+import { applyForcedOrchestration, extractAgentLivrable } from "../lib/director.js";
+import { safeMultiSelect, safeSelect } from "../lib/store/notion.js";
+
+const meta = {
+  selectOptions: new Map([
+    ["Statut", new Set(["Idée", "En cours"])],
+    ["Agents mobilisés", new Set(["Directeur", "formation"])],
+  ]),
+};
+
+describe("safeSelect", () => {
+  it("keeps known options only", () => {
+    assert.deepEqual(safeSelect(meta, "Statut", "En cours"), { select: { name: "En cours" } });
+    assert.equal(safeSelect(meta, "Statut", "Terminé"), null);
+    assert.equal(safeSelect(meta, "Statut", ""), null);
+    assert.equal(safeSelect(meta, "Inconnue", "Idée"), null);
+  });
+});
+
+describe("safeMultiSelect", () => {
+  it("filters unknown and non-string values", () => {
+    assert.deepEqual(safeMultiSelect(meta, "Agents mobilisés", ["Directeur", "commercial", 3, "formation"]), {
+      multi_select: [{ name: "Directeur" }, { name: "formation" }],
+    });
+  });
+
+  it("returns null when nothing survives", () => {
+    assert.equal(safeMultiSelect(meta, "Agents mobilisés", ["commercial"]), null);
+    assert.equal(safeMultiSelect(meta, "Agents mobilisés", []), null);
+    assert.equal(safeMultiSelect(meta, "Agents mobilisés", "Directeur"), null);
+  });
+});
+
+describe("extractAgentLivrable", () => {
+  it("returns the first non-empty livrable of a successful agent", () => {
+    const results = [
+      { ok: false, data: { livrable: "échec" } },
+      { ok: true, data: { livrable: "   " } },
+      { ok: true, data: { livrable: "  premier  " } },
+      { ok: true, data: { livrable: "second" } },
+    ];
+    assert.equal(extractAgentLivrable(results), "premier");
+    assert.equal(extractAgentLivrable(undefined), "");
+  });
+});
+
+describe("applyForcedOrchestration", () => {
+  const input = { demande_client: "", contexte: "", contraintes: "" };
+
+  for (const word of ["formation", "programme", "journée", "directeur"]) {
+    it(`forces the formation agent on "${word}"`, () => {
+      const data = applyForcedOrchestration({ orchestration: { mode: "none", plan: [] } }, {
+        ...input,
+        contexte: `Une ${word} à préparer`,
+      });
+      assert.equal(data.orchestration.mode, "sync");
+      assert.equal(data.orchestration.plan[0].agent, "formation");
+    });
+  }
+
+  it("forces on a Formation domaine even without keywords", () => {
+    const data = applyForcedOrchestration({ domaine: "Formation" }, { ...input, demande_client: "Aide" });
+    assert.equal(data.orchestration.plan[0].payload.demande_client, "Aide");
+  });
+
+  it("keeps an existing sync plan untouched", () => {
+    const plan = [{ agent: "contenu", payload: {} }];
+    const data = applyForcedOrchestration({ orchestration: { mode: "sync", plan } }, { ...input, demande_client: "formation" });
+    assert.equal(data.orchestration.plan, plan);
+  });
+
+  it("routes to the agent the registry declares and forces nothing without one", () => {
+    const { formation, ...others } = defaultAgents();
+    const qualiopi = {
+      ...formation,
+      nom: "qualiopi",
+      forcee: { mots_cles: ["audit"], domaines: [], objectif: "Dossier d'audit" },
+    };
+    const none = { orchestration: { mode: "none", plan: [] } };
+    const request = { ...input, demande_client: "Formation et audit Qualiopi" };
+
+    const [step] = applyForcedOrchestration({ ...none }, request, { ...others, qualiopi }).orchestration.plan;
+    assert.deepEqual([step.agent, step.payload.objectif], ["qualiopi", "Dossier d'audit"]);
+    assert.equal(applyForcedOrchestration({ ...none }, request, others).orchestration.mode, "none");
+  });
+
+  it("does nothing for unrelated requests", () => {
+    const data = applyForcedOrchestration({ domaine: "Vente", orchestration: { mode: "none", plan: [] } }, {
+      ...input,
+      demande_client: "Prix de l'offre",
+    });
+    assert.equal(data.orchestration.mode, "none");
+  });
+});
@@ -0,0 +1,197 @@
+// =====================
+// FAUX CLIENT NOTION (en mémoire)
+// =====================
+// Couvre le sous-ensemble de l'API utilisé par le store Notion :
+// databases.retrieve / databases.query, pages.create / pages.retrieve / pages.update,
+// blocks.children.list / blocks.children.append / blocks.delete (limites de taille de l'API vérifiées).
+// Chaque écriture de propriétés est consignée dans `calls`, chaque écriture de blocs dans `blockCalls`.
+
+function toResponseProp(def, value) {
+  const type = def?.type;
+  if (type === "title" || type === "rich_text") {
+    const parts = value[type] || [];
+    return { type, [type]: parts.map((t) => ({ plain_text: t.text?.content ?? "" })) };
+  }
+  if (type === "select") return { type, select: value.select };
+  if (type === "multi_select") return { type, multi_select: value.multi_select };
+  if (type === "date") return { type, date: value.date };
+  if (type === "checkbox") return { type, checkbox: value.checkbox };
+  throw new Error(`Fake Notion: unsupported property type ${type}`);
+}
+
+// Propriétés de requête -> { nom: valeur lisible }, pour des assertions courtes
+export function plain(properties) {
+  const out = {};
+  for (const [name, p] of Object.entries(properties || {})) {
+    if (p.title) out[name] = p.title.map((t) => t.text.content).join("");
+    else if (p.rich_text) out[name] = p.rich_text.map((t) => t.text.content).join("");
+    else if (p.select) out[name] = p.select.name;
+    else if (p.multi_select) out[name] = p.multi_select.map((o) => o.name);
+    else if (p.date) out[name] = p.date.start;
+    else if ("checkbox" in p) out[name] = p.checkbox;
+  }
+  return out;
+}
+
+// Limites de l'API Notion sur les blocs envoyés
+function checkBlocks(children) {
+  if (children.length > 100) throw new Error(`Fake Notion: ${children.length} children (max 100)`);
+  for (const block of children) {
+    const { rich_text = [], children: nested = [] } = block[block.type] || {};
+    const texts = block.type === "table_row" ? block.table_row.cells.flat() : rich_text;
+    if (rich_text.length > 100) throw new Error(`Fake Notion: ${rich_text.length} rich_text items (max 100)`);
+    const long = texts.find((t) => t.text.content.length > 2000);
+    if (long) throw new Error(`Fake Notion: text of ${long.text.content.length} chars (max 2000)`);
+    checkBlocks(nested);
+  }
+}
+
+// Bloc de requête -> bloc de réponse (id, plain_text)
+function toResponseBlock(block, nextId) {
+  const body = { ...block[block.type] };
+  if (body.rich_text) body.rich_text = body.rich_text.map((t) => ({ ...t, plain_text: t.text.content }));
+  return { object: "block", id: nextId(), type: block.type, [block.type]: body };
+}
+
+// Bloc -> { type, text } lisible (tableau : lignes de cellules)
+function plainBlock(block) {
+  const body = block[block.type];
+  const text = (rich) => rich.map((t) => t.text.content).join("");
+  if (block.type === "table") return { type: "table", rows: body.children.map((r) => r.table_row.cells.map(text)) };
+  const out = { type: block.type, text: text(body.rich_text || []) };
+  if (block.type === "to_do") out.checked = body.checked;
+  return out;
+}
+
+/**
+ * schemas = { [database_id]: { [propName]: { type, select?: { options } } } }
+ */
+export function createFakeNotion(schemas) {
+  const pages = [];
+  const calls = [];
+  const blockCalls = [];
+  const children = new Map(); // page_id -> blocs du corps de page
+  let blockSeq = 0;
+  const nextBlockId = () => `block-${++blockSeq}`;
+  let clock = Date.parse("2026-01-01T00:00:00.000Z");
+  let seq = 0;
+
+  function schemaOf(database_id) {
+    const props = schemas[database_id];
+    if (!props) throw new Error(`Fake Notion: unknown database ${database_id}`);
+    return props;
+  }
+
+  function applyProps(page, properties) {
+    const schema = schemaOf(page.parent.database_id);
+    for (const [name, value] of Object.entries(properties || {})) {
+      if (!schema[name]) throw new Error(`Fake Notion: unknown property ${name}`);
+      page.properties[name] = toResponseProp(schema[name], value);
+    }
+    page.last_edited_time = new Date((clock += 1000)).toISOString();
+  }
+
+  function titleOf(page) {
+    const p = Object.values(page.properties).find((x) => x.type === "title");
+    return (p?.title || []).map((t) => t.plain_text).join("");
+  }
+
+  const client = {
+    databases: {
+      async retrieve({ database_id }) {
+        return { id: database_id, properties: schemaOf(database_id) };
+      },
+      async query({ database_id, page_size = 100, filter, sorts, start_cursor }) {
+        schemaOf(database_id);
+        let results = pages.filter((p) => p.parent.database_id === database_id);
+        if (filter?.title?.equals !== undefined) {
+          results = results.filter((p) => titleOf(p) === filter.title.equals);
+        }
+        if (filter?.last_edited_time?.on_or_after) {
+          results = results.filter((p) => p.last_edited_time >= filter.last_edited_time.on_or_after);
+        }
+        if (sorts?.[0]?.timestamp === "last_edited_time") {
+          const dir = sorts[0].direction === "ascending" ? 1 : -1;
+          results = [...results].sort((a, b) => dir * a.last_edited_time.localeCompare(b.last_edited_time));
+        }
+        const start = Number(start_cursor || 0);
+        const end = start + page_size;
+        return {
+          results: results.slice(start, end),
+          has_more: end < results.length,
+          next_cursor: end < results.length ? String(end) : null,
+        };
+      },
+    },
+    pages: {
+      async create({ parent, properties, children: blocks = [] }) {
+        checkBlocks(blocks);
+        const created_time = new Date().toISOString();
+        const page = { id: `page-${++seq}`, parent, properties: {}, created_time, last_edited_time: null };
+        applyProps(page, properties);
+        pages.push(page);
+        children.set(page.id, blocks.map((b) => toResponseBlock(b, nextBlockId)));
+        calls.push({ method: "create", database_id: parent.database_id, page_id: page.id, properties });
+        if (blocks.length) blockCalls.push({ method: "create", page_id: page.id, count: blocks.length });
+        return page;
+      },
+      async retrieve({ page_id }) {
+        const page = pages.find((p) => p.id === page_id);
+        if (!page) throw new Error(`Fake Notion: unknown page ${page_id}`);
+        return page;
+      },
+      async update({ page_id, properties }) {
+        const page = pages.find((p) => p.id === page_id);
+        if (!page) throw new Error(`Fake Notion: unknown page ${page_id}`);
+        applyProps(page, properties);
+        calls.push({ method: "update", database_id: page.parent.database_id, page_id, properties });
+        return page;
+      },
+    },
+    blocks: {
+      children: {
+        async list({ block_id, start_cursor, page_size = 100 }) {
+          const all = children.get(block_id) || [];
+          const start = Number(start_cursor || 0);
+          const end = start + page_size;
+          return {
+            results: all.slice(start, end),
+            has_more: end < all.length,
+            next_cursor: end < all.length ? String(end) : null,
+          };
+        },
+        async append({ block_id, children: blocks }) {
+          checkBlocks(blocks);
+          if (!children.has(block_id)) throw new Error(`Fake Notion: unknown page ${block_id}`);
+          children.get(block_id).push(...blocks.map((b) => toResponseBlock(b, nextBlockId)));
+          blockCalls.push({ method: "append", page_id: block_id, count: blocks.length });
+          return { results: [] };
+        },
+      },
+      async delete({ block_id }) {
+        for (const [page_id, list] of children) {
+          const i = list.findIndex((b) => b.id === block_id);
+          if (i === -1) continue;
+          list.splice(i, 1);
+          blockCalls.push({ method: "delete", page_id, block_id });
+          return { id: block_id, archived: true };
+        }
+        throw new Error(`Fake Notion: unknown block ${block_id}`);
+      },
+    },
+  };
+
+  // Écritures (create/update) d'une base, propriétés à plat
+  function writes(database_id) {
+    return calls
+      .filter((c) => c.database_id === database_id)
+      .map((c) => ({ method: c.method, page_id: c.page_id, props: plain(c.properties) }));
+  }
+
+  // Corps d'une page, blocs à plat : [{ type, text }] (tableau : { type: "table", rows })
+  function body(page_id) {
+    return (children.get(page_id) || []).map(plainBlock);
+  }
+
+  return { client, pages, calls, blockCalls, writes, body };
+}
@@ -0,0 +1,65 @@
+// =====================
+// FAUX CLIENT OPENAI (Responses API)
+// =====================
+// responses.create() renvoie la prochaine sortie scriptée pour le rôle détecté
+// dans la requête (directeur et contrôleurs via le nom du format JSON, agents via leur prompt système).
+
+const FORMAT_ROLES = {
+  innovacse_directeur: "directeur",
+  innovacse_conformite: "conformite",
+  innovacse_contradictions: "contradictions",
+};
+
+export function roleOf(request) {
+  const byFormat = FORMAT_ROLES[request.text?.format?.name];
+  if (byFormat) return byFormat;
+  const system = request.input?.find((m) => m.role === "system")?.content || "";
+  const m = system.match(/agent spécialisé ([\w-]+)/i);
+  return m ? m[1].toLowerCase() : "inconnu";
+}
+
+/**
+ * outputs = { directeur: [obj | string, ...], formation: [...], ... }
+ * Un objet est sérialisé en JSON ; une fonction reçoit la requête et renvoie la sortie.
+ */
+export function createFakeOpenAI(outputs = {}) {
+  const requests = [];
+  const cursors = new Map();
+
+  const client = {
+    responses: {
+      async create(request) {
+        const role = roleOf(request);
+        requests.push({ role, request });
+
+        const list = outputs[role] || [];
+        const i = cursors.get(role) || 0;
+        cursors.set(role, i + 1);
+        let out = list[Math.min(i, list.length - 1)];
+        if (out === undefined) throw new Error(`Fake OpenAI: no scripted output for role ${role}`);
+        if (typeof out === "function") out = out(request);
+
+        const text = typeof out === "string" ? out : JSON.stringify(out);
+        const usage = { input_tokens: 100, output_tokens: 50, total_tokens: 150 };
+
+        // stream: true -> itérable d'événements, texte découpé en 2 deltas
+        if (request.stream) {
+          const half = Math.ceil(text.length / 2);
+          return (async function* () {
+            yield { type: "response.output_text.delta", delta: text.slice(0, half) };
+            yield { type: "response.output_text.delta", delta: text.slice(half) };
+            yield { type: "response.completed", response: { usage } };
+          })();
+        }
+
+        return { output_text: text, usage };
+      },
+    },
+  };
+
+  function callsFor(role) {
+    return requests.filter((r) => r.role === role).map((r) => r.request);
+  }
+
+  return { client, requests, callsFor };
+}
@@ -0,0 +1,77 @@
+import { createApp } from "../../lib/app.js";
+import { createLlm, createOpenAIProvider } from "../../lib/llm/index.js";
+import { createMirrorStore, createNotionStore } from "../../lib/store/index.js";
+import { DATABASES, SCHEMAS } from "../fixtures/notion-schemas.js";
+import { createFakeNotion } from "./fake-notion.js";
+import { createFakeOpenAI } from "./fake-openai.js";
+
+/**
+ * Démarre l'app sur un port libre avec les faux clients Notion et OpenAI.
+ * outputs = sorties scriptées par rôle (voir createFakeOpenAI) ; options passées à createApp.
+ * Par défaut aucune relance de réparation (maxRepairs: 0) : les tests qui la couvrent l'activent.
+ * options.mirror = true : le store Notion est servi par un miroir en mémoire (createMirrorStore).
+ * options.schemas : schémas des bases Notion (défaut SCHEMAS).
+ */
+export async function startHarness(outputs = {}, { mirror = false, schemas = SCHEMAS, ...options } = {}) {
+  const notion = createFakeNotion(schemas);
+  const openai = createFakeOpenAI(outputs);
+
+  const notionStore = createNotionStore({ notion: notion.client, databases: DATABASES });
+  const store = mirror ? createMirrorStore({ source: notionStore }) : notionStore;
+  const llm = createLlm({ providers: { openai: createOpenAIProvider({ client: openai.client }) } });
+  const app = createApp({ store, llm, validation: { maxRepairs: 0 }, ...options });
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function post(path, body) {
+    const res = await fetch(url + path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Lit un flux SSE jusqu'au bout -> [{ event, data }]
+  async function stream(path, body) {
+    const res = await fetch(url + path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const text = await res.text();
+    return text
+      .split("\n\n")
+      .filter((chunk) => chunk.trim())
+      .map((chunk) => {
+        const event = chunk.match(/^event: (.*)$/m)?.[1];
+        const data = JSON.parse(chunk.match(/^data: (.*)$/m)?.[1] || "null");
+        return { event, data };
+      });
+  }
+
+  async function get(path) {
+    const res = await fetch(url + path);
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Attend la fin d'un job (done/partial/failed)
+  async function waitJob(id, timeoutMs = 2000) {
+    const start = Date.now();
+    for (;;) {
+      const { body } = await get(`/jobs/${id}`);
+      if (["done", "partial", "failed"].includes(body.job?.status)) return body.job;
+      if (Date.now() - start > timeoutMs) throw new Error(`Job ${id} still ${body.job?.status}`);
+      await new Promise((r) => setTimeout(r, 10));
+    }
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  return { url, app, notion, openai, store, llm, get, post, stream, waitJob, close };
+}
@@ -0,0 +1,208 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { createLlm } from "../lib/llm/index.js";
+import { withRetry } from "../lib/retry.js";
+import { createNotionStore } from "../lib/store/index.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES, SCHEMAS } from "./fixtures/notion-schemas.js";
+import { createFakeNotion } from "./helpers/fake-notion.js";
+import { startHarness } from "./helpers/harness.js";
+
+const FAST = { retries: 3, baseMs: 1, maxMs: 5 };
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+const doctrine = ["Terrain d'abord", "Sobriété des livrables", "Preuve par l'exemple"].map((titre) => ({
+  titre,
+  categorie: "Principe",
+  contenu: `Contenu ${titre}`,
+  version: 1,
+}));
+const withDoctrine = () => directorOutput({ ecritures_notion: { doctrine, decisions: [], projets: [] } });
+
+describe("withRetry", () => {
+  it("retries transient errors with backoff and honours Retry-After", async () => {
+    const delays = [];
+    let calls = 0;
+    const out = await withRetry(
+      async () => {
+        calls += 1;
+        if (calls === 1) throw httpError(429, { "retry-after": "2" });
+        if (calls === 2) throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+        return "ok";
+      },
+      { retries: 3, baseMs: 100, maxMs: 5000, sleep: async (ms) => delays.push(ms) },
+    );
+
+    assert.equal(out, "ok");
+    assert.equal(delays[0], 2000);
+    assert.ok(delays[1] >= 100 && delays[1] <= 200);
+  });
+
+  it("gives up on client errors and after the last attempt", async () => {
+    let calls = 0;
+    const fail = (err) => () => {
+      calls += 1;
+      throw err;
+    };
+    await assert.rejects(withRetry(fail(httpError(400)), FAST), /HTTP 400/);
+    assert.equal(calls, 1);
+    calls = 0;
+    await assert.rejects(withRetry(fail(httpError(503)), FAST), /HTTP 503/);
+    assert.equal(calls, 4);
+  });
+});
+
+describe("transient errors in Notion and model calls", () => {
+  it("retries a rate-limited Notion write without duplicating the page", async () => {
+    const notion = createFakeNotion(SCHEMAS);
+    const create = notion.client.pages.create;
+    let limited = 2;
+    notion.client.pages.create = async (args) => {
+      if (limited-- > 0) throw httpError(429);
+      return create(args);
+    };
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES, retry: FAST });
+
+    await store.create("projets", { titre: "Formation" });
+    assert.equal(notion.writes(DATABASES.projets).length, 1);
+  });
+
+  it("does not duplicate a page or its blocks when a cut-off call went through", async () => {
+    const notion = createFakeNotion(SCHEMAS);
+    const { create } = notion.client.pages;
+    const { append } = notion.client.blocks.children;
+    const reset = () => Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+    const cut = { create: 1, append: 1 };
+    notion.client.pages.create = async (args) => {
+      const page = await create(args);
+      if (cut.create-- > 0) throw reset();
+      return page;
+    };
+    notion.client.blocks.children.append = async (args) => {
+      const out = await append(args);
+      if (cut.append-- > 0) throw reset();
+      return out;
+    };
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES, retry: FAST });
+
+    const objectif = Array.from({ length: 150 }, (_, i) => `- Étape ${i + 1}`).join("\n");
+    const { id } = await store.create("projets", { titre: "Formation", objectif });
+    assert.equal(notion.writes(DATABASES.projets).length, 1);
+    assert.equal(notion.body(id).length, 151);
+    assert.deepEqual(
+      notion.blockCalls.map((c) => [c.method, c.count]),
+      [["create", 100], ["append", 51]],
+    );
+  });
+
+  it("retries a failed model call, but not once tokens were streamed", async () => {
+    let calls = 0;
+    const provider = {
+      async complete({ onDelta }) {
+        calls += 1;
+        if (onDelta) onDelta("début");
+        if (calls === 1) throw httpError(503);
+        return { text: "réponse", usage: null, model: "m" };
+      },
+    };
+    const llm = createLlm({ providers: { openai: provider }, retry: FAST });
+
+    assert.equal((await llm.complete("directeur", { system: "s", user: "u" })).text, "réponse");
+    calls = 0;
+    await assert.rejects(llm.complete("directeur", { system: "s", user: "u", onDelta: () => {} }), /HTTP 503/);
+    assert.equal(calls, 1);
+  });
+});
+
+describe("POST /run partial failure and idempotency", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  const post = async (body, key) => {
+    const res = await fetch(`${h.url}/run`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(key ? { "Idempotency-Key": key } : {}) },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it("reports each write and retries only the failed ones under the same key", async () => {
+    h = await startHarness({ directeur: [withDoctrine()] });
+    const create = h.notion.client.pages.create;
+    let down = true;
+    h.notion.client.pages.create = async (args) => {
+      if (down && JSON.stringify(args).includes("Sobriété des livrables")) throw httpError(400);
+      return create(args);
+    };
+
+    const first = await post({ demande_client: "Doctrine" }, "run-1");
+    assert.equal(first.status, 207);
+    assert.equal(first.body.partiel, true);
+    assert.deepEqual(
+      first.body.ecritures.map((e) => [e.cle, e.ok]),
+      [["journal", true], ["doctrine:0", true], ["doctrine:1", false], ["doctrine:2", true]],
+    );
+    assert.match(first.body.ecritures[2].error, /HTTP 400/);
+    assert.equal(h.notion.writes(DATABASES.doctrine).length, 2);
+    assert.equal((await h.get(`/jobs/${first.body.job_id}`)).body.job.status, "partial");
+
+    down = false;
+    const retry = await post({ demande_client: "Doctrine" }, "run-1");
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.job_id, first.body.job_id);
+    assert.equal(retry.body.partiel, false);
+    assert.equal(h.notion.writes(DATABASES.doctrine).length, 3);
+    assert.equal(h.notion.writes(DATABASES.journal).length, 1);
+    assert.equal(h.openai.callsFor("directeur").length, 1);
+  });
+
+  it("finishes a page whose body append failed instead of creating it again", async () => {
+    const objectif = Array.from({ length: 150 }, (_, i) => `- Étape ${i + 1}`).join("\n");
+    const projets = [{ titre: "Projet long", objectif, statut: "Idée", priorite: "Haute", domaine: "Vente" }];
+    const ecritures_notion = { doctrine: [], decisions: [], projets };
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion })] });
+    const { append } = h.notion.client.blocks.children;
+    let down = true;
+    h.notion.client.blocks.children.append = async (args) => {
+      if (down) throw httpError(400);
+      return append(args);
+    };
+
+    const first = await post({ demande_client: "Projet" }, "run-3");
+    assert.equal(first.status, 207);
+    const [page] = h.notion.writes(DATABASES.projets);
+    assert.equal(h.notion.body(page.page_id).length, 100);
+
+    down = false;
+    const retry = await post({ demande_client: "Projet" }, "run-3");
+    assert.equal(retry.body.partiel, false);
+    assert.equal(retry.body.ecritures.at(-1).id, page.page_id);
+    assert.deepEqual(
+      h.notion.writes(DATABASES.projets).map((w) => w.method),
+      ["create", "update"],
+    );
+    assert.equal(h.notion.body(page.page_id).length, 151);
+    assert.equal(h.notion.body(page.page_id).at(-1).text, "Étape 150");
+  });
+
+  it("replays a finished run and rejects a key reused for another request", async () => {
+    h = await startHarness({ directeur: [directorOutput()] });
+
+    const first = await post({ demande_client: "Note" }, "run-2");
+    const again = await post({ demande_client: "Note" }, "run-2");
+    assert.equal(again.status, 200);
+    assert.equal(again.body.rejoue, true);
+    assert.equal(again.body.job_id, first.body.job_id);
+    assert.equal(h.openai.callsFor("directeur").length, 1);
+    assert.equal(h.notion.writes(DATABASES.journal).length, 1);
+
+    const other = await post({ demande_client: "Autre note" }, "run-2");
+    assert.equal(other.status, 422);
+    assert.equal(other.body.error, "IDEMPOTENCY_KEY_REUSED");
+  });
+});
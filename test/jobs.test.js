@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+
+import { createJobStore } from "../lib/jobs.js";
+import { directorOutput, formationAgentOutput } from "./fixtures/director.js";
+import { DATABASES } from "./fixtures/notion-schemas.js";
+import { startHarness } from "./helpers/harness.js";
+
+const formationPlan = (mode) => ({
+  mode,
+  plan: [{ agent: "formation", payload: { demande_client: "F", contexte: "", contraintes: "", objectif: "" } }],
+});
+
+describe("async jobs", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("mode async: returns a job id at once, result is polled later", async () => {
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation" })],
+      formation: [formationAgentOutput("Programme long")],
+    });
+
+    const { status, body } = await h.post("/run", { demande_client: "Formation", mode: "async" });
+    assert.equal(status, 202);
+    assert.equal(body.status, "queued");
+    assert.equal(body.status_url, `/jobs/${body.job_id}`);
+
+    const job = await h.waitJob(body.job_id);
+    assert.equal(job.status, "done");
+    assert.deepEqual(
+      job.progress.map((e) => e.event),
+      ["memory", "director", "agent_start", "agent_end", "compliance", "write"],
+    );
+    assert.equal(job.partial.orchestration_results[0].data.livrable, "Programme long");
+
+    const result = await h.get(`/jobs/${body.job_id}/result`);
+    assert.equal(result.status, 200);
+    assert.equal(result.body.data.livrable_final, "Programme long");
+
+    const list = await h.get("/jobs?status=done");
+    assert.deepEqual(
+      list.body.jobs.map((j) => [j.id, j.demande_client]),
+      [[body.job_id, "Formation"]],
+    );
+  });
+
+  it("director choosing orchestration async: 202 after its decision, job keeps running", async () => {
+    h = await startHarness({
+      directeur: [directorOutput({ orchestration: formationPlan("async") })],
+      formation: [formationAgentOutput("Programme async")],
+    });
+
+    const { status, body } = await h.post("/run", { demande_client: "Programme complet" });
+    assert.equal(status, 202);
+    assert.equal(body.status, "running");
+    assert.equal(body.director.orchestration.mode, "async");
+
+    await h.waitJob(body.job_id);
+    const result = await h.get(`/jobs/${body.job_id}/result`);
+    assert.equal(result.body.data.livrable_final, "Programme async");
+  });
+
+  it("resume after failure does not re-call the director nor duplicate pages", async () => {
+    h = await startHarness({
+      directeur: [
+        directorOutput({
+          orchestration: formationPlan("sync"),
+          ecritures_notion: {
+            doctrine: [],
+            decisions: [],
+            projets: [{ titre: "Projet X", objectif: "O", statut: "Idée", priorite: "Haute", domaine: "Vente" }],
+          },
+        }),
+      ],
+      formation: [
+        () => {
+          throw new Error("OpenAI 503");
+        },
+        formationAgentOutput("Programme repris"),
+      ],
+    });
+
+    const first = await h.post("/run", { demande_client: "Formation" });
+    assert.equal(first.status, 500);
+    assert.equal((await h.get(`/jobs/${first.body.job_id}`)).body.job.status, "failed");
+
+    const resumed = await h.post(`/jobs/${first.body.job_id}/resume`, {});
+    assert.equal(resumed.status, 202);
+    const job = await h.waitJob(first.body.job_id);
+    assert.equal(job.status, "done");
+
+    assert.equal(h.openai.callsFor("directeur").length, 1);
+    assert.equal(h.openai.callsFor("formation").length, 2);
+    assert.equal(h.notion.writes(DATABASES.journal).length, 1);
+    assert.equal(h.notion.writes(DATABASES.projets).length, 1);
+
+    const again = await h.post(`/jobs/${first.body.job_id}/resume`, {});
+    assert.equal(again.status, 409);
+  });
+
+  it("resumePending replays recorded steps of an interrupted job", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "innovacse-jobs-"));
+    const jobs = createJobStore({ dir });
+
+    // Job interrompu : mémoire, directeur et journal déjà enregistrés
+    const job = await jobs.create({ demande_client: "Positionnement" });
+    job.status = "running";
+    job.steps = {
+      memory: { memory: { doctrine: [], projets: [], decisions: [] }, used: [], tokens: 0, budget: 3000 },
+      director: directorOutput(),
+      "write:journal": { id: "page-journal-deja-cree" },
+    };
+    await jobs.save(job);
+
+    h = await startHarness({}, { jobs: createJobStore({ dir }) });
+    assert.equal(await h.app.locals.runner.resumePending(), 1);
+
+    const done = await h.waitJob(job.id);
+    assert.equal(done.status, "done");
+    assert.equal(h.openai.requests.length, 0);
+    assert.equal(h.notion.calls.length, 0);
+  });
+
+  it("concurrent first reads both wait for the stored jobs", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "innovacse-jobs-"));
+    const job = await createJobStore({ dir }).create({ demande_client: "Positionnement" });
+
+    const jobs = createJobStore({ dir });
+    const [listed, got] = await Promise.all([jobs.list(), jobs.get(job.id)]);
+    assert.deepEqual(listed.map((j) => j.id), [job.id]);
+    assert.equal(got?.id, job.id);
+  });
+
+  it("unknown job: 404", async () => {
+    h = await startHarness({});
+    assert.equal((await h.get("/jobs/nope")).status, 404);
+    assert.equal((await h.get("/jobs/nope/result")).status, 404);
+  });
+
+  it("answers a JSON 500 when a store fails instead of leaving the request pending", async () => {
+    const fail = async () => {
+      throw new Error("EIO: disque illisible");
+    };
+    const broken = { create: fail, claim: fail, get: fail, list: fail, save: fail };
+    h = await startHarness({}, { jobs: broken, sessions: broken, proposals: broken });
+
+    for (const path of ["/jobs", "/jobs/x", "/jobs/x/export", "/sessions", "/proposals", "/proposals/x"]) {
+      const { status, body } = await h.get(path);
+      assert.equal(status, 500, path);
+      assert.deepEqual(body, { ok: false, error: "EIO: disque illisible" }, path);
+    }
+    assert.equal((await h.post("/sessions", { demande_client: "Note" })).status, 500);
+    assert.equal((await h.post("/proposals/x/reject", {})).status, 500);
+  });
+});
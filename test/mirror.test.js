@@ -0,0 +1,217 @@
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+
+import { createMirrorStore, createNotionStore } from "../lib/store/index.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES, SCHEMAS } from "./fixtures/notion-schemas.js";
+import { createFakeNotion } from "./helpers/fake-notion.js";
+import { startHarness } from "./helpers/harness.js";
+
+// Faux Notion dont on compte les lectures (databases.query)
+function setup(schemas = SCHEMAS) {
+  const notion = createFakeNotion(schemas);
+  const queries = [];
+  const query = notion.client.databases.query;
+  notion.client.databases.query = (args) => {
+    queries.push(args);
+    return query(args);
+  };
+  const source = createNotionStore({ notion: notion.client, databases: DATABASES });
+  return { notion, source, queries };
+}
+
+// Page créée directement dans Notion (hors serveur)
+function createInNotion(notion, database_id, titleProp, titre) {
+  return notion.client.pages.create({
+    parent: { database_id },
+    properties: { [titleProp]: { title: [{ text: { content: titre } }] } },
+  });
+}
+
+describe("Notion mirror", () => {
+  it("serves reads locally after one full sync", async () => {
+    const { notion, source, queries } = setup();
+    await createInNotion(notion, DATABASES.projets, "Projet", "Projet A");
+    const mirror = createMirrorStore({ source });
+
+    assert.deepEqual((await mirror.list("projets")).map((p) => p.titre), ["Projet A"]);
+    const afterSync = queries.length;
+    assert.equal(afterSync, 4);
+
+    await mirror.list("doctrine");
+    await mirror.findByTitle("projets", "Projet A");
+    assert.equal(queries.length, afterSync);
+  });
+
+  it("syncs incrementally from the last seen last_edited_time", async () => {
+    const { notion, source, queries } = setup();
+    await createInNotion(notion, DATABASES.projets, "Projet", "Projet A");
+    const mirror = createMirrorStore({ source });
+    await mirror.sync();
+    const cursor = (await mirror.syncStatus()).cursors.projets;
+
+    await createInNotion(notion, DATABASES.projets, "Projet", "Projet B");
+    queries.length = 0;
+    const changes = await mirror.sync();
+
+    assert.equal(queries.find((q) => q.database_id === DATABASES.projets).filter.last_edited_time.on_or_after, cursor);
+    assert.deepEqual(changes, { journal: 0, doctrine: 0, projets: 2, decisions: 0 });
+    assert.deepEqual((await mirror.list("projets")).map((p) => p.titre).sort(), ["Projet A", "Projet B"]);
+  });
+
+  it("keeps serving reads during a Notion outage and reports the error", async () => {
+    const { notion, source } = setup();
+    await createInNotion(notion, DATABASES.doctrine, "Titre", "Principe A");
+    const mirror = createMirrorStore({ source });
+    await mirror.sync();
+
+    notion.client.databases.query = async () => {
+      throw new Error("Notion unavailable");
+    };
+
+    await assert.rejects(mirror.sync(), /Notion unavailable/);
+    assert.equal((await mirror.list("doctrine"))[0].titre, "Principe A");
+    const status = await mirror.syncStatus();
+    assert.equal(status.last_error, "Notion unavailable");
+    assert.equal(status.counts.doctrine, 1);
+  });
+
+  it("reloads the mirror file without calling Notion", async () => {
+    const file = join(await mkdtemp(join(tmpdir(), "innovacse-mirror-")), "mirror.json");
+    const first = setup();
+    await createInNotion(first.notion, DATABASES.decisions, "Décision", "Décision A");
+    await createMirrorStore({ source: first.source, file }).sync();
+
+    const second = setup();
+    const reopened = createMirrorStore({ source: second.source, file });
+
+    assert.equal((await reopened.list("decisions"))[0].titre, "Décision A");
+    assert.equal(second.queries.length, 0);
+  });
+
+  it("writes through to Notion and into the mirror", async () => {
+    const { notion, source } = setup();
+    const mirror = createMirrorStore({ source });
+
+    const { id } = await mirror.create("projets", { titre: "Projet A", statut: "Idée" });
+    await mirror.update("projets", id, { titre: "Projet A", statut: "En cours" });
+
+    assert.deepEqual(notion.writes(DATABASES.projets).map((w) => w.method), ["create", "update"]);
+    assert.equal((await mirror.findByTitle("projets", "Projet A")).statut, "En cours");
+  });
+
+  it("refreshMeta picks up a select option added in Notion", async () => {
+    const schemas = structuredClone(SCHEMAS);
+    const { source, notion } = setup(schemas);
+    const mirror = createMirrorStore({ source });
+
+    await mirror.create("projets", { titre: "A", statut: "Archivé" });
+    schemas[DATABASES.projets].Statut.select.options.push({ name: "Archivé" });
+    await mirror.create("projets", { titre: "B", statut: "Archivé" });
+    mirror.refreshMeta();
+    await mirror.create("projets", { titre: "C", statut: "Archivé" });
+
+    assert.deepEqual(notion.writes(DATABASES.projets).map((w) => w.props.Statut), [undefined, undefined, "Archivé"]);
+    assert.ok((await mirror.syncStatus()).meta_refreshed_at);
+  });
+
+  it("serves the last known select options when Notion is down after refreshMeta", async () => {
+    const { notion, source } = setup();
+    const mirror = createMirrorStore({ source });
+    const options = await mirror.selectOptions();
+
+    notion.client.databases.retrieve = async () => {
+      throw new Error("Notion unavailable");
+    };
+    mirror.refreshMeta();
+
+    assert.deepEqual(await mirror.selectOptions(), options);
+  });
+
+  it("serializes concurrent file writes from sync, create and update", async () => {
+    const file = join(await mkdtemp(join(tmpdir(), "innovacse-mirror-")), "mirror.json");
+    const { notion, source } = setup();
+    await createInNotion(notion, DATABASES.doctrine, "Titre", "Principe A");
+    const mirror = createMirrorStore({ source, file });
+    const { id } = await mirror.create("projets", { titre: "Projet A", statut: "Idée" });
+
+    await Promise.all([
+      mirror.sync(),
+      ...["B", "C", "D"].map((t) => mirror.create("projets", { titre: `Projet ${t}`, statut: "Idée" })),
+      mirror.update("projets", id, { titre: "Projet A", statut: "En cours" }),
+    ]);
+
+    const reopened = createMirrorStore({ source, file });
+    assert.deepEqual((await reopened.list("projets", { limit: 10 })).map((p) => p.titre).sort(), [
+      "Projet A",
+      "Projet B",
+      "Projet C",
+      "Projet D",
+    ]);
+    assert.equal((await reopened.findByTitle("projets", "Projet A")).statut, "En cours");
+  });
+
+  it("runs a full sync requested during an incremental one", async () => {
+    const { notion, source, queries } = setup();
+    const mirror = createMirrorStore({ source });
+    await mirror.sync({ full: true });
+    await createInNotion(notion, DATABASES.projets, "Projet", "Projet A");
+    queries.length = 0;
+
+    const incremental = mirror.sync();
+    const full = mirror.sync({ full: true });
+    assert.notEqual(full, incremental);
+    await Promise.all([incremental, full]);
+
+    assert.equal(queries.length, 8);
+    assert.equal(queries.slice(4).some((q) => q.filter), false);
+  });
+});
+
+describe("/sync routes", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("404 when the store is not mirrored", async () => {
+    h = await startHarness({});
+    assert.deepEqual((await h.get("/sync")).body, { ok: false, error: "SYNC_DISABLED" });
+    assert.equal((await h.post("/sync", {})).status, 404);
+  });
+
+  it("forces a resync, shows its status, and /run reads memory from the mirror", async () => {
+    h = await startHarness({ directeur: [directorOutput()] }, { mirror: true });
+    await createInNotion(h.notion, DATABASES.doctrine, "Titre", "Principe signalement");
+
+    const forced = await h.post("/sync", { full: true });
+    assert.equal(forced.status, 200);
+    assert.equal(forced.body.changes.doctrine, 1);
+    assert.equal(forced.body.sync.source, "notion");
+    assert.ok(forced.body.sync.last_full_sync);
+
+    h.notion.client.databases.query = async () => {
+      throw new Error("Notion unavailable");
+    };
+    const { status, body } = await h.post("/run", { demande_client: "Principe signalement" });
+    assert.equal(status, 200);
+    assert.deepEqual(body.memoire.used.map((u) => u.titre), ["Principe signalement"]);
+
+    const failed = await h.post("/sync", {});
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.sync.last_error, "Notion unavailable");
+    assert.equal((await h.get("/sync")).body.sync.counts.journal, 1);
+
+    h.store.syncStatus = async () => {
+      throw new Error("EIO: miroir illisible");
+    };
+    assert.deepEqual((await h.get("/sync")).body, { ok: false, error: "EIO: miroir illisible" });
+    const broken = await h.post("/sync", {});
+    assert.equal(broken.status, 502);
+    assert.deepEqual(broken.body, { ok: false, error: "Notion unavailable", sync: null });
+  });
+});
@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { markdownToBlocks, summarize, summarizeJson } from "../lib/store/blocks.js";
+import { createNotionStore } from "../lib/store/index.js";
+import { directorOutput, formationAgentOutput, validFormationLivrable } from "./fixtures/director.js";
+import { DATABASES, SCHEMAS } from "./fixtures/notion-schemas.js";
+import { createFakeNotion } from "./helpers/fake-notion.js";
+import { startHarness } from "./helpers/harness.js";
+
+const plainText = (blocks) => blocks.map((b) => b[b.type].rich_text.map((t) => t.text.content).join(""));
+
+describe("markdownToBlocks", () => {
+  it("converts headings, lists, checklists, tables and paragraphs", () => {
+    const blocks = markdownToBlocks(
+      "# Programme\n1. Objectif **clé**\n- Grille\n- [x] Salle\n\n| H | P |\n| --- | --- |\n| 08:30 | Cadre |\n\nLigne 1\nLigne 2",
+    );
+    assert.deepEqual(
+      blocks.map((b) => b.type),
+      ["heading_2", "numbered_list_item", "bulleted_list_item", "to_do", "table", "paragraph"],
+    );
+    assert.deepEqual(blocks[1].numbered_list_item.rich_text[1], {
+      type: "text",
+      text: { content: "clé" },
+      annotations: { bold: true },
+    });
+    assert.equal(blocks[3].to_do.checked, true);
+    assert.equal(blocks[4].table.table_width, 2);
+    assert.equal(blocks[4].table.children.length, 2);
+    assert.deepEqual(plainText([blocks[5]]), ["Ligne 1\nLigne 2"]);
+  });
+
+  it("splits text to the API limits", () => {
+    const [paragraph] = markdownToBlocks("x".repeat(4500));
+    assert.deepEqual(paragraph.paragraph.rich_text.map((t) => t.text.content.length), [2000, 2000, 500]);
+
+    const rows = ["| n |", "| --- |", ...Array.from({ length: 150 }, (_, i) => `| ${i} |`)].join("\n");
+    const tables = markdownToBlocks(rows);
+    assert.deepEqual(tables.map((t) => t.table.children.length), [100, 52]);
+  });
+
+  it("keeps summaries short and JSON summaries valid", () => {
+    assert.equal(summarize("alpha beta gamma delta", 15), "alpha beta…");
+    const results = Array.from({ length: 5 }, (_, i) => ({ id: `etape-${i}`, data: { livrable: "x".repeat(3000) } }));
+    const json = summarizeJson(results, 1900);
+    assert.ok(json.length <= 1900);
+    assert.equal(JSON.parse(json)[0].id, "etape-0");
+  });
+});
+
+describe("Notion page content", () => {
+  const longLivrable = [
+    "# Déroulé",
+    ...Array.from({ length: 150 }, (_, i) => `- Séquence ${i + 1} : ${"contenu détaillé ".repeat(8)}`),
+    "y".repeat(4500),
+  ].join("\n");
+
+  it("writes the full livrable in the page and a summary in the property", async () => {
+    const notion = createFakeNotion(SCHEMAS);
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES });
+    const resultats_agents = [{ id: "formation", agent: "formation", ok: true, data: { livrable: longLivrable } }];
+
+    const { id } = await store.create("journal", { titre: "Run", resultat: longLivrable, resultats_agents });
+
+    const [write] = notion.writes(DATABASES.journal);
+    assert.ok(write.props["Résultat produit"].length <= 300);
+    assert.match(write.props["Résultat produit"], /…$/);
+    assert.equal(JSON.parse(write.props["Résultats agents"])[0].agent, "formation");
+
+    const body = notion.body(id);
+    assert.deepEqual(body[0], { type: "heading_1", text: "Résultat produit" });
+    assert.deepEqual(body[1], { type: "heading_2", text: "Déroulé" });
+    assert.equal(body.filter((b) => b.type === "bulleted_list_item").length, 150);
+    assert.ok(body.some((b) => b.type === "paragraph" && b.text === "y".repeat(4500)));
+    const code = body.at(-1);
+    assert.equal(code.type, "code");
+    assert.equal(JSON.parse(code.text)[0].data.livrable, longLivrable);
+    assert.deepEqual(
+      notion.blockCalls.map((c) => [c.method, c.count]),
+      [["create", 100], ["append", 55]],
+    );
+  });
+
+  it("replaces only the rewritten section on update and keeps the rest of the page", async () => {
+    const notion = createFakeNotion(SCHEMAS);
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES });
+
+    const { id } = await store.create("projets", { titre: "Formation", objectif: "V1 du programme" });
+    await notion.client.blocks.children.append({
+      block_id: id,
+      children: [{ type: "heading_1", heading_1: { rich_text: [{ type: "text", text: { content: "Notes" } }] } }],
+    });
+
+    await store.update("projets", id, { titre: "Formation", objectif: "# V2\nProgramme révisé" });
+    assert.deepEqual(notion.body(id), [
+      { type: "heading_1", text: "Notes" },
+      { type: "heading_1", text: "Objectif" },
+      { type: "heading_2", text: "V2" },
+      { type: "paragraph", text: "Programme révisé" },
+    ]);
+
+    // Le résumé relu et reporté tel quel par une fusion ne réécrit pas la page
+    const [row] = await store.list("projets");
+    const before = notion.blockCalls.length;
+    await store.update("projets", id, { ...row, statut: "En cours" });
+    assert.equal(notion.blockCalls.length, before);
+  });
+
+  it("rewrites a section whose change lies beyond the property summary", async () => {
+    const notion = createFakeNotion(SCHEMAS);
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES });
+    const long = (fin) => `${"Programme détaillé de la journée. ".repeat(20)}${fin}`;
+
+    const { id } = await store.create("projets", { titre: "Formation", objectif: long("VERSION UN") });
+    await store.update("projets", id, { titre: "Formation", objectif: long("VERSION DEUX") });
+    assert.match(notion.body(id).at(-1).text, /VERSION DEUX$/);
+
+    const before = notion.blockCalls.length;
+    await store.update("projets", id, { titre: "Formation", objectif: long("VERSION DEUX") });
+    assert.equal(notion.blockCalls.length, before);
+  });
+});
+
+describe("POST /run journal page", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("journals the complete formation livrable in the page body", async () => {
+    const livrable = validFormationLivrable();
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation" })],
+      formation: [formationAgentOutput(livrable)],
+    });
+
+    await h.post("/run", { demande_client: "Formation signalement" });
+
+    const [journal] = h.notion.writes(DATABASES.journal);
+    assert.ok(livrable.length > 1200);
+    assert.ok(journal.props["Résultat produit"].length <= 300);
+    const text = h.notion
+      .body(journal.page_id)
+      .map((b) => b.text)
+      .join("\n");
+    assert.ok(text.includes("Critères de réussite : faits datés, aucune qualification, orientation vers le bon acteur."));
+    assert.ok(text.includes("Supports à préparer : grille de recueil, fiche réflexe, modèle de compte-rendu."));
+  });
+});
@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+
+import { DECISION_DOMAINES, PROJET_STATUTS, buildOutputSchema } from "../lib/director.js";
+import { createNotionStore, loadNotionMapping } from "../lib/store/index.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES, SCHEMAS } from "./fixtures/notion-schemas.js";
+import { createFakeNotion } from "./helpers/fake-notion.js";
+import { startHarness } from "./helpers/harness.js";
+
+const mapping = loadNotionMapping();
+
+// Base projets avec « Priorité » renommée et un domaine ajouté dans Notion
+const renamed = {
+  ...SCHEMAS,
+  [DATABASES.projets]: (({ "Priorité": prio, ...rest }) => ({
+    ...rest,
+    "Niveau de priorité": prio,
+    Domaine: { type: "select", select: { options: [{ name: "Vente" }, { name: "Juridique" }] } },
+  }))(SCHEMAS[DATABASES.projets]),
+};
+
+describe("loadNotionMapping", () => {
+  it("maps every logical field of the default config", () => {
+    assert.deepEqual(mapping.projets.priorite, { propriete: "Priorité", type: "select" });
+    assert.equal(mapping.journal.resultats_agents.format, "json");
+    assert.equal(mapping.doctrine.version.defaut, "V1");
+  });
+
+  it("rejects unknown bases and types at load time", async () => {
+    const file = join(await mkdtemp(join(tmpdir(), "innovacse-mapping-")), "mapping.json");
+    await writeFile(file, JSON.stringify({ bases: { clients: {} } }));
+    assert.throws(() => loadNotionMapping(file), /unknown base "clients"/);
+
+    await writeFile(file, JSON.stringify({ bases: { projets: { statut: { propriete: "Statut", type: "status" } } } }));
+    assert.throws(() => loadNotionMapping(file), /projets\.statut: unknown type "status"/);
+
+    const corps = { propriete: "Statut", type: "select", corps: "Statut" };
+    await writeFile(file, JSON.stringify({ bases: { projets: { statut: corps } } }));
+    assert.throws(() => loadNotionMapping(file), /projets\.statut: corps must be a section title on a rich_text field/);
+
+    const optional = { propriete: "Statut", type: "select", optionnel: "oui" };
+    await writeFile(file, JSON.stringify({ bases: { projets: { statut: optional } } }));
+    assert.throws(() => loadNotionMapping(file), /projets\.statut: optionnel must be a boolean/);
+  });
+});
+
+describe("Notion store mapping", () => {
+  it("reads and writes a renamed column through the mapping", async () => {
+    const notion = createFakeNotion(renamed);
+    const priorite = { propriete: "Niveau de priorité", type: "select" };
+    const custom = { ...mapping, projets: { ...mapping.projets, priorite } };
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES, mapping: custom });
+
+    await store.create("projets", { titre: "Offre élus", statut: "Idée", priorite: "Haute", domaine: "Juridique" });
+
+    const [write] = notion.writes(DATABASES.projets);
+    assert.equal(write.props["Niveau de priorité"], "Haute");
+    assert.equal(write.props.Domaine, "Juridique");
+    const [row] = await store.list("projets");
+    assert.equal(row.priorite, "Haute");
+  });
+
+  it("round-trips journal fields, including structured agent results", async () => {
+    const notion = createFakeNotion(SCHEMAS);
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES });
+    const resultats_agents = [{ id: "formation", ok: true }];
+
+    await store.create("journal", {
+      titre: "Run",
+      agents: ["Directeur", "formation"],
+      resultat: "OK",
+      resultats_agents,
+    });
+
+    const [row] = await store.list("journal");
+    assert.deepEqual(row.agents, ["Directeur", "formation"]);
+    assert.deepEqual(row.resultats_agents, resultats_agents);
+    assert.equal(row.resultat, "OK");
+  });
+
+  it("exposes the live select options of mapped fields", async () => {
+    const notion = createFakeNotion(renamed);
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES });
+
+    const options = await store.selectOptions();
+
+    assert.deepEqual(options.projets.domaine, ["Vente", "Juridique"]);
+    assert.deepEqual(options.decisions.domaine, DECISION_DOMAINES);
+    assert.equal("priorite" in options.projets, false); // colonne renommée, absente du mapping par défaut
+  });
+});
+
+describe("buildOutputSchema", () => {
+  const projetItem = (schema) => schema.properties.ecritures_notion.properties.projets.items.properties;
+
+  it("uses live options and falls back to the code enums", () => {
+    const schema = buildOutputSchema({ projets: { domaine: ["Vente", "Juridique"], statut: [] } });
+    assert.deepEqual(projetItem(schema).domaine.enum, ["Vente", "Juridique"]);
+    assert.deepEqual(projetItem(schema).statut.enum, PROJET_STATUTS);
+  });
+});
+
+describe("POST /run with live Notion enums", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("offers a domain added in Notion to the director and writes it", async () => {
+    const projet = { titre: "Veille", objectif: "Suivi", statut: "Idée", priorite: "Haute", domaine: "Juridique" };
+    h = await startHarness(
+      { directeur: [directorOutput({ ecritures_notion: { doctrine: [], decisions: [], projets: [projet] } })] },
+      { schemas: renamed },
+    );
+
+    const { body } = await h.post("/run", { demande_client: "Veille" });
+
+    assert.ok(body.ok);
+    const [request] = h.openai.callsFor("directeur");
+    const projets = request.text.format.schema.properties.ecritures_notion.properties.projets.items.properties;
+    assert.deepEqual(projets.domaine.enum, ["Vente", "Juridique"]);
+    assert.equal(h.notion.writes(DATABASES.projets)[0].props.Domaine, "Juridique");
+  });
+});
@@ -0,0 +1,222 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { createJobStore } from "../lib/jobs.js";
+import { executePlan, mergeLivrables, normalizePlan } from "../lib/orchestration.js";
+import { directorOutput } from "./fixtures/director.js";
+import { startHarness } from "./helpers/harness.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const ok = (agent, livrable) => ({ ok: true, agent, data: { agent, livrable, points_a_valider: [] } });
+const payload = { demande_client: "D", contexte: "", contraintes: "", objectif: "" };
+
+describe("executePlan", () => {
+  it("runs independent steps in parallel within the concurrency limit", async () => {
+    let active = 0;
+    let peak = 0;
+    const plan = ["a", "b", "c"].map((id) => ({ id, agent: "contenu", depends_on: [] }));
+
+    const results = await executePlan(
+      plan,
+      async (step) => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await sleep(10);
+        active -= 1;
+        return ok(step.agent, step.id);
+      },
+      { concurrency: 2 },
+    );
+
+    assert.equal(peak, 2);
+    assert.deepEqual(
+      results.map((r) => r.id),
+      ["a", "b", "c"],
+    );
+  });
+
+  it("passes dependency results and waits for them", async () => {
+    const order = [];
+    const plan = [
+      { id: "offre", agent: "commercial", depends_on: ["formation", "post"] },
+      { id: "post", agent: "contenu", depends_on: ["formation"] },
+      { id: "formation", agent: "formation", depends_on: [] },
+    ];
+
+    const results = await executePlan(plan, async (step, inputs) => {
+      order.push(step.id);
+      return ok(step.agent, `${step.id}<${inputs.map((r) => r.data.livrable).join("+")}>`);
+    });
+
+    assert.deepEqual(order, ["formation", "post", "offre"]);
+    assert.equal(results[0].data.livrable, "offre<formation<>+post<formation<>>>");
+  });
+
+  it("skips dependents of a failed step and reports cycles", async () => {
+    const plan = [
+      { id: "a", agent: "formation", depends_on: [] },
+      { id: "b", agent: "contenu", depends_on: ["a"] },
+      { id: "c", agent: "commercial", depends_on: ["b"] },
+      { id: "x", agent: "contenu", depends_on: ["y"] },
+      { id: "y", agent: "contenu", depends_on: ["x"] },
+    ];
+
+    const results = await executePlan(plan, async (step) => ({ ok: false, agent: step.agent, error: "EMPTY_AGENT_OUTPUT" }));
+
+    assert.deepEqual(
+      results.map((r) => [r.id, r.error]),
+      [
+        ["a", "EMPTY_AGENT_OUTPUT"],
+        ["b", "DEPENDENCY_FAILED"],
+        ["c", "DEPENDENCY_FAILED"],
+        ["x", "DEPENDENCY_CYCLE"],
+        ["y", "DEPENDENCY_CYCLE"],
+      ],
+    );
+  });
+
+  it("times out a slow step without blocking the others", async () => {
+    const plan = [
+      { id: "lent", agent: "formation", depends_on: [] },
+      { id: "rapide", agent: "contenu", depends_on: [] },
+    ];
+
+    const results = await executePlan(
+      plan,
+      async (step) => {
+        await sleep(step.id === "lent" ? 200 : 1);
+        return ok(step.agent, step.id);
+      },
+      { timeoutMs: 50 },
+    );
+
+    assert.deepEqual(results[0], { id: "lent", ok: false, agent: "formation", error: "AGENT_TIMEOUT" });
+    assert.equal(results[1].ok, true);
+  });
+
+  it("aborts the signal of a timed-out step", async () => {
+    const signals = {};
+    await executePlan(
+      [
+        { id: "lent", agent: "formation", depends_on: [] },
+        { id: "rapide", agent: "contenu", depends_on: [] },
+      ],
+      async (step, inputs, { signal }) => {
+        signals[step.id] = signal;
+        await sleep(step.id === "lent" ? 200 : 1);
+        return ok(step.agent, step.id);
+      },
+      { timeoutMs: 50 },
+    );
+
+    assert.equal(signals.lent.aborted, true);
+    assert.equal(signals.rapide.aborted, false);
+  });
+});
+
+describe("normalizePlan", () => {
+  it("fills missing ids, dedupes them and drops unknown dependencies", () => {
+    const steps = normalizePlan([
+      { agent: "formation" },
+      { id: "x", agent: "contenu", depends_on: ["formation-1", "inconnu", "x"] },
+      { id: "x", agent: "commercial" },
+      { id: "vide" },
+    ]);
+    assert.deepEqual(
+      steps.map((s) => [s.id, s.depends_on]),
+      [
+        ["formation-1", []],
+        ["x", ["formation-1"]],
+        ["x-3", []],
+      ],
+    );
+  });
+});
+
+describe("mergeLivrables", () => {
+  const results = [ok("formation", "Programme"), { ok: false, agent: "contenu" }, ok("commercial", "Offre")];
+
+  it("sections: one heading per agent", () => {
+    assert.equal(mergeLivrables(results, "sections"), "## Formation\n\nProgramme\n\n## Commercial\n\nOffre");
+  });
+
+  it("premier / dernier", () => {
+    assert.equal(mergeLivrables(results, "premier"), "Programme");
+    assert.equal(mergeLivrables(results, "dernier"), "Offre");
+  });
+
+  it("a single livrable is returned as is", () => {
+    assert.equal(mergeLivrables([ok("formation", " Programme ")]), "Programme");
+    assert.equal(mergeLivrables([]), "");
+  });
+});
+
+describe("POST /run with a dependent plan", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("feeds the formation livrable to the contenu agent and merges both", async () => {
+    h = await startHarness({
+      directeur: [
+        directorOutput({
+          orchestration: {
+            mode: "sync",
+            fusion: "sections",
+            plan: [
+              { id: "formation", agent: "formation", depends_on: [], payload },
+              { id: "post", agent: "contenu", depends_on: ["formation"], payload },
+            ],
+          },
+        }),
+      ],
+      formation: [ok("formation", "Programme").data],
+      contenu: [ok("contenu", "Post LinkedIn").data],
+    });
+
+    const { body } = await h.post("/run", { demande_client: "Programme + post" });
+
+    const contenuPayload = JSON.parse(h.openai.callsFor("contenu")[0].input[1].content);
+    assert.deepEqual(contenuPayload.entrees, [{ etape: "formation", agent: "formation", livrable: "Programme" }]);
+    assert.deepEqual(
+      body.orchestration_results.map((r) => r.id),
+      ["formation", "post"],
+    );
+    assert.equal(body.data.livrable_final, "## Formation\n\nProgramme\n\n## Contenu\n\nPost LinkedIn");
+  });
+
+  it("cancels a timed-out agent call and drops its late result", async () => {
+    const plan = [{ id: "formation", agent: "formation", depends_on: [], payload }];
+    const jobs = createJobStore();
+    h = await startHarness(
+      {
+        directeur: [directorOutput({ orchestration: { mode: "sync", fusion: "sections", plan } })],
+        formation: [ok("formation", "Programme en retard").data],
+      },
+      { jobs, orchestration: { timeoutMs: 50 } },
+    );
+    const { create } = h.openai.client.responses;
+    let signal = null;
+    let late = null;
+    h.openai.client.responses.create = async (request, options) => {
+      if (!request.input[0].content.match(/agent spécialisé formation/i)) return create(request, options);
+      signal = options?.signal;
+      // Le faux client ignore l'annulation : la réponse arrive après la fin du run
+      late = sleep(150).then(() => create(request, options));
+      return late;
+    };
+
+    const { body } = await h.post("/run", { demande_client: "Programme" });
+    assert.equal(body.orchestration_results[0].error, "AGENT_TIMEOUT");
+    assert.equal(signal?.aborted, true);
+
+    await late;
+    await sleep(10);
+    const job = await jobs.get(body.job_id);
+    assert.equal(Object.hasOwn(job.steps, "agent:formation"), false);
+    assert.equal(job.events.filter((e) => e.event === "agent_end").length, 0);
+    assert.equal(h.openai.callsFor("formation").length, 1);
+  });
+});
@@ -0,0 +1,169 @@
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+
+import { createProposalStore } from "../lib/proposals.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES } from "./fixtures/notion-schemas.js";
+import { startHarness } from "./helpers/harness.js";
+
+const WRITES = {
+  doctrine: [{ titre: "Principe A", categorie: "Méthode", contenu: "Contenu A", actif: true, version: "V1" }],
+  decisions: [{ titre: "Décision A", statut: "Actée", domaine: "Vente", justification: "J", impact: "I" }],
+  projets: [{ titre: "Projet A", objectif: "Objectif A", statut: "Idée", priorite: "Haute", domaine: "Vente" }],
+};
+
+async function patch(h, path, body) {
+  const res = await fetch(h.url + path, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+describe("proposal queue", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("propose mode: stores pending writes instead of writing them", async () => {
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion: WRITES })] }, { writes: { mode: "propose" } });
+
+    const { body } = await h.post("/run", { demande_client: "Positionnement" });
+
+    assert.deepEqual(
+      body.propositions.map((p) => [p.kind, p.titre, p.status]),
+      [
+        ["doctrine", "Principe A", "pending"],
+        ["decisions", "Décision A", "pending"],
+        ["projets", "Projet A", "pending"],
+      ],
+    );
+    assert.ok(body.propositions.every((p) => p.id));
+    assert.deepEqual(h.notion.calls.map((c) => c.database_id), [DATABASES.journal]);
+
+    const { body: listed } = await h.get("/proposals?status=pending&kind=doctrine");
+    assert.equal(listed.proposals.length, 1);
+    assert.equal(listed.proposals[0].job_id, body.job_id);
+    assert.equal(listed.proposals[0].demande_client, "Positionnement");
+  });
+
+  it("a run can opt into propose mode, never out of it", async () => {
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion: WRITES })] });
+
+    const { body } = await h.post("/run", { demande_client: "Positionnement", ecritures: "propose" });
+
+    assert.equal(body.propositions.length, 3);
+    assert.equal(h.notion.writes(DATABASES.doctrine).length, 0);
+  });
+
+  it("edit then approve performs the write through the store mapping", async () => {
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion: WRITES })] }, { writes: { mode: "propose" } });
+    const { body } = await h.post("/run", { demande_client: "Positionnement" });
+    const doctrine = body.propositions.find((p) => p.kind === "doctrine");
+
+    const edited = await patch(h, `/proposals/${doctrine.id}`, { record: { contenu: "Contenu relu" } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.proposal.record.contenu, "Contenu relu");
+
+    const approved = await h.post(`/proposals/${doctrine.id}/approve`, {});
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.proposal.status, "approved");
+    assert.equal(approved.body.proposal.result.action, "create");
+
+    const [w] = h.notion.writes(DATABASES.doctrine);
+    const props = { Titre: "Principe A", Type: "Méthode", Contenu: "Contenu relu", Version: "V1", Actif: true };
+    assert.deepEqual(w.props, props);
+    assert.equal(approved.body.proposal.result.id, w.page_id);
+
+    assert.equal((await h.post(`/proposals/${doctrine.id}/approve`, {})).status, 409);
+    assert.equal((await patch(h, `/proposals/${doctrine.id}`, { record: { contenu: "x" } })).status, 409);
+  });
+
+  it("two concurrent approvals write once; a failed write puts the proposal back to pending", async () => {
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion: WRITES })] }, { writes: { mode: "propose" } });
+    const { body } = await h.post("/run", { demande_client: "Positionnement" });
+    const doctrine = body.propositions.find((p) => p.kind === "doctrine");
+
+    const create = h.store.create;
+    h.store.create = async () => {
+      throw new Error("Notion 502");
+    };
+    const failed = await h.post(`/proposals/${doctrine.id}/approve`, {});
+    assert.equal(failed.status, 500);
+    assert.equal((await h.get(`/proposals/${doctrine.id}`)).body.proposal.status, "pending");
+
+    // Écriture lente : la seconde approbation arrive pendant la première
+    h.store.create = async (...args) => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return create(...args);
+    };
+
+    const path = `/proposals/${doctrine.id}/approve`;
+    const results = await Promise.all([h.post(path, {}), h.post(path, {})]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+    assert.equal(h.notion.writes(DATABASES.doctrine).length, 1);
+  });
+
+  it("reject keeps the reason and writes nothing", async () => {
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion: WRITES })] }, { writes: { mode: "propose" } });
+    const { body } = await h.post("/run", { demande_client: "Positionnement" });
+    const decision = body.propositions.find((p) => p.kind === "decisions");
+
+    const rejected = await h.post(`/proposals/${decision.id}/reject`, { motif: "Prématuré" });
+
+    assert.equal(rejected.body.proposal.status, "rejected");
+    assert.equal(rejected.body.proposal.motif, "Prématuré");
+    assert.equal(h.notion.writes(DATABASES.decisions).length, 0);
+    assert.equal((await h.get("/proposals?status=pending")).body.proposals.length, 2);
+  });
+
+  it("formation projet proposal upserts on approval", async () => {
+    h = await startHarness(
+      {
+        directeur: [directorOutput({ domaine: "Formation", nouveau_projet: true })],
+        formation: [{ agent: "formation", livrable: "Programme", points_a_valider: [] }],
+      },
+      { writes: { mode: "propose" } },
+    );
+    const title = "Programme formation — Formation signalement";
+    const { id } = await h.store.create("projets", { titre: title, statut: "Idée" });
+
+    const { body } = await h.post("/run", { demande_client: "Formation signalement" });
+    const approved = await h.post(`/proposals/${body.propositions[0].id}/approve`, {});
+
+    assert.deepEqual(approved.body.proposal.result, { action: "update", id });
+  });
+
+  it("rejects unknown fields, invalid values and unknown ids", async () => {
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion: WRITES })] }, { writes: { mode: "propose" } });
+    const { body } = await h.post("/run", { demande_client: "Positionnement" });
+
+    const bad = await patch(h, `/proposals/${body.propositions[0].id}`, { record: { page_id: "x" } });
+    assert.deepEqual(bad, { status: 400, body: { ok: false, error: "UNKNOWN_FIELDS: page_id" } });
+    const invalid = await patch(h, `/proposals/${body.propositions[0].id}`, {
+      record: { categorie: "Inconnue", actif: "oui", contenu: "Relu" },
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, "INVALID_FIELDS");
+    assert.match(invalid.body.erreurs[0], /^categorie: valeur hors de Positionnement \| /);
+    assert.deepEqual(invalid.body.erreurs.slice(1), ["actif: boolean attendu"]);
+    assert.equal((await h.get(`/proposals/${body.propositions[0].id}`)).body.proposal.record.contenu, "Contenu A");
+    assert.equal((await h.get("/proposals/nope")).status, 404);
+    assert.equal((await h.post("/proposals/nope/approve", {})).status, 404);
+  });
+
+  it("persists proposals as JSON files", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "innovacse-proposals-"));
+    const p = await createProposalStore({ dir }).create({ kind: "doctrine", record: { titre: "A" } });
+
+    const reopened = createProposalStore({ dir });
+    assert.equal((await reopened.get(p.id)).record.titre, "A");
+    assert.equal((await reopened.list({ status: "pending" })).length, 1);
+  });
+});
@@ -0,0 +1,161 @@
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+
+import { createBm25Index, createRetriever, tokenize } from "../lib/retrieval.js";
+import { createLocalStore, createNotionStore } from "../lib/store/index.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES, SCHEMAS } from "./fixtures/notion-schemas.js";
+import { createFakeNotion } from "./helpers/fake-notion.js";
+import { startHarness } from "./helpers/harness.js";
+
+async function localStore() {
+  return createLocalStore({ file: join(await mkdtemp(join(tmpdir(), "innovacse-retrieval-")), "memory.json") });
+}
+
+describe("BM25 index", () => {
+  it("normalises accents and drops stop words", () => {
+    assert.deepEqual(tokenize("Le Référent harcèlement du CSE"), ["referent", "harcelement", "cse"]);
+  });
+
+  it("ranks the document sharing the rarest terms first", () => {
+    const index = createBm25Index([
+      "formation signalement harcèlement directeurs",
+      "offre commerciale formation CSE",
+      "post LinkedIn sur la méthode",
+    ]);
+    const [a, b, c] = index.score("formation harcèlement");
+    assert.ok(a > b && b > 0);
+    assert.equal(c, 0);
+  });
+});
+
+describe("memory retriever", () => {
+  it("always includes active doctrine, even behind many newer pages", async () => {
+    const store = await localStore();
+    await store.create("doctrine", {
+      titre: "Ligne rouge : aucune sanction",
+      categorie: "Ligne rouge",
+      contenu: "Jamais de conseil disciplinaire",
+      actif: true,
+    });
+    for (let i = 0; i < 12; i++) {
+      await store.create("doctrine", { titre: `Note ${i}`, contenu: "Positionnement marketing", actif: false });
+    }
+
+    const { memory, used } = await createRetriever({ store }).retrieve("Offre commerciale");
+
+    assert.equal(memory.doctrine[0].titre, "Ligne rouge : aucune sanction");
+    assert.deepEqual(used[0], {
+      kind: "doctrine",
+      id: used[0].id,
+      titre: "Ligne rouge : aucune sanction",
+      raison: "actif",
+      score: 0,
+      tokens: used[0].tokens,
+    });
+  });
+
+  it("selects the entries relevant to the request within the token budget", async () => {
+    const store = await localStore();
+    await store.create("projets", { titre: "Formation signalement harcèlement", objectif: "Programme 7h" });
+    await store.create("projets", { titre: "Refonte du site", objectif: "Pages services" });
+    await store.create("decisions", { titre: "Tarif formation signalement", justification: "Aligné marché" });
+    await store.create("decisions", { titre: "Recrutement", justification: "Pas avant 2027" });
+
+    const retriever = createRetriever({ store, budgetTokens: 1000 });
+    const { memory, used, tokens, budget } = await retriever.retrieve("Construire la formation signalement");
+
+    assert.deepEqual(memory.projets.map((p) => p.titre), ["Formation signalement harcèlement"]);
+    assert.deepEqual(memory.decisions.map((d) => d.titre), ["Tarif formation signalement"]);
+    assert.ok(used.every((u) => u.raison === "pertinence" && u.score > 0));
+    assert.equal(tokens, used.reduce((n, u) => n + u.tokens, 0));
+    assert.equal(budget, 1000);
+
+    const tight = createRetriever({ store, budgetTokens: used[0].tokens });
+    assert.equal((await tight.retrieve("Construire la formation signalement")).used.length, 1);
+  });
+
+  it("falls back to the most recent entries when nothing matches", async () => {
+    const store = await localStore();
+    await store.create("projets", { titre: "Ancien" });
+    await new Promise((r) => setTimeout(r, 5));
+    await store.create("projets", { titre: "Récent" });
+
+    const { used } = await createRetriever({ store, budgetTokens: 8 }).retrieve("");
+
+    assert.deepEqual(used.map((u) => [u.titre, u.raison]), [["Récent", "recent"]]);
+  });
+
+  it("blends embedding similarity with BM25 and embeds each page once", async () => {
+    const store = await localStore();
+    await store.create("projets", { titre: "Accompagnement des élus", objectif: "Méthode" });
+    await store.create("projets", { titre: "Comptabilité", objectif: "Clôture" });
+
+    const calls = [];
+    const embed = async (texts) => {
+      calls.push(texts.length);
+      return texts.map((t) => (/élus|CSE/.test(t) ? [1, 0] : [0, 1]));
+    };
+    const retriever = createRetriever({ store, embed });
+
+    const { used } = await retriever.retrieve("Soutenir le CSE");
+    await retriever.retrieve("Soutenir le CSE");
+
+    assert.deepEqual(used.map((u) => u.titre), ["Accompagnement des élus"]);
+    assert.deepEqual(calls, [3, 1]);
+  });
+
+  it("rebuilds its index after invalidate()", async () => {
+    const store = await localStore();
+    const retriever = createRetriever({ store });
+    assert.equal((await retriever.retrieve("signalement")).used.length, 0);
+
+    await store.create("projets", { titre: "Signalement" });
+    assert.equal((await retriever.retrieve("signalement")).used.length, 0);
+
+    // Le journal n'est pas indexé : une écriture du journal garde l'index
+    retriever.invalidate("journal");
+    assert.equal((await retriever.retrieve("signalement")).used.length, 0);
+
+    retriever.invalidate("projets");
+    assert.equal((await retriever.retrieve("signalement")).used.length, 1);
+  });
+
+  it("indexes every Notion page, past the first result page", async () => {
+    const notion = createFakeNotion(SCHEMAS);
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES });
+    for (let i = 0; i < 105; i++) await store.create("projets", { titre: `Projet ${i}` });
+
+    assert.equal((await store.list("projets", { limit: Infinity })).length, 105);
+    assert.equal((await store.list("projets")).length, 10);
+  });
+});
+
+describe("POST /run memory report", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("reports the entries used, and sees pages written by the previous run", async () => {
+    const writes = {
+      doctrine: [{ titre: "Méthode signalement", categorie: "Méthode", contenu: "Recueil factuel", version: "V1", actif: false }],
+      decisions: [],
+      projets: [],
+    };
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion: writes }), directorOutput()] });
+
+    await h.post("/run", { demande_client: "Positionnement" });
+    const { body } = await h.post("/run", { demande_client: "Méthode de signalement" });
+
+    assert.deepEqual(
+      body.memoire.used.map((u) => [u.kind, u.titre, u.raison]),
+      [["doctrine", "Méthode signalement", "pertinence"]],
+    );
+    assert.match(h.openai.callsFor("directeur")[1].input[0].content, /"titre":"Méthode signalement"/);
+  });
+});
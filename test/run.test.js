@@ -0,0 +1,201 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { directorOutput, formationAgentOutput } from "./fixtures/director.js";
+import { DATABASES } from "./fixtures/notion-schemas.js";
+import { startHarness } from "./helpers/harness.js";
+
+const LONG_WRITES = {
+  doctrine: [{ titre: "Principe A", categorie: "Méthode", contenu: "Contenu A", actif: true, version: "V1" }],
+  decisions: [{ titre: "Décision A", statut: "Actée", domaine: "Vente", justification: "Parce que", impact: "Fort" }],
+  projets: [{ titre: "Projet A", objectif: "Objectif A", statut: "Idée", priorite: "Haute", domaine: "Vente" }],
+};
+
+describe("POST /run", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("TEST TECH: sanitizes writes and orchestration, journals only", async () => {
+    h = await startHarness({
+      directeur: [
+        directorOutput({
+          ecritures_notion: LONG_WRITES,
+          orchestration: {
+            mode: "sync",
+            plan: [{ agent: "commercial", payload: { demande_client: "x", contexte: "", contraintes: "", objectif: "" } }],
+          },
+        }),
+      ],
+    });
+
+    const { status, body } = await h.post("/run", { demande_client: "TEST TECH formation directeur" });
+
+    assert.equal(status, 200);
+    assert.equal(body.mode_test, true);
+    assert.deepEqual(body.data.ecritures_notion, { doctrine: [], decisions: [], projets: [] });
+    assert.deepEqual(body.data.orchestration, { mode: "none", plan: [], fusion: "sections" });
+    assert.deepEqual(body.orchestration_results, []);
+    assert.equal(h.openai.callsFor("commercial").length, 0);
+    assert.equal(h.openai.callsFor("formation").length, 0);
+
+    assert.deepEqual(
+      h.notion.calls.map((c) => [c.method, c.database_id]),
+      [["create", DATABASES.journal]],
+    );
+    const [journal] = h.notion.writes(DATABASES.journal);
+    assert.equal(journal.props.Nom, "TEST TECH formation directeur");
+    assert.deepEqual(journal.props["Agents mobilisés"], ["Directeur"]);
+  });
+
+  it("mode_test flag behaves like TEST TECH", async () => {
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion: LONG_WRITES })] });
+
+    const { body } = await h.post("/run", { demande_client: "Écrire un post", mode_test: true });
+
+    assert.equal(body.mode_test, true);
+    assert.equal(h.notion.calls.length, 1);
+    assert.equal(h.notion.calls[0].database_id, DATABASES.journal);
+  });
+
+  it("formation request: forces the formation agent and absorbs its livrable (Mode B)", async () => {
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation", nouveau_projet: true, priorite: "Haute" })],
+      formation: [formationAgentOutput("Programme complet 08:30–17:00")],
+    });
+
+    const { body } = await h.post("/run", { demande_client: "Construire une journée pour directeurs" });
+
+    assert.equal(body.data.orchestration.mode, "sync");
+    assert.equal(body.data.orchestration.plan[0].agent, "formation");
+    assert.equal(body.data.livrable_final, "Programme complet 08:30–17:00");
+    assert.equal(h.openai.callsFor("formation").length, 1);
+
+    const payload = JSON.parse(h.openai.callsFor("formation")[0].input[1].content);
+    assert.deepEqual(Object.keys(payload), ["demande_client", "contexte", "contraintes", "objectif", "parametres"]);
+    assert.equal(payload.parametres.duree_heures, 7);
+
+    const [journal] = h.notion.writes(DATABASES.journal);
+    assert.equal(journal.props["Résultat produit"], "Programme complet 08:30–17:00");
+    assert.deepEqual(journal.props["Agents mobilisés"], ["Directeur", "formation"]);
+
+    assert.deepEqual(h.notion.writes(DATABASES.projets), [
+      {
+        method: "create",
+        page_id: "page-2",
+        props: {
+          Projet: "Programme formation — Construire une journée pour directeurs",
+          Objectif: "Programme complet 08:30–17:00",
+          Statut: "En cours",
+          "Priorité": "Haute",
+          Domaine: "Formation",
+        },
+      },
+    ]);
+  });
+
+  it("formation projet is updated, not duplicated, on a second identical run", async () => {
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation", nouveau_projet: true })],
+      formation: [formationAgentOutput("V1 du programme"), formationAgentOutput("V2 du programme")],
+    });
+
+    await h.post("/run", { demande_client: "Programme signalement" });
+    await h.post("/run", { demande_client: "Programme signalement" });
+
+    const writes = h.notion.writes(DATABASES.projets);
+    assert.deepEqual(
+      writes.map((w) => w.method),
+      ["create", "update"],
+    );
+    assert.equal(writes[1].page_id, writes[0].page_id);
+    assert.equal(writes[1].props.Objectif, "V2 du programme");
+  });
+
+  it("specialist returning non-JSON: raw text becomes the livrable", async () => {
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation" })],
+      formation: ["Voici le programme en texte libre"],
+    });
+
+    const { body } = await h.post("/run", { demande_client: "Formation CSE" });
+
+    const [result] = body.orchestration_results;
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.data, {
+      agent: "formation",
+      livrable: "Voici le programme en texte libre",
+      points_a_valider: [],
+    });
+    assert.equal(result.validation.ok, false);
+    assert.deepEqual(
+      result.validation.violations.map((v) => v.regle),
+      ["json"],
+    );
+    assert.equal(body.data.livrable_final, "Voici le programme en texte libre");
+  });
+
+  it("writes doctrine, decisions and projets, dropping unknown select values", async () => {
+    h = await startHarness({
+      directeur: [
+        directorOutput({
+          ecritures_notion: {
+            doctrine: [{ titre: "Principe B", categorie: "Inconnue", contenu: "C", actif: false, version: "V2" }],
+            decisions: LONG_WRITES.decisions,
+            projets: [{ ...LONG_WRITES.projets[0], domaine: "Stratégie" }],
+          },
+        }),
+      ],
+    });
+
+    const { body } = await h.post("/run", { demande_client: "Positionnement commercial" });
+    assert.equal(body.ok, true);
+
+    assert.deepEqual(h.notion.writes(DATABASES.doctrine)[0].props, {
+      Titre: "Principe B",
+      Contenu: "C",
+      Version: "V2",
+      Actif: false,
+    });
+
+    const decision = h.notion.writes(DATABASES.decisions)[0].props;
+    assert.equal(decision["Décision"], "Décision A");
+    assert.equal(decision.Statut, "Actée");
+    assert.equal(decision.Domaine, "Vente");
+    assert.match(decision.Date, /^\d{4}-\d{2}-\d{2}T/);
+
+    // "Stratégie" n'existe pas côté Projets : la propriété est omise
+    assert.deepEqual(h.notion.writes(DATABASES.projets)[0].props, {
+      Projet: "Projet A",
+      Objectif: "Objectif A",
+      Statut: "Idée",
+      "Priorité": "Haute",
+    });
+  });
+
+  it("feeds stored memory into the director prompt", async () => {
+    h = await startHarness({ directeur: [directorOutput({ ecritures_notion: LONG_WRITES }), directorOutput()] });
+
+    await h.post("/run", { demande_client: "Positionnement" });
+    await h.post("/run", { demande_client: "Suite" });
+
+    const system = h.openai.callsFor("directeur")[1].input[0].content;
+    assert.match(system, /"titre":"Principe A"/);
+    assert.match(system, /"titre":"Décision A"/);
+    assert.match(system, /"titre":"Projet A"/);
+  });
+
+  it("returns 500 with the error message when the director output is empty", async () => {
+    h = await startHarness({ directeur: [""] });
+
+    const { status, body } = await h.post("/run", { demande_client: "Vide" });
+
+    assert.equal(status, 500);
+    assert.equal(body.ok, false);
+    assert.equal(body.error, "Empty model output_text");
+    assert.ok(body.job_id);
+    assert.equal(h.notion.calls.length, 0);
+  });
+});
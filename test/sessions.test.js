@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { createJobStore } from "../lib/jobs.js";
+import { createSessionStore } from "../lib/sessions.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES } from "./fixtures/notion-schemas.js";
+import { startHarness } from "./helpers/harness.js";
+
+const questions = ["Pour quel public ?", "Quel budget ?"];
+const asks = (qs = questions) => directorOutput({ clarification: { necessaire: true, questions: qs } });
+const answers = (livrable) => directorOutput({ livrable_final: livrable });
+
+describe("conversation sessions", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("asks clarification questions, then resumes with the answer and journals once", async () => {
+    h = await startHarness({ directeur: [asks(), answers("Offre élus CSE, 2 000 €")] });
+
+    const first = await h.post("/sessions", { demande_client: "Préparer une offre", contexte: "Client PME" });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.session.status, "clarification");
+    assert.deepEqual(first.body.clarification, { questions });
+    assert.deepEqual(first.body.session.questions, questions);
+    assert.equal(h.notion.writes(DATABASES.journal).length, 0);
+
+    const id = first.body.session.id;
+    const second = await h.post(`/sessions/${id}/messages`, { message: "Élus du CSE, 2 000 € max" });
+    assert.equal(second.body.session.status, "done");
+    assert.equal(second.body.data.livrable_final, "Offre élus CSE, 2 000 €");
+    assert.deepEqual(
+      second.body.session.messages.map((m) => m.role),
+      ["client", "directeur", "client", "directeur"],
+    );
+
+    const [, resumed] = h.openai.callsFor("directeur");
+    assert.match(resumed.input[0].content, /Tours de questions restants : 2/);
+    assert.match(resumed.input[1].content, /Client PME\n\nPRÉCISIONS DU CLIENT/);
+    assert.match(resumed.input[1].content, /Questions posées : Pour quel public \? \/ Quel budget \?/);
+    assert.match(resumed.input[1].content, /Réponse du client : Élus du CSE, 2 000 € max/);
+    assert.match(resumed.input[1].content, /^DEMANDE CLIENT:\nPréparer une offre\n/);
+
+    const journal = h.notion.writes(DATABASES.journal);
+    assert.equal(journal.length, 1);
+    assert.equal(journal[0].props.Nom, "Préparer une offre");
+
+    const again = await h.post(`/sessions/${id}/messages`, { message: "Et pour la CSSCT ?" });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "SESSION_DONE");
+
+    const { body } = await h.get(`/sessions/${id}`);
+    assert.equal(body.session.job_ids.length, 2);
+  });
+
+  it("stops asking once the clarification budget is spent", async () => {
+    h = await startHarness(
+      { directeur: [asks(), asks(["Encore une question ?"])] },
+      { conversation: { maxClarifications: 1 } },
+    );
+
+    const first = await h.post("/sessions", { demande_client: "Préparer une offre" });
+    const second = await h.post(`/sessions/${first.body.session.id}/messages`, { message: "Pour les élus" });
+
+    assert.equal(second.body.session.status, "done");
+    assert.equal(second.body.clarification, undefined);
+    assert.match(h.openai.callsFor("directeur")[1].input[0].content, /plus de question possible/);
+    assert.equal(h.notion.writes(DATABASES.journal).length, 1);
+  });
+
+  it("keeps one-shot /run without clarification", async () => {
+    h = await startHarness({ directeur: [asks()] });
+
+    const { body } = await h.post("/run", { demande_client: "Préparer une offre" });
+
+    assert.equal(body.clarification, undefined);
+    assert.match(h.openai.callsFor("directeur")[0].input[0].content, /Requête unique, sans échange possible/);
+    assert.equal(h.notion.writes(DATABASES.journal).length, 1);
+  });
+
+  it("recovers a session left running by a restart from its turn's job", async () => {
+    const jobs = createJobStore();
+    const sessions = createSessionStore();
+    h = await startHarness({ directeur: [asks(), answers("Offre élus")] }, { jobs, sessions });
+
+    // Arrêt pendant le tour : job terminé (repris au démarrage) mais session jamais mise à jour
+    const finished = await sessions.create({ demande_client: "Offre" });
+    const job = await jobs.create({ demande_client: "Offre" });
+    Object.assign(job, { status: "done", result: { clarification: { questions } } });
+    await jobs.save(job);
+    finished.job_id = job.id;
+    await sessions.save(finished);
+
+    const recovered = (await h.get(`/sessions/${finished.id}`)).body.session;
+    assert.equal(recovered.status, "clarification");
+    assert.deepEqual(recovered.questions, questions);
+    assert.deepEqual(recovered.job_ids, [job.id]);
+
+    // Arrêt avant la création du job : le tour échoue et le client peut relancer
+    const cut = await sessions.create({ demande_client: "Offre" });
+    assert.equal((await h.get("/sessions?status=failed")).body.sessions[0].id, cut.id);
+    const retry = await h.post(`/sessions/${cut.id}/messages`, { message: "Pour les élus" });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.session.status, "clarification");
+    assert.equal(retry.body.session.job_id, null);
+  });
+
+  it("rejects unknown sessions and empty messages", async () => {
+    h = await startHarness({ directeur: [asks()] });
+
+    assert.equal((await h.get("/sessions/inconnue")).body.error, "SESSION_NOT_FOUND");
+    const { body } = await h.post("/sessions", { demande_client: "Préparer une offre" });
+    const empty = await h.post(`/sessions/${body.session.id}/messages`, { message: " " });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, "EMPTY_MESSAGE");
+    assert.deepEqual((await h.get("/sessions?status=clarification")).body.sessions.map((s) => s.id), [body.session.id]);
+  });
+});
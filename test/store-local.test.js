@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { describe, it } from "node:test";
+
+import { createLocalStore } from "../lib/store/index.js";
+
+describe("local store", () => {
+  it("creates, lists, finds and updates records in a JSON file", async () => {
+    const file = join(await mkdtemp(join(tmpdir(), "innovacse-")), "memory.json");
+    const store = createLocalStore({ file });
+
+    const { id } = await store.create("projets", { titre: "Projet A", statut: "Idée" });
+    await store.create("projets", { titre: "Projet B", statut: "Idée" });
+    await store.update("projets", id, { statut: "En cours" });
+
+    const found = await store.findByTitle("projets", "Projet A");
+    assert.equal(found.statut, "En cours");
+    assert.equal((await store.list("projets", { limit: 1 }))[0].titre, "Projet A");
+
+    const onDisk = JSON.parse(await readFile(file, "utf8"));
+    assert.equal(onDisk.projets.length, 2);
+    assert.deepEqual(onDisk.journal, []);
+
+    // Un second store relit le même fichier
+    const reopened = createLocalStore({ file });
+    assert.equal((await reopened.list("projets")).length, 2);
+  });
+
+  it("rejects unknown kinds", async () => {
+    const store = createLocalStore({ file: join(tmpdir(), "innovacse-unused.json") });
+    await assert.rejects(store.create("inconnu", { titre: "x" }), /Unknown memory kind/);
+  });
+});
@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { directorOutput, formationAgentOutput } from "./fixtures/director.js";
+import { startHarness } from "./helpers/harness.js";
+
+describe("POST /run/stream", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("emits one event per phase, then done", async () => {
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation", nouveau_projet: true })],
+      formation: [formationAgentOutput("Programme")],
+    });
+
+    const events = await h.stream("/run/stream", { demande_client: "Formation signalement" });
+
+    assert.deepEqual(
+      events.map((e) => e.event),
+      ["job", "memory", "director", "agent_start", "agent_end", "compliance", "write", "write", "done"],
+    );
+    assert.deepEqual(events[1].data, { doctrine: 0, projets: 0, decisions: 0, used: [], tokens: 0, budget: 3000 });
+    assert.equal(events[2].data.orchestration.plan[0].agent, "formation");
+    assert.equal(events[4].data.id, "formation");
+    assert.equal(events[4].data.ok, true);
+    assert.equal(events[4].data.validation.tentatives, 1);
+    assert.deepEqual(
+      events.filter((e) => e.event === "write").map((e) => [e.data.kind, e.data.action]),
+      [
+        ["journal", "create"],
+        ["projets", "create"],
+      ],
+    );
+
+    const done = events.at(-1).data;
+    assert.equal(done.ok, true);
+    assert.equal(done.job_id, events[0].data.id);
+    assert.equal(done.data.livrable_final, "Programme");
+  });
+
+  it("streams agent tokens when stream_tokens is set", async () => {
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation" })],
+      formation: [formationAgentOutput("Programme")],
+    });
+
+    const events = await h.stream("/run/stream", { demande_client: "Formation", stream_tokens: true });
+    const deltas = events.filter((e) => e.event === "agent_delta");
+
+    assert.equal(deltas.length, 2);
+    assert.deepEqual(JSON.parse(deltas.map((e) => e.data.delta).join("")), formationAgentOutput("Programme"));
+    assert.equal(events.at(-1).data.data.livrable_final, "Programme");
+  });
+
+  it("ends with an error event when the run fails", async () => {
+    h = await startHarness({ directeur: [""] });
+
+    const events = await h.stream("/run/stream", { demande_client: "Vide" });
+
+    assert.deepEqual(
+      events.map((e) => e.event),
+      ["job", "memory", "error"],
+    );
+    assert.equal(events[2].data.error, "Empty model output_text");
+  });
+});
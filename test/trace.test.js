@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { createTracer, estimateCost, loadPricing } from "../lib/trace.js";
+import { directorOutput, formationAgentOutput, validFormationLivrable } from "./fixtures/director.js";
+import { startHarness } from "./helpers/harness.js";
+
+const pricing = loadPricing();
+// Faux client OpenAI : 100 tokens en entrée, 50 en sortie par appel ; gpt-4.1-mini = 0,40 $ / 1,60 $ par million
+const CALL_COST = (100 * 0.4 + 50 * 1.6) / 1e6;
+
+describe("estimateCost", () => {
+  it("prices dated snapshots, cached input and unknown models", () => {
+    const usage = { input_tokens: 1000, output_tokens: 500, cached_tokens: 400 };
+    assert.equal(estimateCost(pricing, "gpt-4.1-2025-04-14", usage), (600 * 2 + 400 * 0.5 + 500 * 8) / 1e6);
+    assert.equal(estimateCost(pricing, "gpt-4.1-mini", { ...usage, cached_tokens: 0 }), (1000 * 0.4 + 500 * 1.6) / 1e6);
+    assert.equal(estimateCost(pricing, "modele-inconnu", usage), null);
+    assert.equal(estimateCost(pricing, "gpt-4.1", null), null);
+  });
+});
+
+describe("run traces", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("records a span per pipeline step with model calls, tokens and cost", async () => {
+    h = await startHarness({
+      directeur: [directorOutput({ domaine: "Formation" })],
+      formation: [formationAgentOutput(validFormationLivrable())],
+    });
+
+    const run = await h.post("/run", { demande_client: "Formation signalement" });
+    const { body } = await h.get(`/traces/${run.body.job_id}`);
+    const { trace } = body;
+
+    assert.equal(trace.status, "done");
+    const names = trace.spans.map((s) => s.nom);
+    assert.deepEqual(names.slice(0, 2), ["memory", "director"]);
+    assert.ok(names.some((n) => n.startsWith("agent:")));
+    assert.ok(names.includes("write:journal"));
+    assert.ok(trace.spans.every((s) => s.ok && s.duration_ms >= 0));
+
+    const [director] = trace.spans.find((s) => s.nom === "director").appels;
+    assert.equal(director.role, "directeur");
+    assert.equal(director.input_tokens, 100);
+    assert.equal(director.cout, CALL_COST);
+    assert.match(director.system, /DIRECTEUR/i);
+    assert.match(director.user, /Formation signalement/);
+
+    const agent = trace.spans.find((s) => s.type === "agent");
+    assert.deepEqual(agent.appels.map((a) => a.role), ["formation"]);
+    assert.equal(trace.totaux.appels, 2);
+    assert.equal(trace.totaux.cout, 2 * CALL_COST);
+
+    const list = await h.get("/traces");
+    assert.equal(list.body.traces[0].id, run.body.job_id);
+    assert.equal(list.body.traces[0].spans, trace.spans.length);
+  });
+
+  it("keeps the failing step, its model output and the error", async () => {
+    h = await startHarness({ directeur: ["pas du JSON"] });
+
+    const run = await h.post("/run", { demande_client: "Note" });
+    assert.equal(run.status, 500);
+
+    const { trace } = (await h.get(`/traces/${run.body.job_id}`)).body;
+    assert.equal(trace.status, "failed");
+    const director = trace.spans.find((s) => s.nom === "director");
+    assert.equal(director.ok, false);
+    assert.match(director.error, /JSON/);
+    assert.equal(director.appels[0].output, "pas du JSON");
+    assert.equal(trace.error, director.error);
+  });
+
+  it("totals costs per day and per agent, direct agent calls included", async () => {
+    h = await startHarness({
+      directeur: [directorOutput(), directorOutput()],
+      formation: [formationAgentOutput()],
+    });
+
+    await h.post("/run", { demande_client: "Note 1" });
+    await h.post("/run", { demande_client: "Note 2" });
+    const direct = await h.post("/agents/formation", { demande_client: "Programme" });
+    assert.equal((await h.get(`/traces/${direct.body.trace_id}`)).body.trace.type, "agent");
+
+    const { body } = await h.get("/traces/couts");
+    const today = new Date().toISOString().slice(0, 10);
+    assert.equal(body.devise, "USD");
+    assert.equal(body.par_agent.directeur.appels, 2);
+    assert.equal(body.par_agent.formation.appels, 1);
+    assert.equal(body.par_jour[today].appels, 3);
+    assert.equal(body.total.cout, Math.round(3 * CALL_COST * 1e6) / 1e6);
+    assert.equal((await h.get("/traces/couts?from=2000-01-01&to=2000-12-31")).body.total.appels, 0);
+  });
+
+  it("can leave prompts and outputs out of the traces", async () => {
+    h = await startHarness({ directeur: [directorOutput()] }, { tracer: createTracer({ prompts: false }) });
+
+    const run = await h.post("/run", { demande_client: "Note" });
+    const { trace } = (await h.get(`/traces/${run.body.job_id}`)).body;
+    const [call] = trace.spans.find((s) => s.nom === "director").appels;
+
+    assert.equal(call.input_tokens, 100);
+    assert.equal("system" in call || "output" in call, false);
+  });
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+
+import { PROJET_STATUTS } from "../lib/director.js";
+import { createLocalStore, createNotionStore } from "../lib/store/index.js";
+import { applyWrite, loadUpsertPolicy, mergeRecord, titleMatcher } from "../lib/upsert.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES, SCHEMAS } from "./fixtures/notion-schemas.js";
+import { createFakeNotion } from "./helpers/fake-notion.js";
+import { startHarness } from "./helpers/harness.js";
+
+const policy = loadUpsertPolicy();
+
+async function tmp(name) {
+  return join(await mkdtemp(join(tmpdir(), "innovacse-upsert-")), name);
+}
+
+describe("upsert policy", () => {
+  it("loads the default policy", () => {
+    assert.equal(policy.projets.strategie, "upsert");
+    assert.equal(policy.projets.correspondance, "normalise");
+    assert.deepEqual(policy.projets.fusion.domaine, { regle: "conserver" });
+    assert.equal(policy.doctrine.strategie, "supersede");
+  });
+
+  it("rejects unknown strategies and rules at load time", async () => {
+    const file = await tmp("upsert.json");
+    await writeFile(file, JSON.stringify({ bases: { projets: { strategie: "merge" } } }));
+    assert.throws(() => loadUpsertPolicy(file), /unknown strategie "merge"/);
+
+    await writeFile(file, JSON.stringify({ bases: { projets: { fusion: { statut: "max" } } } }));
+    assert.throws(() => loadUpsertPolicy(file), /"max" needs an ordre/);
+  });
+
+  it("matches titles exactly, normalised or fuzzily", () => {
+    assert.equal(titleMatcher({ correspondance: "exact" })("Projet A", "projet a"), false);
+    assert.equal(titleMatcher({ correspondance: "normalise" })("Projet  Élus", "projet elus"), true);
+    const fuzzy = titleMatcher({ correspondance: "floue", seuil: 0.6 });
+    assert.equal(fuzzy("Refonte du site web", "Refonte site web InnovaCSE"), true);
+    assert.equal(fuzzy("Refonte du site web", "Programme formation"), false);
+  });
+});
+
+describe("mergeRecord", () => {
+  const { fusion } = policy.projets;
+
+  it("keeps the higher priority and only moves statut forward", () => {
+    const existing = { priorite: "Haute", statut: "Terminé", domaine: "Vente", objectif: "Ancien" };
+    const incoming = { priorite: "Basse", statut: "En cours", domaine: "EIRIA", objectif: "" };
+    assert.deepEqual(mergeRecord(existing, incoming, fusion), existing);
+
+    const advanced = mergeRecord({ priorite: "Basse", statut: "Idée" }, { priorite: "Haute", statut: "En cours" }, fusion);
+    assert.deepEqual(advanced, { priorite: "Haute", statut: "En cours" });
+  });
+
+  it("orders every projet statut, En pause between En cours and Terminé", () => {
+    assert.deepEqual(fusion.statut.ordre, PROJET_STATUTS);
+    assert.equal(mergeRecord({ statut: "En cours" }, { statut: "En pause" }, fusion).statut, "En pause");
+    assert.equal(mergeRecord({ statut: "Terminé" }, { statut: "En pause" }, fusion).statut, "Terminé");
+  });
+
+  it("accepts values outside the order as is", () => {
+    assert.equal(mergeRecord({ statut: "En cours" }, { statut: "Abandonné" }, fusion).statut, "Abandonné");
+  });
+});
+
+describe("applyWrite", () => {
+  it("updates the matching projet instead of creating a duplicate", async () => {
+    const store = createLocalStore({ file: await tmp("memory.json") });
+    const first = await applyWrite(store, "projets", { titre: "Refonte du site", statut: "En cours" }, policy);
+    const restated = { titre: "refonte du  SITE", statut: "Idée", objectif: "V2" };
+    const second = await applyWrite(store, "projets", restated, policy);
+
+    assert.deepEqual(second, { action: "update", id: first.id });
+    const [row] = await store.list("projets", { limit: Infinity });
+    assert.equal(row.titre, "Refonte du site");
+    assert.equal(row.statut, "En cours");
+    assert.equal(row.objectif, "V2");
+
+    const again = await applyWrite(store, "projets", { titre: "Refonte du site", objectif: "V2" }, policy);
+    assert.deepEqual(again, { action: "unchanged", id: first.id });
+  });
+
+  it("compares a long objectif with the page body, not with its summary", async () => {
+    const notion = createFakeNotion(SCHEMAS);
+    const store = createNotionStore({ notion: notion.client, databases: DATABASES });
+    const objectif = Array.from({ length: 30 }, (_, i) => `Étape ${i + 1} de l'offre élus.`).join(" ");
+    const projet = { titre: "Offre élus", objectif, statut: "Idée" };
+
+    const first = await applyWrite(store, "projets", projet, policy);
+    assert.deepEqual(await applyWrite(store, "projets", projet, policy), { action: "unchanged", id: first.id });
+
+    const edited = await applyWrite(store, "projets", { ...projet, objectif: `${objectif} Fin revue.` }, policy);
+    assert.deepEqual(edited, { action: "update", id: first.id });
+    assert.deepEqual(
+      notion.writes(DATABASES.projets).map((w) => w.method),
+      ["create", "update"],
+    );
+  });
+
+  it("create strategy always creates", async () => {
+    const store = createLocalStore({ file: await tmp("memory.json") });
+    const createOnly = { projets: { ...policy.projets, strategie: "create" } };
+    await applyWrite(store, "projets", { titre: "A" }, createOnly);
+    await applyWrite(store, "projets", { titre: "A" }, createOnly);
+    assert.equal((await store.list("projets")).length, 2);
+  });
+});
+
+describe("POST /run projets upsert", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("repeated runs about the same projet update one page", async () => {
+    const projet = (priorite, statut) => ({ titre: "Offre élus", objectif: "Offre", statut, priorite, domaine: "Vente" });
+    const run = (p) => directorOutput({ ecritures_notion: { doctrine: [], decisions: [], projets: [p] } });
+    h = await startHarness({ directeur: [run(projet("Haute", "Idée")), run(projet("Basse", "En cours"))] });
+
+    await h.post("/run", { demande_client: "Offre" });
+    const { body } = await h.post("/run", { demande_client: "Offre" });
+
+    const writes = h.notion.writes(DATABASES.projets);
+    assert.deepEqual(
+      writes.map((w) => [w.method, w.props["Priorité"], w.props.Statut]),
+      [
+        ["create", "Haute", "Idée"],
+        ["update", "Haute", "En cours"],
+      ],
+    );
+    assert.equal(writes[1].page_id, writes[0].page_id);
+    assert.ok(body.ok);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { callSpecialist } from "../lib/agents.js";
+import { createLlm, createMockProvider } from "../lib/llm/index.js";
+import { countAteliers, countHoraires, validateAgentOutput } from "../lib/validation.js";
+import { formationAgentOutput, validFormationLivrable } from "./fixtures/director.js";
+
+const regles = (violations) => violations.map((v) => v.regle);
+
+// LLM mock qui consigne chaque requête
+function recordingLlm(recordings) {
+  const requests = [];
+  const mock = createMockProvider({ recordings });
+  const provider = {
+    name: "mock",
+    complete: (req) => {
+      requests.push(req);
+      return mock.complete(req);
+    },
+  };
+  return { llm: createLlm({ providers: { mock: provider }, defaults: { provider: "mock" } }), requests };
+}
+
+describe("validateAgentOutput — formation", () => {
+  it("accepts a compliant programme", () => {
+    assert.deepEqual(validateAgentOutput("formation", formationAgentOutput(validFormationLivrable())), []);
+  });
+
+  it("flags length, ateliers, horaire, structure and vague legal obligations", () => {
+    const data = formationAgentOutput("Programme. Rappel des obligations légales. Atelier 1 seulement.");
+    assert.deepEqual(regles(validateAgentOutput("formation", data)), [
+      "longueur_min",
+      "ateliers_min",
+      "horaire",
+      "structure",
+      "obligations_legales_vagues",
+    ]);
+  });
+
+  it("checks the ateliers count and the structure against the parameters", () => {
+    const data = formationAgentOutput(validFormationLivrable());
+    assert.deepEqual(regles(validateAgentOutput("formation", data, { nb_ateliers: 4 })), ["ateliers_min"]);
+
+    const reordered = validFormationLivrable().replace("cadre juridique", "cadre").concat("\nCadre juridique");
+    assert.deepEqual(regles(validateAgentOutput("formation", formationAgentOutput(reordered))), ["structure"]);
+  });
+
+  it("counts clock times, not durations", () => {
+    assert.equal(countHoraires("Durée 7h. 09:00 accueil, 9h00 rappel, 10h30 atelier, 14:00 outils."), 3);
+  });
+
+  it("accepts obligations légales when made precise in the same sentence", () => {
+    const livrable = `${validFormationLivrable()}\nLes obligations légales : principes et limites du rôle.`;
+    assert.deepEqual(validateAgentOutput("formation", formationAgentOutput(livrable)), []);
+  });
+
+  it("counts numbered and unnumbered ateliers", () => {
+    assert.equal(countAteliers("Atelier 1 ... Atelier 2 ... rappel Atelier 1"), 2);
+    assert.equal(countAteliers("- Atelier posture\n- Atelier traçabilité\nSans atelier ici"), 2);
+  });
+});
+
+describe("validateAgentOutput — generic", () => {
+  it("requires a livrable and a points_a_valider list for every agent", () => {
+    assert.deepEqual(regles(validateAgentOutput("contenu", { livrable: "  " })), ["livrable_vide"]);
+    assert.deepEqual(regles(validateAgentOutput("commercial", { livrable: "Offre" })), ["points_a_valider"]);
+    assert.deepEqual(regles(validateAgentOutput("commercial", null)), ["json"]);
+  });
+});
+
+describe("callSpecialist repair loop", () => {
+  it("retries with the violations and returns the repaired output", async () => {
+    const { llm, requests } = recordingLlm({
+      formation: [formationAgentOutput("Trop court"), formationAgentOutput(validFormationLivrable())],
+    });
+    const repairs = [];
+
+    const r = await callSpecialist(llm, "formation", { demande_client: "F" }, { onRepair: (x) => repairs.push(x) });
+
+    assert.equal(r.validation.ok, true);
+    assert.equal(r.validation.tentatives, 2);
+    assert.equal(r.data.livrable, validFormationLivrable());
+    assert.equal(requests.length, 2);
+    assert.match(requests[1].user, /CORRECTIONS OBLIGATOIRES/);
+    assert.match(requests[1].user, /\[longueur_min\]/);
+    assert.match(requests[1].user, /"livrable":"Trop court"/);
+    assert.deepEqual(regles(repairs[0].violations), ["longueur_min", "ateliers_min", "horaire", "structure"]);
+  });
+
+  it("stops after maxRepairs and reports the remaining violations", async () => {
+    const { llm, requests } = recordingLlm({ formation: [formationAgentOutput("Toujours court")] });
+
+    const r = await callSpecialist(llm, "formation", {}, { maxRepairs: 1 });
+
+    assert.equal(requests.length, 2);
+    assert.equal(r.ok, true);
+    assert.equal(r.validation.ok, false);
+    assert.equal(r.validation.tentatives, 2);
+    assert.equal(r.data.livrable, "Toujours court");
+  });
+
+  it("asks for the agent JSON schema as structured output", async () => {
+    const { llm, requests } = recordingLlm({
+      contenu: [{ agent: "contenu", livrable: "Post", formats: [], points_a_valider: [] }],
+    });
+
+    const r = await callSpecialist(llm, "contenu", {});
+
+    assert.equal(r.validation.ok, true);
+    assert.equal(requests[0].schemaName, "innovacse_agent_contenu");
+    assert.deepEqual(requests[0].schema.required, ["agent", "livrable", "formats", "points_a_valider"]);
+  });
+});
@@ -0,0 +1,157 @@
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it } from "node:test";
+
+import { createLocalStore } from "../lib/store/index.js";
+import { parseVersion, supersede, titleSimilarity, versionTimeline } from "../lib/versioning.js";
+import { directorOutput } from "./fixtures/director.js";
+import { DATABASES } from "./fixtures/notion-schemas.js";
+import { startHarness } from "./helpers/harness.js";
+
+async function localStore() {
+  return createLocalStore({ file: join(await mkdtemp(join(tmpdir(), "innovacse-versions-")), "memory.json") });
+}
+
+const principe = (contenu, titre = "Ligne rouge : aucune sanction") => ({
+  titre,
+  categorie: "Ligne rouge",
+  contenu,
+  version: "V1",
+  actif: true,
+});
+
+describe("versioning helpers", () => {
+  it("compares titles on normalised words", () => {
+    assert.equal(titleSimilarity("Ligne rouge : aucune sanction", "ligne rouge aucune SANCTION"), 1);
+    assert.ok(titleSimilarity("Ligne rouge sanctions", "Méthode de recueil") < 0.75);
+  });
+
+  it("reads free-text versions", () => {
+    assert.equal(parseVersion("V3"), 3);
+    assert.equal(parseVersion("version 12"), 12);
+    assert.equal(parseVersion(""), 1);
+  });
+});
+
+describe("supersede", () => {
+  it("bumps the doctrine version and deactivates the previous one", async () => {
+    const store = await localStore();
+    const first = await supersede(store, "doctrine", principe("Aucune sanction."));
+    const second = await supersede(
+      store,
+      "doctrine",
+      principe("Aucune sanction, ni conseil disciplinaire.", "Ligne rouge aucune sanction"),
+    );
+
+    assert.equal(first.action, "create");
+    assert.deepEqual(second, { action: "supersede", id: second.id, version: "V2", remplace: [first.id] });
+
+    const rows = await store.list("doctrine", { limit: Infinity });
+    const byId = Object.fromEntries(rows.map((r) => [r.id, r]));
+    assert.equal(byId[first.id].actif, false);
+    assert.equal(byId[second.id].actif, true);
+    assert.equal(byId[second.id].titre, "Ligne rouge : aucune sanction");
+  });
+
+  it("does not create a version for an identical restatement", async () => {
+    const store = await localStore();
+    const first = await supersede(store, "doctrine", principe("Aucune sanction."));
+
+    const again = await supersede(store, "doctrine", principe("Aucune sanction."));
+
+    assert.deepEqual(again, { action: "unchanged", id: first.id });
+    assert.equal((await store.list("doctrine")).length, 1);
+  });
+
+  it("retires a version left current by a failed supersede when the write is retried", async () => {
+    const store = await localStore();
+    const first = await supersede(store, "doctrine", principe("Aucune sanction."));
+    const { update } = store;
+    store.update = async () => {
+      throw new Error("Notion unavailable");
+    };
+    await assert.rejects(supersede(store, "doctrine", principe("Aucune sanction, jamais.")), /unavailable/);
+    store.update = update;
+
+    const retry = await supersede(store, "doctrine", principe("Aucune sanction, jamais."));
+
+    assert.equal(retry.action, "unchanged");
+    assert.deepEqual(retry.remplace, [first.id]);
+    const rows = await store.list("doctrine", { limit: Infinity });
+    assert.deepEqual(rows.filter((r) => r.actif).map((r) => r.version), ["V2"]);
+  });
+
+  it("retires previous decisions as Abandonnée", async () => {
+    const store = await localStore();
+    const decision = (statut, justification) => ({
+      titre: "Tarif inter",
+      statut,
+      domaine: "Vente",
+      justification,
+      impact: "",
+    });
+    const first = await supersede(store, "decisions", decision("Actée", "890 €"));
+    const second = await supersede(store, "decisions", decision("Actée", "990 €"));
+
+    assert.deepEqual(second.remplace, [first.id]);
+    const previous = (await store.list("decisions", { limit: Infinity })).find((d) => d.id === first.id);
+    assert.equal(previous.statut, "Abandonnée");
+  });
+
+  it("lists the timeline of any version of the lineage", async () => {
+    const store = await localStore();
+    const first = await supersede(store, "doctrine", principe("A"));
+    await new Promise((r) => setTimeout(r, 5));
+    await supersede(store, "doctrine", principe("B"));
+    await supersede(store, "doctrine", principe("Autre", "Méthode de recueil"));
+
+    const timeline = await versionTimeline(store, "doctrine", first.id);
+
+    assert.deepEqual(timeline.map((v) => [v.version, v.contenu, v.courante]), [
+      ["V1", "A", false],
+      ["V2", "B", true],
+    ]);
+    assert.equal(await versionTimeline(store, "doctrine", "nope"), null);
+  });
+});
+
+describe("POST /run doctrine versions", () => {
+  let h;
+  afterEach(async () => {
+    await h?.close();
+    h = null;
+  });
+
+  it("restating a principle supersedes it, and /doctrine/:id/versions shows the timeline", async () => {
+    const run = (contenu) =>
+      directorOutput({ ecritures_notion: { doctrine: [principe(contenu)], decisions: [], projets: [] } });
+    h = await startHarness({
+      directeur: [run("Aucune sanction."), run("Aucune sanction ni mesure disciplinaire.")],
+      contradictions: [{ conflits: [] }],
+    });
+
+    await h.post("/run", { demande_client: "Doctrine" });
+    const { body } = await h.post("/run", { demande_client: "Doctrine" });
+
+    assert.deepEqual(
+      h.notion.writes(DATABASES.doctrine).map((w) => [w.method, w.props.Version, w.props.Actif]),
+      [
+        ["create", "V1", true],
+        ["create", "V2", true],
+        ["update", "V1", false],
+      ],
+    );
+    assert.equal(body.conflits.length, 0);
+
+    const [v1] = h.notion.writes(DATABASES.doctrine);
+    const { status, body: timeline } = await h.get(`/doctrine/${v1.page_id}/versions`);
+    assert.equal(status, 200);
+    assert.deepEqual(timeline.versions.map((v) => [v.version, v.courante]), [
+      ["V1", false],
+      ["V2", true],
+    ]);
+    assert.equal((await h.get("/decisions/nope/versions")).status, 404);
+  });
+});